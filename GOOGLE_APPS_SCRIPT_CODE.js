@@ -27,8 +27,31 @@
  * P: context
  * Q: escalation_type
  * R: AngelBot/DevilBot
- * S: interaction_id – internal ID linking the "pending" row to the later update (Post/Dismiss). Safe to ignore when analysing data.
+ * S: interaction_id – internal ID linking a row to its later updates (Post/Dismiss, edits of the posted text). Safe to ignore when analysing data.
  * T: time_to_rephrase_seconds – time spent waiting for the rephrase suggestion (seconds). Blank when not applicable.
+ * U: fired_rule_ids – IDs of the escalation rules that fired (see escalation-rules.js), comma-separated
+ * V: rule_weights – weight each fired rule contributed, as "rule_id:weight" pairs
+ * W: escalation_score – final local escalation score
+ * X: detection_threshold – English escalation threshold active for this row (study arm setting)
+ * Y: api_gate_threshold – Hebrew/Arabic score the text had to exceed before the API check
+ * Z: cognitive_sensitivity – multiplier applied to cognitive (argumentative) rules
+ * AA: emotional_sensitivity – multiplier applied to emotional (blame) rules
+ * AB: ml_probability – local classifier's probability that the text is escalatory (0–1)
+ * AC: ml_model_version – version of the bundled classifier model (escalation-model.js)
+ * AD: ml_policy – how the classifier was combined with the rules: rules | either | both
+ * AE: ml_threshold – classifier probability that counted as flagging
+ * AF: thread_depth – number of earlier tweets captured above the draft (X status pages; 0 elsewhere)
+ * AG: thread_escalatory_count – how many of them the local detector flagged
+ * AH: thread_trajectory – starting | continuing | de-escalating | calm | no_thread
+ * AI: thread_context – the captured thread, oldest first, one "n. Name (@handle): text" line per tweet
+ * AJ: parent_post_id – id of the tweet, Facebook/Reddit/Instagram/Threads/LinkedIn post, YouTube video or comment being replied to (blank for new posts or when unknown)
+ * AK: parent_permalink – link to that post
+ * AL: parent_author_handle – its author's @handle
+ * AM: parent_author_name – its author's display name
+ * AN: context_confidence – how the parent was resolved: 1 (reply dialog / focal tweet), 0.7 (tweet above the box), 0.4 ("Replying to" line only)
+ * AO: quoted_post – for quote tweets / Facebook shares / LinkedIn reposts with a comment: the quoted post as "Name (@handle): text"
+ * AP: reply_level – Facebook/Reddit/Instagram/LinkedIn/YouTube comments: top_level (comment on the post) | nested (reply to a comment); blank elsewhere
+ * AQ: selector_pack_version – version of the selector pack the extension used (bundled-… when no remote pack was loaded)
  */
 
 // CORS headers so the Chrome extension (or any origin) can POST to this Web App
@@ -56,6 +79,20 @@ function doPost(e) {
 
     // Column indices (1-based)
     const TIME_COL = 20; // Column T
+    const FIRED_RULES_COL = 21; // Column U
+    const RULE_WEIGHTS_COL = 22; // Column V
+    const SCORE_COL = 23; // Column W
+    const SETTINGS_COL = 24; // Columns X–AA: detection_threshold, api_gate_threshold, cognitive/emotional sensitivity
+    const SETTINGS_HEADERS = ['detection_threshold', 'api_gate_threshold', 'cognitive_sensitivity', 'emotional_sensitivity'];
+    const ML_COL = 28; // Columns AB–AE: local classifier probability, model version, policy, threshold
+    const ML_HEADERS = ['ml_probability', 'ml_model_version', 'ml_policy', 'ml_threshold'];
+    const THREAD_COL = 32; // Columns AF–AI: thread above the draft (depth, flagged replies, trajectory, text)
+    const THREAD_HEADERS = ['thread_depth', 'thread_escalatory_count', 'thread_trajectory', 'thread_context'];
+    const PARENT_COL = 36; // Columns AJ–AN: the post being replied to and how sure the extension is of it
+    const PARENT_HEADERS = ['parent_post_id', 'parent_permalink', 'parent_author_handle', 'parent_author_name', 'context_confidence'];
+    const QUOTED_COL = 41; // Column AO: post quoted or shared by a quote post
+    const REPLY_LEVEL_COL = 42; // Column AP: Facebook/Reddit/Instagram/LinkedIn/YouTube top-level comment or nested reply
+    const SELECTOR_PACK_COL = 43; // Column AQ: selector pack version
 
     // Update existing row by interaction_id (when user clicks Post or Dismiss)
     if (data.action === 'update' && data.interaction_id) {
@@ -97,6 +134,17 @@ function doPost(e) {
       if (data.time_to_rephrase_seconds !== undefined) {
         sheet.getRange(rowIndex, TIME_COL).setValue(data.time_to_rephrase_seconds || '');
       }
+      if (data.fired_rule_ids !== undefined) {
+        sheet.getRange(rowIndex, FIRED_RULES_COL).setValue(data.fired_rule_ids || '');
+        sheet.getRange(rowIndex, RULE_WEIGHTS_COL).setValue(data.rule_weights || '');
+        sheet.getRange(rowIndex, SCORE_COL).setValue(data.escalation_score !== undefined ? data.escalation_score : '');
+        sheet.getRange(rowIndex, SETTINGS_COL, 1, SETTINGS_HEADERS.length).setValues([
+          SETTINGS_HEADERS.map(key => (data[key] !== undefined ? data[key] : ''))
+        ]);
+        sheet.getRange(rowIndex, ML_COL, 1, ML_HEADERS.length).setValues([
+          ML_HEADERS.map(key => (data[key] !== undefined ? data[key] : ''))
+        ]);
+      }
       return ContentService
         .createTextOutput(JSON.stringify({ success: true, message: 'Row updated successfully' }))
         .setMimeType(ContentService.MimeType.JSON)
@@ -124,9 +172,60 @@ function doPost(e) {
       data.escalation_type || '',            // Column Q (17)
       data.angel_devil_bot || 'AngelBot',    // Column R (18)
       data.interaction_id || '',             // Column S (19)
-      data.time_to_rephrase_seconds || ''   // Column T (20)
+      data.time_to_rephrase_seconds || '',   // Column T (20)
+      data.fired_rule_ids || '',             // Column U (21)
+      data.rule_weights || '',               // Column V (22)
+      data.escalation_score !== undefined ? data.escalation_score : '', // Column W (23)
+      data.detection_threshold !== undefined ? data.detection_threshold : '',     // Column X (24)
+      data.api_gate_threshold !== undefined ? data.api_gate_threshold : '',       // Column Y (25)
+      data.cognitive_sensitivity !== undefined ? data.cognitive_sensitivity : '', // Column Z (26)
+      data.emotional_sensitivity !== undefined ? data.emotional_sensitivity : '', // Column AA (27)
+      data.ml_probability !== undefined ? data.ml_probability : '',               // Column AB (28)
+      data.ml_model_version || '',                                                 // Column AC (29)
+      data.ml_policy || '',                                                        // Column AD (30)
+      data.ml_threshold !== undefined ? data.ml_threshold : '',                    // Column AE (31)
+      data.thread_depth !== undefined ? data.thread_depth : '',                   // Column AF (32)
+      data.thread_escalatory_count !== undefined ? data.thread_escalatory_count : '', // Column AG (33)
+      data.thread_trajectory || '',                                                // Column AH (34)
+      data.thread_context || '',                                                   // Column AI (35)
+      data.parent_post_id || '',                                                   // Column AJ (36)
+      data.parent_permalink || '',                                                 // Column AK (37)
+      data.parent_author_handle || '',                                             // Column AL (38)
+      data.parent_author_name || '',                                               // Column AM (39)
+      data.context_confidence !== undefined ? data.context_confidence : '',        // Column AN (40)
+      data.quoted_post || '',                                                      // Column AO (41)
+      data.reply_level || '',                                                      // Column AP (42)
+      data.selector_pack_version || ''                                             // Column AQ (43)
     ]);
 
+    // Header labels for the rule attribution columns (best-effort, once)
+    if (!sheet.getRange(1, FIRED_RULES_COL).getValue()) {
+      sheet.getRange(1, FIRED_RULES_COL).setValue('fired_rule_ids');
+      sheet.getRange(1, RULE_WEIGHTS_COL).setValue('rule_weights');
+      sheet.getRange(1, SCORE_COL).setValue('escalation_score');
+    }
+    if (!sheet.getRange(1, SETTINGS_COL).getValue()) {
+      sheet.getRange(1, SETTINGS_COL, 1, SETTINGS_HEADERS.length).setValues([SETTINGS_HEADERS]);
+    }
+    if (!sheet.getRange(1, ML_COL).getValue()) {
+      sheet.getRange(1, ML_COL, 1, ML_HEADERS.length).setValues([ML_HEADERS]);
+    }
+    if (!sheet.getRange(1, THREAD_COL).getValue()) {
+      sheet.getRange(1, THREAD_COL, 1, THREAD_HEADERS.length).setValues([THREAD_HEADERS]);
+    }
+    if (!sheet.getRange(1, PARENT_COL).getValue()) {
+      sheet.getRange(1, PARENT_COL, 1, PARENT_HEADERS.length).setValues([PARENT_HEADERS]);
+    }
+    if (!sheet.getRange(1, QUOTED_COL).getValue()) {
+      sheet.getRange(1, QUOTED_COL).setValue('quoted_post');
+    }
+    if (!sheet.getRange(1, REPLY_LEVEL_COL).getValue()) {
+      sheet.getRange(1, REPLY_LEVEL_COL).setValue('reply_level');
+    }
+    if (!sheet.getRange(1, SELECTOR_PACK_COL).getValue()) {
+      sheet.getRange(1, SELECTOR_PACK_COL).setValue('selector_pack_version');
+    }
+
     // Set header + conditional formatting once (best-effort)
     const props = PropertiesService.getScriptProperties();
     const alreadyApplied = props.getProperty('time_rephrase_format_applied') === 'true';
@@ -198,7 +297,30 @@ function testDataOrder() {
     context: 'https://x.com/test',
     escalation_type: 'emotional',
     angel_devil_bot: 'AngelBot',
-    interaction_id: 'test-' + Date.now()
+    interaction_id: 'test-' + Date.now(),
+    fired_rule_ids: 'en.cognitive.absolute_truth, en.tone.exclamation',
+    rule_weights: 'en.cognitive.absolute_truth:2, en.tone.exclamation:0.5',
+    escalation_score: 2.5,
+    detection_threshold: 2,
+    api_gate_threshold: 0,
+    cognitive_sensitivity: 1,
+    emotional_sensitivity: 1,
+    ml_probability: 0.912,
+    ml_model_version: 'test',
+    ml_policy: 'rules',
+    ml_threshold: 0.8,
+    thread_depth: 2,
+    thread_escalatory_count: 1,
+    thread_trajectory: 'continuing',
+    thread_context: '1. Test Author (@test): First tweet\n2. Other Author (@other): You are all idiots',
+    parent_post_id: '1234567890',
+    parent_permalink: 'https://x.com/other/status/1234567890',
+    parent_author_handle: '@other',
+    parent_author_name: 'Other Author',
+    context_confidence: 1,
+    quoted_post: '',
+    reply_level: '',
+    selector_pack_version: 'bundled-1.4'
   };
   
   const e = {
@@ -1,7 +1,7 @@
 // Background service worker for Discourse Lab extension
 
-// Load shared configuration (Google Sheets URL)
-importScripts('config.js');
+// Load shared configuration (Google Sheets URL) and the selector pack schema
+importScripts('config.js', 'selector-packs.js');
 
 // Check onboarding status when extension is installed
 chrome.runtime.onInstalled.addListener(async (details) => {
@@ -15,10 +15,12 @@ chrome.runtime.onInstalled.addListener(async (details) => {
   } else if (details.reason === 'update') {
     console.log('✅ Extension updated!');
   }
+  refreshSelectorPack(true);
 });
 
 // Check onboarding status when browser starts
 chrome.runtime.onStartup.addListener(async () => {
+  refreshSelectorPack(false);
   const { onboardingComplete } = await chrome.storage.local.get('onboardingComplete');
   
   if (!onboardingComplete) {
@@ -34,10 +36,50 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'LOG_INTERACTION') {
     handleDataLogging(message.data);
     sendResponse({ success: true });
+  } else if (message.type === 'REFRESH_SELECTOR_PACK') {
+    refreshSelectorPack(false).then(() => sendResponse({ success: true }));
   }
   return true; // Keep channel open for async response
 });
 
+// ===== SELECTOR PACKS =====
+
+const SELECTOR_PACK_REFRESH_MS = 6 * 60 * 60 * 1000; // Content scripts ask for a refresh on load; fetch at most this often
+
+/**
+ * Fetch the selector pack from SELECTOR_PACK_URL (config.js) and cache it when it passes
+ * validateSelectorPack(). On any failure the cached (or bundled) pack stays active.
+ */
+async function refreshSelectorPack(force) {
+  const url = typeof SELECTOR_PACK_URL !== 'undefined' ? SELECTOR_PACK_URL : '';
+  if (!url || url.includes('YOUR_')) return;
+  try {
+    const { selectorPackCheckedAt = 0 } = await chrome.storage.local.get('selectorPackCheckedAt');
+    if (!force && Date.now() - selectorPackCheckedAt < SELECTOR_PACK_REFRESH_MS) return;
+    // Recorded before fetching, so an unreachable URL is not retried on every page load
+    await chrome.storage.local.set({ selectorPackCheckedAt: Date.now() });
+
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) {
+      console.warn('⚠️ Selector pack responded with status', response.status, '- keeping the cached pack');
+      return;
+    }
+    const pack = await response.json();
+    const problems = validateSelectorPack(pack);
+    if (problems.length > 0) {
+      console.warn('⚠️ Selector pack rejected:', problems.join('; '));
+      return;
+    }
+    const { selectorPack } = await chrome.storage.local.get('selectorPack');
+    if (selectorPack && JSON.stringify(selectorPack) === JSON.stringify(pack)) return;
+    await chrome.storage.local.set({ selectorPack: pack });
+    console.log('🧩 Selector pack cached:', pack.version);
+  } catch (error) {
+    // A host that doesn't allow cross-origin requests fails here as "Failed to fetch"
+    console.warn('⚠️ Could not refresh selector pack (does its host allow cross-origin requests?):', error.message || error);
+  }
+}
+
 // Handle data logging to Google Sheets
 // Calculate delta (difference) between actual_posted_text and rephrase_suggestion
 function calculateDelta(actualText, rephraseText) {
@@ -134,6 +176,20 @@ async function handleDataLogging(data) {
         time_to_rephrase_seconds: data.time_to_rephrase_seconds || data.timeToRephraseSeconds || '',
         delta: delta
       };
+      // Rule attribution is only re-sent when detection was re-run on the posted text
+      if (data.fired_rule_ids !== undefined) {
+        updatePayload.fired_rule_ids = data.fired_rule_ids;
+        updatePayload.rule_weights = data.rule_weights || '';
+        updatePayload.escalation_score = data.escalation_score;
+        updatePayload.detection_threshold = data.detection_threshold;
+        updatePayload.api_gate_threshold = data.api_gate_threshold;
+        updatePayload.cognitive_sensitivity = data.cognitive_sensitivity;
+        updatePayload.emotional_sensitivity = data.emotional_sensitivity;
+        updatePayload.ml_probability = data.ml_probability;
+        updatePayload.ml_model_version = data.ml_model_version || '';
+        updatePayload.ml_policy = data.ml_policy;
+        updatePayload.ml_threshold = data.ml_threshold;
+      }
       console.log('📝 Sending update:', updatePayload);
       await sendToGoogleSheets(updatePayload);
       return;
@@ -172,7 +228,30 @@ async function handleDataLogging(data) {
       context: data.context || '',
       escalation_type: data.escalation_type || 'unknown',
       angel_devil_bot: (data.bot_type === 'devil' ? 'DevilBot' : 'AngelBot'),
-      interaction_id: data.interaction_id || ''
+      interaction_id: data.interaction_id || '',
+      fired_rule_ids: data.fired_rule_ids || '',
+      rule_weights: data.rule_weights || '',
+      escalation_score: data.escalation_score !== undefined ? data.escalation_score : '',
+      detection_threshold: data.detection_threshold !== undefined ? data.detection_threshold : '',
+      api_gate_threshold: data.api_gate_threshold !== undefined ? data.api_gate_threshold : '',
+      cognitive_sensitivity: data.cognitive_sensitivity !== undefined ? data.cognitive_sensitivity : '',
+      emotional_sensitivity: data.emotional_sensitivity !== undefined ? data.emotional_sensitivity : '',
+      ml_probability: data.ml_probability !== undefined ? data.ml_probability : '',
+      ml_model_version: data.ml_model_version || '',
+      ml_policy: data.ml_policy || '',
+      ml_threshold: data.ml_threshold !== undefined ? data.ml_threshold : '',
+      thread_depth: data.thread_depth !== undefined ? data.thread_depth : '',
+      thread_escalatory_count: data.thread_escalatory_count !== undefined ? data.thread_escalatory_count : '',
+      thread_trajectory: data.thread_trajectory || '',
+      thread_context: data.thread_context || '',
+      parent_post_id: data.parent_post_id || '',
+      parent_permalink: data.parent_permalink || '',
+      parent_author_handle: data.parent_author_handle || '',
+      parent_author_name: data.parent_author_name || '',
+      context_confidence: data.context_confidence !== undefined ? data.context_confidence : '',
+      quoted_post: data.quoted_post || '',
+      reply_level: data.reply_level || '',
+      selector_pack_version: data.selector_pack_version || ''
     };
 
     console.log('📝 Prepared log data:', logData);
@@ -12,104 +12,33 @@ console.log('🔬 Discourse Lab content script loaded');
 
 // ===== DATA LOGGING FUNCTIONS =====
 
+const MAX_PAGE_TITLE_LEN = 300;
+
 /**
  * Extract context about the post/comment being replied to
- * Returns "new" for original posts, or the original post content for replies
+ * Returns "new" for original posts, or the original post content for replies.
+ * Reads the given composer (e.g. the one being submitted), else the active one
  */
-function getPostContext() {
+function getPostContext(targetComposer = null) {
   let originalPostContent = '';
   let originalPostWriter = '';
   let isReply = false;
+  let replyTarget = null;
+  let quotedPost = null;
+  let composer = null;
+  const adapter = getPlatformAdapter();
   
   try {
-    // For Twitter/X - check if we're replying or creating a new post
-    if (isTwitter()) {
-      // Look for "Replying to" text indicator - this is the most reliable way to detect replies
-      const allText = document.body ? document.body.innerText || '' : '';
-      const hasReplyingTo = /Replying to\s+@?\w+/i.test(allText);
-      
-      // Also check for reply-specific elements near the composer
-      const composerArea = document.querySelector('[data-testid="tweetTextarea_0"]')?.closest('div[role="dialog"], div[data-testid="toolBar"]')?.parentElement;
-      const replyIndicator = composerArea ? Array.from(composerArea.querySelectorAll('*')).find(el => 
-        el.textContent && /Replying to/i.test(el.textContent)
-      ) : null;
-      
-      if (hasReplyingTo || replyIndicator) {
-        isReply = true;
-        
-        // Try to find the tweet we're replying to (only in reply context)
-        const tweetTextElements = document.querySelectorAll('[data-testid="tweetText"]');
-        if (tweetTextElements.length > 0) {
-          // Find the tweet text that's closest to the reply indicator or in the same container
-          let targetTweet = tweetTextElements[0];
-          
-          // Try to find tweet in the same thread/container as the composer
-          if (composerArea) {
-            const tweetInComposerArea = Array.from(tweetTextElements).find(tweet => 
-              composerArea.contains(tweet.closest('article'))
-            );
-            if (tweetInComposerArea) {
-              targetTweet = tweetInComposerArea;
-            }
-          }
-          
-          originalPostContent = targetTweet.textContent || '';
-        }
-        
-        // Try to find the author of the tweet being replied to
-        const authorElements = document.querySelectorAll('[data-testid="User-Name"]');
-        if (authorElements.length > 0) {
-          // Get author near the tweet we found
-          const tweetArticle = tweetTextElements[0]?.closest('article');
-          if (tweetArticle) {
-            const authorInArticle = tweetArticle.querySelector('[data-testid="User-Name"]');
-            if (authorInArticle) {
-              originalPostWriter = authorInArticle.textContent || '';
-            }
-          }
-          
-          // Fallback to first author if we couldn't find one in the article
-          if (!originalPostWriter && authorElements.length > 0) {
-            originalPostWriter = authorElements[0].textContent || '';
-          }
-        }
-        
-        // Extract username from "Replying to @username" text if we haven't found it
-        if (replyIndicator && !originalPostWriter) {
-          const replyText = replyIndicator.textContent || '';
-          const usernameMatch = replyText.match(/Replying to\s+(@?\w+)/i);
-          if (usernameMatch) {
-            originalPostWriter = usernameMatch[1].startsWith('@') ? usernameMatch[1] : '@' + usernameMatch[1];
-          }
-        }
-      } else {
-        // No "Replying to" indicator found - this is a new post
-        isReply = false;
-        originalPostContent = 'new';
-        originalPostWriter = 'new';
-      }
-    }
-    
-    // For Facebook - different selectors
-    if (!isReply && /facebook\.com/i.test(window.location.hostname)) {
-      const fbPostElements = document.querySelectorAll('[data-ad-preview="message"]');
-      if (fbPostElements.length > 0) {
-        // Check if we're replying to a comment
-        const replyIndicator = document.querySelector('[aria-label*="reply" i], [aria-label*="comment" i]');
-        if (replyIndicator) {
-          isReply = true;
-          originalPostContent = fbPostElements[0].textContent || '';
-        } else {
-          isReply = false;
-          originalPostContent = 'new';
-          originalPostWriter = 'new';
-        }
-      } else {
-        // No post found, assume new post
-        isReply = false;
-        originalPostContent = 'new';
-        originalPostWriter = 'new';
-      }
+    composer = targetComposer || getActiveComposer();
+    // Quote tweet / share with a comment: a new post that carries someone else's post
+    quotedPost = findQuotedPost(composer);
+
+    // The post or comment the composer answers (its dialog, comment thread or page), from the platform adapter
+    replyTarget = !quotedPost && composer ? adapter.getReplyTarget(composer) : null;
+    if (replyTarget) {
+      isReply = true;
+      originalPostContent = replyTarget.text;
+      originalPostWriter = replyTarget.displayName || replyTarget.handle;
     }
     
     // If no context detected and we haven't determined it's a new post yet
@@ -141,19 +70,87 @@ function getPostContext() {
   }
 
   return {
-    originalPostContent: originalPostContent ? originalPostContent.substring(0, 280) : 'new',
+    // A reply known only from its "Replying to" line has no captured text
+    originalPostContent: originalPostContent ? originalPostContent.substring(0, 280) : (isReply ? '' : 'new'),
     originalPostWriter: originalPostWriter ? originalPostWriter.substring(0, 60) : 'new',
-    isReply: isReply
+    isReply: isReply,
+    postType: quotedPost ? 'quote' : isReply ? 'reply' : 'new_post',
+    quotedPost: quotedPost,
+    parentPostId: replyTarget?.postId || '',
+    parentPermalink: replyTarget?.permalink || '',
+    parentAuthorHandle: replyTarget?.handle || '',
+    parentAuthorName: replyTarget?.displayName || '',
+    contextConfidence: replyTarget ? replyTarget.confidence : '',
+    // Facebook/Reddit: 'top_level' comment on the post or 'nested' reply to a comment
+    replyLevel: replyTarget?.replyLevel || '',
+    threadChain: isReply ? adapter.getThreadChain(composer) : [],
+    // YouTube: the title of the video being commented on, also for replies deep in its comments
+    pageTitle: (adapter.getPageTitle() || '').substring(0, MAX_PAGE_TITLE_LEN)
+  };
+}
+
+// The composer the user is typing in: the focused editable, else the last one checked, else the platform's main composer
+function getActiveComposer() {
+  const focused = document.activeElement;
+  if (focused && (focused.isContentEditable || focused.tagName === 'TEXTAREA')) return focused;
+  if (currentElementBeingChecked && currentElementBeingChecked.isConnected) return currentElementBeingChecked;
+  return queryDefaultComposer();
+}
+
+// ===== QUOTED POST (X quote tweets, Facebook shares) =====
+
+const MAX_QUOTED_TEXT_LEN = 800;
+
+/**
+ * Post quoted or shared by the composer: { text, author, handle, permalink }, or null
+ */
+function findQuotedPost(composer) {
+  if (!composer) return null;
+  const quoted = getPlatformAdapter().getQuotedPost(composer);
+  if (!quoted || (!quoted.text && !quoted.author)) return null;
+  quoted.text = quoted.text.substring(0, MAX_QUOTED_TEXT_LEN);
+  return quoted;
+}
+
+// Sheet column for the quoted post: "Name (@handle): text"
+function formatQuotedPost(quotedPost) {
+  if (!quotedPost) return '';
+  const author = [quotedPost.author, quotedPost.handle && `(${quotedPost.handle})`].filter(Boolean).join(' ');
+  return author ? `${author}: ${quotedPost.text}` : quotedPost.text;
+}
+
+// ===== THREAD CONTEXT (X status pages) =====
+
+const HEATED_THREAD_WINDOW = 3; // A thread is heated when one of its last 3 replies has escalatory signals
+
+/**
+ * Where the draft sits in the thread's trajectory:
+ * 'starting' (calm thread, escalatory draft), 'continuing' (heated thread, escalatory draft),
+ * 'de-escalating' (heated thread, calm draft), 'calm', or 'no_thread'
+ */
+function getThreadTrajectory(threadChain, draftIsEscalatory) {
+  if (!threadChain || threadChain.length === 0) return 'no_thread';
+  const heated = threadChain.slice(-HEATED_THREAD_WINDOW).some(entry => entry.escalatory);
+  if (draftIsEscalatory) return heated ? 'continuing' : 'starting';
+  return heated ? 'de-escalating' : 'calm';
+}
+
+/**
+ * Sheet columns for the thread above the draft: depth, escalatory replies, trajectory and the
+ * chain itself as "1. Name (@handle): text" lines
+ */
+function formatThreadContext(threadChain, draftIsEscalatory) {
+  const chain = threadChain || [];
+  return {
+    thread_depth: chain.length,
+    thread_escalatory_count: chain.filter(entry => entry.escalatory).length,
+    thread_trajectory: getThreadTrajectory(chain, draftIsEscalatory),
+    thread_context: chain.map(entry => `${entry.order}. ${entry.author}${entry.handle ? ` (${entry.handle})` : ''}: ${entry.text}`).join('\n')
   };
 }
 
 function detectPlatformName() {
-  const host = window.location.hostname;
-  if (/twitter\.com|x\.com/i.test(host)) return 'twitter';
-  if (/facebook\.com/i.test(host)) return 'facebook';
-  if (/instagram\.com/i.test(host)) return 'instagram';
-  if (/reddit\.com/i.test(host)) return 'reddit';
-  return host || 'unknown';
+  return getPlatformAdapter().name || window.location.hostname || 'unknown';
 }
 
 /**
@@ -218,125 +215,208 @@ async function getBotAssignment() {
 let lastLoggedInteraction = null;
 let pendingInteractionElement = null;
 
+// Rows already completed with their posted text, by that text, so a later edit of the same post
+// or comment updates its row instead of appending a new one (most recent MAX_SUBMITTED_INTERACTIONS)
+const MAX_SUBMITTED_INTERACTIONS = 20;
+const submittedInteractions = new Map();
+// Edit menu items and buttons ("Edit", "Edit post", "Edit comment", Hebrew and Arabic labels)
+const EDIT_ACTION_LABEL = /^(?:edit(?: (?:post|comment|reply))?|\u05E2\u05E8\u05D9\u05DB\u05D4|\u05E2\u05E8\u05D9\u05DB\u05EA (?:\u05E4\u05D5\u05E1\u05D8|\u05EA\u05D2\u05D5\u05D1\u05D4)|\u05E2\u05E8\u05D5\u05DA|\u062A\u0639\u062F\u064A\u0644(?: (?:\u0627\u0644\u0645\u0646\u0634\u0648\u0631|\u0627\u0644\u062A\u0639\u0644\u064A\u0642))?)$/i;
+// How long after an Edit click the edit box may take to get focus
+const EDIT_ACTION_WINDOW_MS = 10000;
+let lastEditActionAt = 0;
+// Composers opened by an Edit action, with the text they opened with (the already-posted text).
+// Only these count as edits, so a new reply that repeats an earlier one ("lol") gets its own row
+const editedComposerText = new WeakMap();
+
+// Id linking a row to its later updates (interaction_id, column S)
+function createInteractionId() {
+  return (typeof crypto !== 'undefined' && crypto.randomUUID)
+    ? crypto.randomUUID()
+    : (`${Date.now()}-${Math.random().toString(36).slice(2)}`);
+}
+
 /**
- * Monitor post button clicks to capture actual posted text
+ * Monitor the platform's submits (post buttons, Facebook's Enter-to-comment) to capture actual posted text
  */
 function setupPostButtonMonitoring() {
-  // Only run on Twitter/X for now (can be extended to other platforms)
-  if (!isTwitter()) return;
-  
-  // Twitter/X post button selectors
-  const postButtonSelectors = [
-    '[data-testid="tweetButton"]',
-    '[data-testid="tweetButtonInline"]',
-    'button[type="button"][data-testid*="tweet"]',
-    'div[role="button"][data-testid*="tweet"]',
-    'div[data-testid="tweetButton"]'
-  ];
-  
-  // Monitor clicks on post buttons (use capture phase to catch event early)
-  document.addEventListener('click', async (e) => {
-    // Check if clicked element or parent is a post button
-    let target = e.target;
-    let isPostButton = false;
-    
-    // Check element and parents up to 4 levels
-    for (let i = 0; i < 5 && target; i++) {
-      for (const selector of postButtonSelectors) {
-        try {
-          if (target.matches && target.matches(selector)) {
-            isPostButton = true;
-            break;
-          }
-        } catch (err) {
-          // Ignore selector errors
-        }
-      }
-      if (isPostButton) break;
-      target = target.parentElement;
+  const adapter = getPlatformAdapter();
+  if (!adapter.setupSubmitMonitoring) return;
+  adapter.setupSubmitMonitoring(recordSubmittedPost);
+
+  document.addEventListener('click', (e) => {
+    const action = e.target?.closest?.('[role="menuitem"], [role="button"], button, a');
+    const label = (action?.getAttribute('aria-label') || action?.innerText || '').trim();
+    if (EDIT_ACTION_LABEL.test(label)) {
+      lastEditActionAt = Date.now();
     }
-    
-    if (isPostButton) {
-      console.log('📮 Post button clicked! Capturing final text...');
-      
-      // Find the active textarea/composer (multiple selectors for Twitter/X DOM changes)
-      const composer = document.querySelector('[data-testid="tweetTextarea_0"]') ||
-                      document.querySelector('[data-testid*="tweetTextarea"]') ||
-                      document.querySelector('div[contenteditable="true"][role="textbox"]') ||
-                      document.querySelector('div[contenteditable="true"][data-lexical-editor]') ||
-                      document.querySelector('[role="textbox"][contenteditable="true"]');
-      if (composer) {
-        const finalText = getTextContent(composer);
-        console.log('📝 Final posted text:', finalText);
-        
-        // If we have a pending interaction (tooltip was shown – they clicked Rephrase or Dismiss), update that row with actual posted text.
-        // This covers: accepted rephrase (as-is or edited) and dismissed (original or manually edited). actual_posted_text = what they literally posted.
-        if (lastLoggedInteraction) {
-          // user_original_text = the full text the user had at post time (finalText).
-          // This avoids capturing a mid-typing snapshot from when the tooltip appeared.
-          // escalation detection is still based on this full text.
-          const originalText = finalText || lastLoggedInteraction.usersOriginalContent || '';
-          const originalEscalationResult = isEscalating(originalText);
-          const originalEscalationType = originalEscalationResult.isEscalatory ? originalEscalationResult.escalationType : 'none';
-          const isEscalatingBasedOnOriginal = originalEscalationResult.isEscalatory;
-
-          const updatedData = {
-            ...lastLoggedInteraction,
-            usersOriginalContent: originalText, // Use full text at post time, not mid-typing snapshot
-            escalationType: originalEscalationType,
-            isEscalating: isEscalatingBasedOnOriginal,
-            actualPostedText: finalText || ''
-          };
-          
-          console.log(`📊 Original text escalation: ${isEscalatingBasedOnOriginal ? 'ESCALATORY' : 'NOT ESCALATORY'} (${originalEscalationType})`);
-          
-          // Re-log with actual posted text
-          logInteraction(updatedData);
-          
-          // Clear the stored interaction after logging
-          lastLoggedInteraction = null;
-          pendingInteractionElement = null;
-        } else {
-          // No escalation was detected earlier (no rephrasing happened)
-          // In this case, the original text IS the final text, so use it for both
-          const originalText = finalText || '';
-          const escalationResult = isEscalating(originalText);
-          const escalationType = escalationResult.isEscalatory ? escalationResult.escalationType : 'none';
-          
-          console.log(`📊 Escalation check (no prior interaction): ${escalationResult.isEscalatory ? 'ESCALATORY' : 'NOT ESCALATORY'} (${escalationType})`);
-          
-          // Get bot type for logging
-          const botType = await getBotAssignment();
-          
-          // Log standalone post with accurate escalation detection
-          // is_escalating is based on user_original_text (which equals finalText in this case)
-          logInteraction({
-            usersOriginalContent: originalText,
-            rephraseSuggestion: '',
-            didUserAccept: 'not_applicable',
-            escalationType: escalationType,
-            isEscalating: escalationResult.isEscalatory, // Based on original text (same as final in this case)
-            actualPostedText: finalText || '',
-            botType: botType // Include bot type for A/B testing
-          });
-        }
-      }
+  }, true);
+
+  document.addEventListener('focusin', (e) => {
+    const composer = e.target;
+    if (!composer || !(composer.isContentEditable || composer.tagName === 'TEXTAREA')) return;
+    if (lastEditActionAt && Date.now() - lastEditActionAt < EDIT_ACTION_WINDOW_MS && !editedComposerText.has(composer)) {
+      editedComposerText.set(composer, getTextContent(composer).trim());
+      lastEditActionAt = 0;
     }
-  }, true); // Use capture phase to catch event early
-  
+  }, true);
+
   console.log('✅ Post button monitoring initialized');
 }
 
+// Interaction row of a post or comment being edited: an Edit action opened its box with text we
+// already logged as posted
+function findEditedInteraction(composer) {
+  const textAtOpen = editedComposerText.get(composer);
+  return textAtOpen ? submittedInteractions.get(textAtOpen) || null : null;
+}
+
+function rememberSubmittedInteraction(postedText, interaction) {
+  const key = (postedText || '').trim();
+  if (!key || !interaction?.interactionId) return;
+  submittedInteractions.delete(key);
+  submittedInteractions.set(key, interaction);
+  if (submittedInteractions.size > MAX_SUBMITTED_INTERACTIONS) {
+    submittedInteractions.delete(submittedInteractions.keys().next().value);
+  }
+}
+
 /**
- * Log interaction data to background script for Google Sheets
+ * Log the text a composer is submitting: update the pending interaction's row (or the row of the
+ * post being edited) with actual_posted_text, or log a standalone row when nothing was flagged
  */
-async function logInteraction(data) {
+async function recordSubmittedPost(composer) {
+  const finalText = getTextContent(composer);
+  // Read now: after the submit click focus is on the button, and the page may move on during awaits
+  const postContext = getPostContext(composer);
+  console.log('📝 Final posted text:', finalText);
+
+  // Edit of a post or comment whose row is already complete: only its posted text changes
+  const edited = !lastLoggedInteraction ? findEditedInteraction(composer) : null;
+  if (edited) {
+    console.log('✏️ Edit of an already-logged post, updating its row');
+    const updatedData = { ...edited, actualPostedText: finalText || '' };
+    logInteraction(updatedData, postContext);
+    submittedInteractions.delete(editedComposerText.get(composer));
+    editedComposerText.delete(composer);
+    rememberSubmittedInteraction(finalText, updatedData);
+    return;
+  }
+  
+  // If we have a pending interaction (tooltip was shown – they clicked Rephrase or Dismiss), update that row with actual posted text.
+  // This covers: accepted rephrase (as-is or edited) and dismissed (original or manually edited). actual_posted_text = what they literally posted.
+  if (lastLoggedInteraction) {
+    // user_original_text = the full text the user had at post time (finalText).
+    // This avoids capturing a mid-typing snapshot from when the tooltip appeared.
+    // escalation detection is still based on this full text.
+    const originalText = finalText || lastLoggedInteraction.usersOriginalContent || '';
+    const originalEscalationResult = isEscalating(originalText);
+    const originalEscalationType = originalEscalationResult.isEscalatory ? originalEscalationResult.escalationType : 'none';
+    const isEscalatingBasedOnOriginal = originalEscalationResult.isEscalatory;
+
+    const updatedData = {
+      ...lastLoggedInteraction,
+      usersOriginalContent: originalText, // Use full text at post time, not mid-typing snapshot
+      escalationType: originalEscalationType,
+      isEscalating: isEscalatingBasedOnOriginal,
+      actualPostedText: finalText || '',
+      ...getRuleAttribution(originalEscalationResult)
+    };
+    
+    console.log(`📊 Original text escalation: ${isEscalatingBasedOnOriginal ? 'ESCALATORY' : 'NOT ESCALATORY'} (${originalEscalationType})`);
+    
+    // Re-log with actual posted text
+    logInteraction(updatedData, postContext);
+    rememberSubmittedInteraction(finalText, updatedData);
+    
+    // Clear the stored interaction after logging
+    lastLoggedInteraction = null;
+    pendingInteractionElement = null;
+  } else {
+    // No escalation was detected earlier (no rephrasing happened)
+    // In this case, the original text IS the final text, so use it for both
+    const originalText = finalText || '';
+    const escalationResult = isEscalating(originalText);
+    const escalationType = escalationResult.isEscalatory ? escalationResult.escalationType : 'none';
+    
+    console.log(`📊 Escalation check (no prior interaction): ${escalationResult.isEscalatory ? 'ESCALATORY' : 'NOT ESCALATORY'} (${escalationType})`);
+    
+    // Get bot type for logging
+    const botType = await getBotAssignment();
+    
+    // Log standalone post with accurate escalation detection
+    // is_escalating is based on user_original_text (which equals finalText in this case)
+    const standaloneData = {
+      interactionId: createInteractionId(), // so a later edit of this post updates the row
+      usersOriginalContent: originalText,
+      rephraseSuggestion: '',
+      didUserAccept: 'not_applicable',
+      escalationType: escalationType,
+      isEscalating: escalationResult.isEscalatory, // Based on original text (same as final in this case)
+      actualPostedText: finalText || '',
+      botType: botType, // Include bot type for A/B testing
+      ...getRuleAttribution(escalationResult)
+    };
+    logInteraction({ ...standaloneData, isNewRow: true }, postContext);
+    rememberSubmittedInteraction(finalText, standaloneData);
+  }
+}
+
+/**
+ * Rule attribution fields for logInteraction, taken from an isEscalating() result
+ * (includes the detection settings that were active when it ran)
+ */
+function getRuleAttribution(escalationResult) {
+  if (!escalationResult) return {};
+  return {
+    firedRuleIds: escalationResult.firedRuleIds || [],
+    ruleHits: escalationResult.ruleHits || [],
+    escalationScore: escalationResult.escalationScore,
+    classifierProbability: escalationResult.classifierProbability,
+    classifierModelVersion: escalationResult.classifierModelVersion,
+    detectionSettings: escalationResult.detectionSettings
+  };
+}
+
+/**
+ * Sheet columns for rule attribution: fired rule IDs, "id:weight" pairs and the final score,
+ * plus the local classifier's probability and model version
+ */
+function formatRuleAttribution(data) {
+  return {
+    fired_rule_ids: (data.firedRuleIds || []).join(', '),
+    rule_weights: (data.ruleHits || []).map(hit => `${hit.id}:${hit.weight}`).join(', '),
+    escalation_score: typeof data.escalationScore === 'number' ? data.escalationScore : '',
+    ml_probability: typeof data.classifierProbability === 'number' ? Number(data.classifierProbability.toFixed(3)) : '',
+    ml_model_version: data.classifierModelVersion || ''
+  };
+}
+
+/**
+ * Sheet columns for the detection settings (study arm sensitivity) a row was scored with
+ */
+function formatDetectionSettings(settings) {
+  const active = settings || getDetectionSettings();
+  return {
+    detection_threshold: active.threshold,
+    api_gate_threshold: active.apiGateThreshold,
+    cognitive_sensitivity: active.cognitiveSensitivity,
+    emotional_sensitivity: active.emotionalSensitivity,
+    ml_policy: active.mlPolicy,
+    ml_threshold: active.mlThreshold
+  };
+}
+
+/**
+ * Log interaction data to background script for Google Sheets. postContext is the
+ * getPostContext() of the composer the row belongs to (default: the active composer)
+ */
+async function logInteraction(data, postContext = null) {
   try {
     // Skip logging when extension runtime isn't available (e.g. some origins); avoid console noise
     if (typeof chrome === 'undefined' || !chrome.runtime || !chrome.runtime.sendMessage) {
       return;
     }
-    const postContext = getPostContext();
+    postContext = postContext || getPostContext();
     
     // Get bot type for A/B testing tracking (if not already in data)
     let botType = data.botType;
@@ -345,7 +425,8 @@ async function logInteraction(data) {
     }
     
     // When outcome is known (yes/no) and we have an interactionId, we send an update to the existing row (no new row).
-    if (data.interactionId && data.didUserAccept !== 'pending') {
+    // Rows logged complete in one go (isNewRow: standalone posts, API-cleared drafts) are appended with their id.
+    if (data.interactionId && data.didUserAccept !== 'pending' && !data.isNewRow) {
       const logData = {
         action: 'update',
         interaction_id: data.interactionId,
@@ -353,7 +434,9 @@ async function logInteraction(data) {
         actual_posted_text: data.actualPostedText || '',
         user_original_text: data.usersOriginalContent || '',   // overwrite mid-typing snapshot
         rephrase_suggestion: data.rephraseSuggestion || '',
-        time_to_rephrase_seconds: data.timeToRephraseSeconds || data.time_to_rephrase_seconds || ''
+        time_to_rephrase_seconds: data.timeToRephraseSeconds || data.time_to_rephrase_seconds || '',
+        // Only when detection was re-run on the final text (Post click)
+        ...(data.firedRuleIds !== undefined ? { ...formatRuleAttribution(data), ...formatDetectionSettings(data.detectionSettings) } : {})
       };
       chrome.runtime.sendMessage({ type: 'LOG_INTERACTION', data: logData }, (response) => {
         if (chrome.runtime.lastError) {
@@ -391,12 +474,23 @@ async function logInteraction(data) {
       bot_type: botType || 'angel',
       platform: detectPlatformName(),
       context: window.location.href,
-      post_type: postContext.isReply ? 'reply' : 'new_post',
-      interaction_id: (data.interactionId != null ? String(data.interactionId) : '')
+      post_type: postContext.postType,
+      parent_post_id: postContext.parentPostId,
+      parent_permalink: postContext.parentPermalink,
+      parent_author_handle: postContext.parentAuthorHandle,
+      parent_author_name: postContext.parentAuthorName,
+      context_confidence: postContext.contextConfidence,
+      quoted_post: formatQuotedPost(postContext.quotedPost),
+      reply_level: postContext.replyLevel,
+      selector_pack_version: getSelectorPackVersion(),
+      interaction_id: (data.interactionId != null ? String(data.interactionId) : ''),
+      ...formatRuleAttribution(data),
+      ...formatDetectionSettings(data.detectionSettings),
+      ...formatThreadContext(postContext.threadChain, !!data.escalationType && !['none', 'unknown'].includes(data.escalationType))
     };
     
     console.log('📊 Logging interaction:', logData);
-    console.log(`📝 Post type: ${postContext.isReply ? 'Reply' : 'New Post'}`);
+    console.log(`📝 Post type: ${postContext.postType}`);
     if (data.actualPostedText) {
       console.log(`✅ Actual posted text: "${data.actualPostedText}"`);
     }
@@ -565,6 +659,46 @@ function containsHebrew(text) {
   return /[\u0590-\u05FF]/.test(text);
 }
 
+// English lead-ins the model sometimes puts before a Hebrew rephrase ("I think, ...")
+const ENGLISH_PREAMBLE = /^(?:In my view|In my opinion|In my experience|I see|I think|I feel|I believe(?: that)?|I understand that|I would say|From my perspective|From where I stand|To me|As I see it)\b[,\s.:;!?-]*/i;
+
+/**
+ * Clean the rephrase of a Hebrew draft: strip an English preamble at the start. Other Latin
+ * words are only stripped when the draft itself had none, so @handles, links, brand names and
+ * English the user mixed in survive the rephrase
+ */
+function cleanHebrewRephrase(rephrased, originalText) {
+  let cleaned = rephrased.trim();
+  let previous;
+  do {
+    previous = cleaned;
+    cleaned = cleaned.replace(ENGLISH_PREAMBLE, '').trim();
+  } while (cleaned !== previous);
+
+  if (!/[A-Za-z]{2,}/.test(originalText)) {
+    // All-Hebrew draft: whatever precedes the first Hebrew letter is preamble, and a Latin-only
+    // word in the rephrase is the model slipping into English
+    const firstHebrewIndex = cleaned.search(/[\u0590-\u05FF]/);
+    if (firstHebrewIndex > 0) {
+      cleaned = cleaned.substring(firstHebrewIndex);
+    }
+    cleaned = cleaned.split(/\s+/)
+      .filter(word => !/^[A-Za-z'-]+[,.:;!?]*$/.test(word))
+      .join(' ');
+  }
+
+  // Surrounding quotes
+  return cleaned.replace(/^["'`]+|["'`]+$/g, '').trim();
+}
+
+/**
+ * Detect if text contains Arabic characters
+ */
+function containsArabic(text) {
+  // Arabic Unicode range: \u0600-\u06FF
+  return /[\u0600-\u06FF]/.test(text);
+}
+
 /**
  * Detect if text contains non-Latin characters (Arabic, Hebrew, CJK, etc.)
  */
@@ -611,7 +745,44 @@ function hasConstructiveEssence(text) {
   return true;
 }
 
+/**
+ * Local escalation check for a draft.
+ * Besides the decision, the result carries spans: [{ start, end, ruleId, dimension, reason }],
+ * character ranges in `text` (as passed in) that each fired rule matched — used for highlighting —
+ * the local classifier's classifierProbability (ruleDecision is the rules-only decision), and
+ * target: who the insults/judgements address ('second_person' | 'person' | 'group' | 'policy' |
+ * 'unknown', or 'none' when there are none).
+ */
 function isEscalating(text) {
+  // Undo obfuscation ("f*ck", "sh1t", "stuuupid", zero-width characters, niqqud) before any pattern runs
+  const normalization = normalizeForDetection(text);
+  if (normalization.text !== text) {
+    console.log('🧹 Normalised draft for detection:', normalization.text.substring(0, 100));
+  }
+  const result = detectEscalation(normalization.text);
+
+  // Second opinion from the bundled classifier (ml-classifier.js); drafts below the minimum length
+  // are not scored by either
+  const scored = result.escalationScore !== undefined;
+  applyClassifierPolicy(
+    result,
+    scored ? classifyEscalation(normalization.text.trim()) : null,
+    normalization.text,
+    result.detectionSettings || getDetectionSettings()
+  );
+
+  // Span and segment offsets refer to the trimmed normalised text; report them in the user's original draft
+  const leading = normalization.text.length - normalization.text.trimStart().length;
+  const toDraftOffsets = span => ({ ...span, ...toOriginalSpan(normalization, span.start + leading, span.end + leading) });
+  if (result.spans) result.spans = result.spans.map(toDraftOffsets);
+  if (result.segments) result.segments = result.segments.map(toDraftOffsets);
+  // Who the insults/judgements are aimed at (target-detector.js)
+  result.target = summarizeJudgementTargets(result.ruleHits || []);
+  result.normalization = normalization;
+  return result;
+}
+
+function detectEscalation(text) {
   const trimmedText = text.trim();
   
   // Minimum length threshold
@@ -619,1011 +790,284 @@ function isEscalating(text) {
     return { isEscalatory: false, escalationType: 'none' };
   }
 
-  // DISABLED: Hebrew support is currently deactivated
   // If text contains Hebrew or other non-Latin characters, and API is enabled,
   // we should use API-based detection (but for now, allow it through for API check)
   const hasNonLatin = containsNonLatin(trimmedText);
   const hasHebrew = containsHebrew(trimmedText);
+  const hasArabic = containsArabic(trimmedText);
+  const settings = getDetectionSettings();
 
-  // Hebrew local scoring — mirrors English detection logic.
-  // Score 0 → not escalatory, no API call. Score > 0 → API makes final call.
-  if (hasHebrew || (hasNonLatin && USE_API)) {
-
-    // Guard 1: incomplete יא — user still typing
-    if (/יא\s*$/.test(trimmedText)) {
-      return { isEscalatory: false, escalationType: 'none', reasons: ['Incomplete יא — user still typing'] };
-    }
-
-    // Guard 2: יא + word — only escalatory if the word is a known insult
-    const yaInsultWords = [
-      'זבל','אשפה','מטומטם','מטומטמת','טיפש','טיפשה','שוטה','אידיוט','אידיוטית',
-      'בהמה','חמור','חמורה','כלב','כלבה','פרה','חזיר','חזירה',
-      'נבל','נבלה','מרושע','מרושעת','רשע','רשעה','שקרן','שקרנית',
-      'לוזר','פתי','פתיה','מניאק','מניאקית','פסיכו','משוגע','משוגעת',
-      'סרחון','דביל','דבילה','מפגר','מפגרת','עלוב','עלובה'
-    ];
-    const yaInsultPattern = new RegExp('יא\\s+(' + yaInsultWords.join('|') + ')', 'i');
-    // Only short-circuit if text is just "יא + one word" — multi-word phrases (e.g. "יא חי בסרט") need full pattern check
-    const yaWordCount = trimmedText.trim().split(/\s+/).length;
-    if (/יא\s+\S/.test(trimmedText) && !yaInsultPattern.test(trimmedText) && yaWordCount <= 2) {
-      return { isEscalatory: false, escalationType: 'none', reasons: ['יא + non-insult word — compliment or neutral'] };
-    }
-
-    // ── Hebrew local scoring ──────────────────────────────────────────────────
-    let hebrewScore = 0;
-    const hebrewReasons = [];
-    const hebrewECPM = []; // 'cognitive' | 'emotional' — per ECPM model
-
-    // Category 1: Direct insults / profanity (+3)
-    const hebrewInsultWords = [
-      // Animals (as direct insults)
-      'כלב','כלבה','חמור','חמורה','פרה','חזיר','חזירה','בהמה','חמורים','כלבים',
-      'בבון','קרפדה','נחש',
-
-      // Stupidity / cognitive
-      'טיפש','טיפשה','טיפשים','טיפשות',
-      'מטומטם','מטומטמת','מטומטמים','מטומטמות','טמטום',
-      'אידיוט','אידיוטית','אידיוטים','אידיוטיות',
-      'דביל','דבילה','דבילים','דבילות',
-      'מפגר','מפגרת','מפגרים','מפגרות',
-      'קרטין','קרטינית','קרטינים',
-      'מורון','מורונית','מורונים',
-      'שוטה','שוטים','שוטות',
-      'אהבל','אהבלית','אימבציל','דגנרט',
-      'כסיל','בער','עילג','סתום','חלול','אטום',
-      'בלטה','נעל','עציץ',
-      'חלאולאו',
-      'רפה שכל','חסר בינה','חסר דעת',
-      'מוח של ציפור','מוח של נמלה','מוח חלול','ראש כרוב','מוח של נעל',
-      'אטום במוח','אטום כקיר','סתום כלוט','סתום בלום',
-      'בור וניער','בור','בורה','עם הארץ',
-      'קצר רואי','עילג מחשבתית','מאותגר שכלית',
-      'חמור גרם','אהבל מושרש','רפיון שכלי',
-
-      // Moral corruption
-      'צבוע','צבועה','צבועים','צבועות','צבוע בן צבוע',
-      'שקרן','שקרנית','שקרנים','שקרניות',
-      'רמאי','רמאית','רמאים','רמאיות',
-      'נוכל','נוכלת','נוכלים','נוכלות',
-      'נלוז','נלוזה','שפל','שפלה',
-      'נבזה','נאלח','נתעב','מופקר',
-      'מושחת','מושחתת','מושחתים','מושחתות',
-      'מנוול','נבל','נבלה','רשע','רשעה',
-      'מרושע','מרושעת','מרושעים','מרושעות',
-      'סמרטוט','עבד נרצע','מלחך פנכה','חנפן','לקקן','תככן',
-      'בוגד','מלשין','שטינקר','חלאה','שרץ',
-      'ערמומי','חלקלק','מתחסד','טהרן',
-      'מוכר לוקשים','עוכר ישראל','סחי','עוכר',
-      'צמא דם','לב אבן','חסר צלם אנוש',
-      'טינופת','עשקן','מוצץ דם','רודף בצע',
-      'עז פנים','קשה עורף','נחש בריח',
-      'שרלטן','שרלטנית','שרלטנים',
-
-      // Disgust / physical repulsion
-      'מגעיל','מגעילה','מחריד','מחרידה',
-      'גועל נפש','מעורר בחילה','מאוס','דוחה',
-      'אשפה','זבל','סרחון','טינופת','ביוב',
-      'חרא','חרות','בולשיט','שיט','קאקי','חרא טהור',
-      'תת-אדם','תת-רמה','פרא אדם','ברברי',
-      'בהמת משא','חיית השדה','חיית אדם',
-      'פגע רע','גידול פרא','פרימיטיבי',
-      'ערס','פרחה','שלוח',
-
-      // Failure / worthlessness
-      'עלוב','עלובה','עלובים','עלובות','עלוב נפש','עלוב חיים',
-      'מביש','מבישה','כישלון',
-      'לוזר','לוזרית','לוזרים',
-      'אפס מאופס','חדל אישים','נמושה','רכיכה',
-      'חסר תועלת','קישוט','פסיק',
-      'טעות של הטבע','כלי ריק','קליפת השום',
-      'שבר כלי','פסולת אנושית','סרח עודף','נזק','חסר תקנה','חסרת תקנה',
-      'פוזאיסט','פוזאיסטית','פוזאיסטים','פוזאיסטיות',
-      'צל של בן אדם','גוש בשר','דחליל',
-      'חרפת המין האנושי','זנב לאריות',
-      'פתי','פתיה','פתאים',
-
-      // Personality / social
-      'מגלומן','נרקיסיסט','סוציופת','פסיכופת','סוציומט',
-      'יהיר','שחצן','פלצן','זחוח','נפוח מחשיבות עצמית',
-      'טרחן','קרציה','עלוקה','חופר','נודניק',
-      'מתנשא','מנותק','הזוי','סהרורי','מטורלל',
-      'מוכה כלבת','פרנואיד','אגואיסט',
-      'מוכה ירח','אובססיבי','חולני','נקמני',
-      'מתוסכל','קנאי חולני','מיזנתרופ',
-      'תחמן','דוחף אף','חסר טקט',
-      'מוכה סנוורים','משוגע לדבר אחד',
-      'מניאק','מניאקית','פסיכו',
-      'משוגע','משוגעת','משוגעים','משוגעות',
-
-      // Political / online discourse
-      'פשיסט','פשיסטית','פשיסטים',
-      'נאצי','נאצית','נאצים','יודונאצי','יודנראט',
-      'בוט','שופר','תעמלן','פנאט','פודל',
-      'מתוכנת','בובת על חוט','משת"פ','קוויזלינג',
-      'שטוף מוח','קיצוני','אנטי-ציוני',
-      'גזען','חשוך','אידיוט שימושי',
-      'טרול','טרול בשכר','מכונת רעל',
-      'מסית ומדיח','מחרחר ריב','לקקן חצר',
-      'חייל של מקלדת','צייצן','שופר מטעם',
-      'חסר עמוד שדרה אינטלקטואלי',
-
-      // Parasites
-      'טפיל','טפילה','טפילים',
-      'פחדן','פחדנית','פחדנים',
-    ];
-    // Support Hebrew prefixes: ו/ב/ל/כ/מ/ש/ה before insult words (e.g. "ועלובה", "כמטומטם")
-    const hebrewInsultRx = new RegExp(
-      '(?:^|[\\s,\\.!?״""\'()])(?:[ובלכמשה])?(?:' + hebrewInsultWords.join('|') + ')(?=$|[\\s,\\.!?״""\'()])'
-    );
-    if (hebrewInsultRx.test(trimmedText)) {
-      hebrewScore += 3;
-      hebrewReasons.push('Hebrew insult/profanity');
-      hebrewECPM.push('emotional');
-    }
-    if (/פשיסט|נאצי|נאצים|פשיסטים/.test(trimmedText)) {
-      hebrewScore += 3;
-      hebrewReasons.push('Extreme political slur');
-      hebrewECPM.push('emotional');
-    }
-
-    // Category 2: Blame patterns (+2.5)
-    const hebrewBlamePatterns = [
-      /בגללך/,
-      /בגלל\s+אנשים\s+כמוך/,
-      /אשמתך/,
-      /(?:אתה|את|אתם|אתן)\s+אשמ/,
-      /(?:אתה|את|אתם|אתן)\s+גרמת|אתם\s+גרמתם/,
-      /בגלל\s+מה\s+שאתה\s+עשית/,
-      /(?:אתה|את|אתם|אתן)\s+(?:הרסת|הרסתם|הרסתן)/,
-      /בגלל\s+(?:אנשים\s+כמוך|כמוך)/,
-    ];
-    hebrewBlamePatterns.forEach(p => {
-      if (p.test(trimmedText)) {
-        hebrewScore += 2.5;
-        hebrewReasons.push('Hebrew blame/accusation');
-        hebrewECPM.push('emotional');
-      }
-    });
-
-    // Spread-of-negativity: [verb of spreading] + [negative noun] (+2)
-    const spreadVerbs = '(?:להפיץ|מפיץ|מפיצה|מפיצים|תפיץ|תפיצו|הפצת|לשפוך|שופך|שופכת|שופכים|תשפוך|לשדר|משדר|משדרת|לזהם|מזהם|מזהמת|מזהמים|תזהם|להרעיל|מרעיל|מרעילה|מרעילים|תרעיל|לטמא|מטמא|מטמאת|לכלך|מכלך|מכלכת|להסית|מסית|מסיתה|מסיתים|תסית|לזרוע|זורע|זורעת|זורעים|תזרע|לייצר|מייצר|מייצרת)';
-    const spreadNouns = '(?:רעל|ארס|שנאה|הסתה|זוהמה|טינופת|שקרים|שקר|בלבול|פחד|פניקה|מרירות|כאוס|אנרכיה|פירוד|פיצול|מחלוקת|קנאה|שנאת חינם|אלימות|טרור|פשע|ריקבון|השחתה|פגע|ייאוש|דיכאון|כעס|זעם|חרדה|פרנויה|הסתה לאלימות)';
-    const spreadRx = new RegExp(spreadVerbs + '\\s+(?:את\\s+ה|ה)?' + spreadNouns);
-    if (spreadRx.test(trimmedText)) {
-      hebrewScore += 2;
-      hebrewReasons.push('Hebrew spread-of-negativity pattern');
-      hebrewECPM.push('emotional');
-    }
-
-    // Category 3: Accusatory "you" + absolutes (+2)
-    const hebrewAccusatoryPatterns = [
-      /(?:אתה|את|אתם|אתן)\s+תמיד/,
-      /(?:אתה|את|אתם|אתן)\s+אף\s+פעם/,
-      /(?:אתה|את|אתם|אתן)\s+לעולם\s+לא/,
-      /(?:אתה|את|אתם|אתן)\s+כל\s+כך\s+/,
-      /(?:אתה|את|אתם|אתן)\s+כזה\s+/,
-      /(?:אתה|את)\s+(?:לא\s+)?מבינ/,
-    ];
-    hebrewAccusatoryPatterns.forEach(p => {
-      if (p.test(trimmedText)) {
-        hebrewScore += 2;
-        hebrewReasons.push('Hebrew accusatory "you" + absolute');
-        hebrewECPM.push('emotional'); // blame directed at "you"
-      }
-    });
-
-    // Category 4: Categorical / absolute language (+1, up to +2)
-    const hebrewCategoricalPatterns = [
-      /תמיד/, /אף\s+פעם/, /לעולם\s+לא/, /כולם/, /אף\s+אחד/,
-      /הכל/, /כלום/, /בהחלט/, /ללא\s+יוצא\s+מן\s+הכלל/
-    ];
-    let hebrewCategoricalCount = 0;
-    hebrewCategoricalPatterns.forEach(p => {
-      const m = trimmedText.match(new RegExp(p.source, 'g'));
-      if (m) hebrewCategoricalCount += m.length;
-    });
-    if (hebrewCategoricalCount >= 3) {
-      hebrewScore += 2; hebrewReasons.push('Multiple Hebrew categorical terms'); hebrewECPM.push('cognitive');
-    } else if (hebrewCategoricalCount >= 1) {
-      hebrewScore += 1; hebrewReasons.push('Hebrew categorical/absolute language'); hebrewECPM.push('cognitive');
-    }
-
-    // Category 5: Dismissal (+1.5)
-    const hebrewDismissalPatterns = [
-      /שטויות/,
-      /זה\s+לא\s+נכון/,
-      /(?:אתה|את)\s+טועה/,
-      /אתם\s+טועים/,
-      /אין\s+לך\s+מושג/,
-      /(?:אתה|את)\s+לא\s+מבינ/,
-      /זה\s+לא\s+משנה/,
-      /לא\s+מעניין\s+אותי/,
-      /אין\s+לזה\s+שחר/,
-      /חזור\s+לחור\s+שממנו\s+יצאת/,
-      /לך\s+מפה/,
-      /תעלם\s+מפה/,
-      /אין\s+טעם\s+(?:להסביר|לדבר|לשוחח)\s+(?:לך|איתך|עמך)/,
-      /אין\s+לך\s+מה\s+(?:לחפש|לעשות)\s+פה/,
-      /מי\s+שאל\s+(?:אותך|אותו|אותה|אתכם)/,
-      /מי\s+ביקש\s+(?:את\s+)?דעתך/,
-      /(?:צא|צאי|תצא|תצאי)\s+(?:כבר\s+)?מהבועה/,
-      /(?:צא|צאי|תצא|תצאי)\s+(?:כבר\s+)?מה(?:בועה|מנהרה|ראש)/,
-      // Passive-aggressive silencing — "כדאי היה לשמור לעצמך"
-      /היה\s+עדיף\s+(?:אם\s+)?(?:היית|תהיה|תהיי)\s+(?:שומר|שומרת)\s+.{0,20}לעצמ(?:ך|ו|ה)/,
-      /(?:לא\s+)?(?:חייב|חייבת)\s+לשתף\s+כל\s+(?:מחשבה|דעה|רגש|פוסט)/,
-      /אפשר\s+(?:גם\s+)?לא\s+לשתף/,
-      /(?:דעתך|דעתו|דעתה)\s+(?:לא\s+)?נשאלה/,
-      /(?:לא\s+)?(?:כדאי|עדיף)\s+(?:היה\s+)?(?:לך\s+)?לשמור\s+.{0,15}לעצמ(?:ך|ו|ה)/,
-      // "מייצר רעש בלי תוכן" — dismissal of substance
-      /מייצר[תת]?\s+(?:רק\s+)?רעש\s+(?:בלי|ללא)\s+תוכן/,
-      /(?:אין\s+(?:לך|לו|לה)\s+)?(?:שום\s+)?תוכן\s+(?:מאחורי|מתחת\s+ל|מעבר\s+ל)\s*.{0,20}(?:דברים|מילים|פוסטים)/,
-      // "תחזור ל[פלטפורמה], X גדול/קטן עליך"
-      /(?:תחזור|תחזרי|לך)\s+ל(?:טוויטר|פייסבוק|אינסטגרם|טיקטוק|רדיט|וואטסאפ|טלגרם)/,
-      /(?:פייסבוק|טוויטר|אינסטגרם|טיקטוק|רדיט)\s+(?:גדול|קטן|לא\s+מתאים)\s+עליך/,
-      /(?:אתה|את)\s+(?:גר[אה]?\s+ב)(?:עולם\s+אחר|עולם\s+דמיוני|ממד\s+אחר)/,
-      // "[negative noun] שלך/שלכם" — dismissal via naming a negative trait/behavior
-      new RegExp(
-        '(?:[הובלכמשד])?' +
-        '(?:' + [
-          // Stupidity
-          'טיפשות','בורות','אטימות','עיוורון','חוסר\\s+הבנה','אי.הבנה',
-          // Internet behavior
-          'טרלול','טרולינג','ספאם','הסתה','פייק','פרופגנדה','דיסאינפורמציה',
-          // Arrogance / insolence
-          'חוצפה','עזות\\s+מצח','עזות','חציפות','יומרנות',
-          // Disgust / low
-          'רפש','ביזיון','קלון','זוהמה','שפלות','נבזות','פחיתות','ארס','רעל','מרירות',
-          // Manipulation / distortion
-          'בלבולי?\\s+שכל','זיוני?\\s+שכל','זיון\\s+מוח','שטיפת\\s+מוח',
-          'הטעיה','מניפולציה','זיוף\\s+מציאות','עיוות\\s+מציאות','עיוות',
-          'הרעלת\\s+מוח','גאזלייטינג',
-          // Lies
-          'שקרנות','כזבים','בדיות','המצאות',
-          // Excess / garbage
-          'הגזמות','שטויות','בלאגן','בולשיט',
-          // Failure
-          'כישלון','פשלות','חוסר\\s+יכולת',
-          // Hate
-          'שנאה','כעס','זעם'
-        ].join('|') +
-        ')(?:\\s+שלך|\\s+שלכם|\\s+שלכן)'
-      ),
-    ];
-    hebrewDismissalPatterns.forEach(p => {
-      if (p.test(trimmedText)) {
-        hebrewScore += 1.5;
-        hebrewReasons.push('Hebrew dismissal');
-        hebrewECPM.push('emotional');
-      }
-    });
-
-    // "יש לך את זה ביותר X" — sarcastic dismissal of substance (+2.5)
-    if (/יש\s+לך\s+את\s+זה\s+ביותר\s+(?:פופוליסטי|שטחי|עמום|מגוחך|מגושם|טיפשי|דבילי|מפגר|אידיוטי|נאיבי|פרימיטיבי|ילדותי|מביך|עלוב|גרוע|גנרי|ריק|מקומם|מרושע|מחורבן|פרנואידי|חרדתי|מוגזם|חומרי|מסיט|רדוד|משמים|חסר\s+תוכן|חסר\s+בסיס|חסר\s+היגיון)/.test(trimmedText)) {
-      hebrewScore += 2.5;
-      hebrewReasons.push('Hebrew sarcastic dismissal (יש לך את זה ביותר)');
-      hebrewECPM.push('emotional');
-    }
-
-    // "חי בסרט" — living in a movie (delusional/disconnected), strong dismissal (+2.5)
-    if (/(?:חי[אהתם]?|חיים|חיות|לחיות|תחי[הי]?|יחי[הי]?)(?=[\s,\.!?״"'()]|$).{0,20}בסרט/.test(trimmedText) ||
-        /(?:ב)?סרט.{0,30}(?:חי[אהתם]?|חיים|חיות|לחיות|תחי[הי]?|יחי[הי]?)/.test(trimmedText)) {
-      hebrewScore += 2.5;
-      hebrewReasons.push('Hebrew dismissal - living in a movie');
-      hebrewECPM.push('emotional');
-    }
-
-    // Category 6: Derogatory group label + negative predicate (+2)
-    const hebrewGroupLabels = [
-      // Political
-      'שמאלנים','ימנים','ביביסטים','ליברלים','פשיסטים','קומוניסטים','ציונים','מתנחלים','פלסטינאים',
-      // Religious / ethnic
-      'חרדים','דתיים','חילונים','מסורתיים','דתלשים','דתל"שים',
-      'אשכנזים','מזרחים','ספרדים','אתיופים','דרוזים','ערבים','בדואים',
-      // Appearance / physical
-      "ג'ינג'ים","ג׳ינג׳ים",'שמנים','רזים',
-      // Geographic / lifestyle
-      'תל אביבים','ירושלמים','מתנשאים',
-      // Gender / orientation
-      'פמיניסטיות','פמיניסטים','הומואים','לסביות','טרנסים'
-    ];
-    const hebrewGroupNegative = /(?:\s+תמיד|\s+אף\s+פעם|\s+לעולם|\s+כולם|\s+הורסים|\s+אשמים|\s+גרמו|\s+בגלל|\s+שונאים|\s+מסוכנים|\s+מזיקים|\s+מרעילים|\s+מחריבים|\s+כושלים|\s+רעים|\s+גרועים|\s+מטורפים|\s+מחרפנים|\s+לא\s+שווים|\s+לא\s+בסדר|\s+סכנה|\s+בעיה|\s+אסון|\s+אותו\s+הדבר|\s+כולם\s+אותו|\s+ידועים|\s+כבר\s+ידועים)/;
-    hebrewGroupLabels.forEach(label => {
-      if (new RegExp(label + hebrewGroupNegative.source).test(trimmedText)) {
-        hebrewScore += 2;
-        hebrewReasons.push('Hebrew derogatory group label as attack');
-        hebrewECPM.push('cognitive'); // generalizing/categorical talk per ECPM
-      }
-      // "כל ה[group]" standalone — categorical dismissal of a whole group (+1.5)
-      if (new RegExp('כל\\s+ה' + label).test(trimmedText)) {
-        hebrewScore += 1.5;
-        hebrewReasons.push('Hebrew categorical group dismissal (כל ה...)');
-        hebrewECPM.push('cognitive');
-      }
-    });
-
-    // Category 7: Exclamation marks + caps (mirrors English)
-    const hebrewExcl = (trimmedText.match(/!/g) || []).length;
-    if (hebrewExcl >= 2) { hebrewScore += 1; hebrewReasons.push('Multiple exclamation marks'); }
-    else if (hebrewExcl === 1 && trimmedText.length < 80) { hebrewScore += 0.5; hebrewReasons.push('Exclamation mark'); }
-    const hebrewCapsRatio = trimmedText.length > 0 ? (trimmedText.match(/[A-Z]/g) || []).length / trimmedText.length : 0;
-    if (hebrewCapsRatio > 0.25 && trimmedText.length > 15) { hebrewScore += 1.5; hebrewReasons.push('Excessive caps'); }
-    else if (hebrewCapsRatio > 0.15 && trimmedText.length > 30) { hebrewScore += 0.5; hebrewReasons.push('Caps emphasis'); }
-
-    // Category 8: Judging / condemning (+2 to +2.5)
-    if (/אני לא מאמינ[אה] כמה (?:אתה|את) /.test(trimmedText) ||
-        /כמה (?:אתה|את) (?:טיפש|טיפשה|מגוחך|מגוחכת|עצוב|עצובה|נורא|נוראי|נוראית|עלוב|עלובה)/.test(trimmedText)) {
-      hebrewScore += 2.5;
-      hebrewReasons.push('Hebrew judging/condemning (high-weight)');
-      hebrewECPM.push('emotional');
-    }
-    // "כמה אפשר להיות X" / "כמה X אפשר להיות" — rhetorical judging + insult word
-    const kamaEfsharRx = new RegExp(
-      'כמה\\s+(?:אפשר\\s+להיות\\s+|\\S+\\s+אפשר\\s+להיות\\s+)?' +
-      '(?:' + hebrewInsultWords.map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|') + ')'
-    );
-    if (kamaEfsharRx.test(trimmedText)) {
-      hebrewScore += 2;
-      hebrewReasons.push('Hebrew rhetorical judging structure (כמה אפשר להיות)');
-      hebrewECPM.push('emotional');
-    }
-    const hebrewJudgingPatterns = [
-      // "הכל אצלך זה [שלילי]" — total dismissal of person's motives/behavior
-      /הכל\s+אצל(?:ך|ו|ה|כם|כן|הם|הן)\s+(?:זה|הוא|היא)\s+(?:פוזה|פוזות|תרגיל|שקר|שקרים|הצגה|בלוף|מניפולציה|תחפושת|מסכה|פוליטיקה|חרא|בולשיט|שטויות|אגו|נרקיסיזם|כסף|אינטרסים|חישובים|טקטיקה)/,
-      /(?:אתה|את) (?:כזה|כזאת|ממש|פשוט) (?:נורא|נוראי|נוראית|איום|איומה|מגעיל|מגעילה|מחריד|מחרידה|מביש|מבישה|עלוב|עלובה|מצחיק|מצחיקה|עצוב|עצובה)/,
-      /(?:אתה|את)\s+פשוט\s+(?:חסר|חסרת)\s+(?:תקנה|בסיס|היגיון|מצפון|כבוד|עמוד שדרה|בושה|ערכים|תודעה|אחריות)/,
-      // Rhetorical belittling questions — "זו הרמה הכי גבוהה שהגעת?"
-      /(?:זו|זה|זאת)\s+ה(?:רמה|יכולת|הישג|תרומה|תגובה|טענה|תשובה)\s+הכי\s+(?:גבוהה?|טובה?|חכמה?|עמוקה?)\s+ש(?:הצלחת|יכולת|אתה\s+מסוגל|את\s+מסוגלת)/,
-      /(?:עד\s+כאן|רק\s+עד\s+פה)\s+(?:הגעת|הגעתם|יכולת|אתה\s+מגיע)/,
-      /זה\s+(?:הכי\s+טוב|הכי\s+חכם|כל\s+מה)\s+ש(?:יש\s+לך|אתה\s+יכול|יכולת)\s+(?:להגיד|להציע|לתרום)/,
-      /(?:אתה|את) (?:אדם|בן אדם|יצור) (?:נורא|נוראי|נוראית|איום|איומה|מגעיל|מגעילה|מחריד|מחרידה|מביש|מבישה)/,
-      /איזה (?:בן אדם|יצור|דמות|אדם) (?:עצוב|עצובה|עלוב|עלובה|מביש|מבישה|נורא|נוראי|מגעיל|מגעילה)/,
-      /(?:אתה|את) (?:הכי|הדבר הכי) (?:נורא|גרוע|גרועה|מגעיל|מגעילה|עלוב|עלובה|מביש|מבישה)/,
-      /לא יאומן כמה (?:אתה|את)/,
-      /(?:אתה|את) (?:ממש )?(?:מביש|מבישה|מגעיל|מגעילה|מחריד|מחרידה|מביך|מביכה)/,
-      /מביך\s+ש.*(?:אתה|את)/,
-      /(?:אתה|את).*מביך\s+ש/,
-      /(?:אתה|את) (?:הכי גדול ב|אלוף ב)?שקרים/,
-      /(?:אתה|את) (?:מייצג|מייצגת|מגלם|מגלמת) את כל מה ש(?:רע|לא בסדר|שגוי|מושחת|נורא|גרוע|כושל|מקולקל)/,
-      /קודם (?:תהיה|תהיי|תהפוך ל) בן\s*אדם/,
-      /(?:אתה|את) (?:פשוט\s+)?(?:בדיחה|פארסה|קריקטורה|מיים|ג'וק|ג׳וק|סאטירה)(?:\s+(?:מהלכת?|חיה|של\s+\w+))?/,
-      /(?:אתה|את) (?:בושה|חרפה|גנאי|ביזיון|קלון) (?:ל|של)/,
-      /(?:אתה|את) (?:ה)?(?:בושה|חרפה|ביזיון|קלון) (?:של|ל|למדינה|למשפחה|לחברה|לדור)/,
-      /איזה\s+(?:נזק|אסון|כישלון|ביזיון|פיאסקו|חרפה|בושה|אפס|חדל\s+אישים|עלוב)\s+(?:אתה|את|זה|הוא|היא)/,
-      /(?:ביב|נתניהו|גנץ|\w+) (?:הוא|היא) (?:אדם|יצור|בן אדם|ה)?(?:נורא|נוראי|נוראית|מגעיל|מגעילה|מחריד|מחרידה|מביש|מבישה|עלוב|עלובה|שרלטן|רמאי|שקרן)/
-    ];
-    hebrewJudgingPatterns.forEach(p => {
-      if (p.test(trimmedText)) {
-        hebrewScore += 2;
-        hebrewReasons.push('Hebrew judging/condemning');
-        hebrewECPM.push('emotional');
-      }
-    });
-
-    // Category 9: Dehumanization via animal comparison (+2.5)
-    // Pattern: animal verb directed at others, or group + animal label/adjective
-    // NOT triggered by self-directed ("אני חי כמו כלב")
-    const animalVerbs = ['נובח','נובחים','נובחות','נובחת','תנבח','תנבחו','גועה','גועים','נוהם','נוהמים','נושך','נושכים','מנשך','רומס','רומסים'];
-    const animalVerbRx = new RegExp('(?:אתה|את|אתם|אתן|הם|הן|(?:ה(?:שמאלנים|ימנים|חרדים|ערבים|ציונים|מתנחלים|חילונים|ביביסטים|\\w+ים)))\\s+(?:' + animalVerbs.join('|') + ')', 'i');
-    if (animalVerbRx.test(trimmedText)) {
-      hebrewScore += 2.5;
-      hebrewReasons.push('Hebrew dehumanization — animal verb directed at others');
-      hebrewECPM.push('emotional');
-    }
-
-    // "[group] + animal adjective" — e.g. "הקפלניסטים החזירים", "השמאלנים הכלבים"
-    const animalAdjectives = ['החזירים','החזירות','הכלבים','הכלבות','החמורים','החמורות','הבהמות','הנחשים','החולדות','העכברים','הטפילים'];
-    const animalAdjectiveRx = new RegExp('(?:ה\\w+)\\s+(?:' + animalAdjectives.join('|') + ')|(?:' + animalAdjectives.join('|') + ')\\s+(?:ה\\w+|האלה|הללו)');
-    if (animalAdjectiveRx.test(trimmedText)) {
-      hebrewScore += 2.5;
-      hebrewReasons.push('Hebrew dehumanization — group + animal label');
-      hebrewECPM.push('emotional');
-    }
-
-    // "מתנהגים/מתנהגות כמו [animal]" — directed at others (not "אני")
-    const animalNouns = ['חזירים','חזירות','כלבים','כלבות','חמורים','חמורות','בהמות','עדר','כבשים','זאבים','נחשים','עכברים','חולדות','טפילים','עורבים'];
-    const behaveLikeAnimalRx = new RegExp('(?:אתם|אתן|הם|הן|(?:ה\\w+(?:ים|ות)))\\s+(?:מתנהג(?:ים|ות)|חי(?:ים|ות)|נראה|נראים)\\s+כמו\\s+(?:' + animalNouns.join('|') + '|עדר)', 'i');
-    if (behaveLikeAnimalRx.test(trimmedText)) {
-      hebrewScore += 2.5;
-      hebrewReasons.push('Hebrew dehumanization — behaves like animal');
-      hebrewECPM.push('emotional');
-    }
-
-    // Category 10: "We vs. Them" polarization — per ECPM model (cognitive dimension) (+2.5)
-    // Pattern: explicit ingroup (אנחנו) vs outgroup (אתם/הם/[group]) construction
-    const weVsThemPatterns = [
-      // "אנחנו X ואתם Y" — explicit polarization
-      /אנחנו\b.{1,40}\bואתם\b/,
-      /אנחנו\b.{1,40}\bואתן\b/,
-      /אנחנו\b.{1,40}\bוהם\b/,
-      /אנחנו\b.{1,40}\bאבל\s+(?:אתם|הם|הן)\b/,
-      // "אתם ה[group]" — direct address of outgroup
-      /אתם\s+ה(?:שמאלנים|ימנים|חרדים|חילונים|ערבים|ביביסטים|אשכנזים|מזרחים|דתיים|מתנחלים)/,
-      // "אנחנו ה[group]... אתם" — ingroup positive / outgroup negative
-      /אנחנו\s+ה\w+.{1,60}(?:אתם|הם|הן)/,
-      // "הצד שלנו" vs "הצד שלכם/שלהם"
-      /הצד\s+שלנו\b.{1,40}הצד\s+של(?:כם|הם)/,
-      // "אנשים כמונו" vs "אנשים כמוכם/כמוהם"
-      /כמונו\b.{1,30}כמו(?:כם|הם)\b/,
-      // "אתה/את וכל ה[group]" — lumping person into outgroup
-      /(?:אתה|את|אתם|אתן)\s+וכל\s+ה(?:שמאלנים|ימנים|חרדים|חילונים|ערבים|ביביסטים|אשכנזים|מזרחים|דתיים|מתנחלים|ליברלים|לאומנים|פשיסטים|קומוניסטים|ציונים|פלסטינאים|בוגדים|בוטים|שקרנים|מסיתים)/,
-      // "אתה בדיוק כמו כל ה[group]" — equivalence with group
-      /(?:אתה|את)\s+(?:בדיוק\s+)?כמו\s+כל\s+ה(?:שמאלנים|ימנים|חרדים|חילונים|ערבים|ביביסטים|אשכנזים|מזרחים|דתיים|מתנחלים|ליברלים|לאומנים)/,
-    ];
-    weVsThemPatterns.forEach(p => {
-      if (p.test(trimmedText)) {
-        hebrewScore += 2.5;
-        hebrewReasons.push('Hebrew We-vs-Them polarization (ECPM cognitive)');
-        hebrewECPM.push('cognitive');
-      }
-    });
+  // Drafts that mix scripts (e.g. Hebrew with English) are scored segment by segment
+  const segments = segmentByScript(trimmedText);
+  if (segments.length > 1) {
+    return scoreMixedLanguageText(trimmedText, segments, settings);
+  }
 
-    // Combination bonus
-    const hHasAttack = hebrewReasons.some(r => r.includes('insult') || r.includes('blame') || r.includes('accusat') || r.includes('slur') || r.includes('judging') || r.includes('dehumanization'));
-    const hHasCategorical = hebrewReasons.some(r => r.includes('categorical') || r.includes('absolute') || r.includes('group') || r.includes('polarization'));
-    if (hHasAttack && hHasCategorical) { hebrewScore += 1; hebrewReasons.push('Combined attack+categorical'); hebrewECPM.push('emotional'); }
+  // Arabic local scoring — same ECPM rule categories and API verification gate as Hebrew.
+  // Mixed Hebrew/Arabic text is segmented above; this branch only sees single-script drafts.
+  if (hasArabic && !hasHebrew) {
+    const arabicResult = scoreArabicText(trimmedText, settings);
+    const arabicScore = arabicResult.score;
+    const arabicEscalationType = classifyEcpmType(arabicResult.hits);
+    const firedRuleIds = getFiredRuleIds(arabicResult.hits);
+    const ruleHits = getRuleWeights(arabicResult.hits);
+
+    if (arabicScore <= settings.apiGateThreshold || !hasUnscopedSignal(arabicResult)) {
+      console.log('✓ Arabic — no escalatory signals', { text: trimmedText.substring(0, 50), score: arabicScore });
+      return { isEscalatory: false, escalationType: 'none', reasons: ['Arabic — no escalatory signals', ...arabicResult.reasons], firedRuleIds, ruleHits, spans: getRuleSpans(arabicResult.hits), escalationScore: arabicScore, detectionSettings: settings };
+    }
+    console.log(`🚨 Arabic escalation signals (score: ${arabicScore.toFixed(1)}, ECPM: ${arabicEscalationType}) → API`, { reasons: arabicResult.reasons, firedRuleIds });
+    return { isEscalatory: true, escalationType: arabicEscalationType, reasons: arabicResult.reasons, requiresAPI: true, firedRuleIds, ruleHits, spans: getRuleSpans(arabicResult.hits), escalationScore: arabicScore, detectionSettings: settings };
+  }
 
-    // ── ECPM classification ───────────────────────────────────────────────────
-    const hHasCognitive = hebrewECPM.includes('cognitive');
-    const hHasEmotional = hebrewECPM.includes('emotional');
-    let hebrewEscalationType = 'other';
-    if (hHasCognitive && hHasEmotional) hebrewEscalationType = 'both';
-    else if (hHasCognitive) hebrewEscalationType = 'cognitive';
-    else if (hHasEmotional) hebrewEscalationType = 'emotional';
+  // Hebrew local scoring — mirrors English detection logic (rules in escalation-rules.js).
+  // Score ≤ apiGateThreshold (default 0) → not escalatory, no API call. Above it → API makes final call.
+  // Negated, quoted or reported matches alone never go to the API (hasUnscopedSignal).
+  if (hasHebrew || (hasNonLatin && USE_API)) {
+    const { result: hebrewResult, guardReason } = scoreHebrewText(trimmedText, settings);
+    if (guardReason) {
+      return { isEscalatory: false, escalationType: 'none', reasons: [guardReason] };
+    }
+    const hebrewScore = hebrewResult.score;
+    const hebrewReasons = hebrewResult.reasons;
+    const hebrewEscalationType = classifyEcpmType(hebrewResult.hits);
+    const firedRuleIds = getFiredRuleIds(hebrewResult.hits);
+    const ruleHits = getRuleWeights(hebrewResult.hits);
 
     // ── Decision ─────────────────────────────────────────────────────────────
-    if (hebrewScore === 0) {
-      console.log('✓ Hebrew — no escalatory signals', { text: trimmedText.substring(0, 50) });
-      return { isEscalatory: false, escalationType: 'none', reasons: ['Hebrew — no escalatory signals'] };
+    if (hebrewScore <= settings.apiGateThreshold || !hasUnscopedSignal(hebrewResult)) {
+      console.log('✓ Hebrew — no escalatory signals', { text: trimmedText.substring(0, 50), score: hebrewScore });
+      return { isEscalatory: false, escalationType: 'none', reasons: ['Hebrew — no escalatory signals', ...hebrewReasons], firedRuleIds, ruleHits, spans: getRuleSpans(hebrewResult.hits), escalationScore: hebrewScore, detectionSettings: settings };
     }
-    console.log(`🚨 Hebrew escalation signals (score: ${hebrewScore.toFixed(1)}, ECPM: ${hebrewEscalationType}) → API`, { reasons: hebrewReasons });
-    return { isEscalatory: true, escalationType: hebrewEscalationType, reasons: hebrewReasons, hebrewScore, requiresAPI: true };
+    console.log(`🚨 Hebrew escalation signals (score: ${hebrewScore.toFixed(1)}, ECPM: ${hebrewEscalationType}) → API`, { reasons: hebrewReasons, firedRuleIds });
+    return { isEscalatory: true, escalationType: hebrewEscalationType, reasons: hebrewReasons, hebrewScore, requiresAPI: true, firedRuleIds, ruleHits, spans: getRuleSpans(hebrewResult.hits), escalationScore: hebrewScore, detectionSettings: settings };
   }
 
-  let escalationScore = 0;
-  const reasons = [];
+  const { result, hasAnyProfanity } = scoreEnglishText(trimmedText, settings);
+  const reasons = result.reasons;
+  const escalationScore = result.score;
 
-  // ===== COGNITIVE DIMENSION: Argumentative Talk =====
-  // Pattern: Talking in absolute truths, categorical statements
-  
-  // Common misspellings for key escalatory words (ridiculous is frequently misspelled)
-  const ridiculousVariants = '(?:ridiculous|rediculous|rediculus|ridiculus|redicoulous)';
-  const stupidVariants = '(?:stupid|stuped|stupied)';
-
-  // 1. Absolute truth statements
-  const absoluteTruthPatterns = [
-    /\b(you are wrong|you're wrong)\b/i,
-    /\b(you are (?:always|never|totally|completely|absolutely|so|just) wrong)\b/i, // "you are [adverb] wrong"
-    /\b(you're (?:always|never|totally|completely|absolutely|so|just) wrong)\b/i,
-    /\b(?:are|is) (?:always|never|totally|completely|absolutely) wrong\b/i, // General "are always wrong"
-    /\b(i am right|i'm right)\b/i,
-    /\b(i totally disagree|completely disagree|absolutely wrong)\b/i,
-    /\b(that's not true|that is not true|that's false)\b/i,
-    /\b(you don't understand|you don't get it)\b/i,
-    new RegExp(`\\b(this is|it's|it is|that's|that is) (?:so |completely |totally )?wrong\\b`, 'i'), // "this is wrong", "this is so wrong", "it's completely wrong"
-    new RegExp(`\\b(that's|that is|it's|it is) ${ridiculousVariants}\\b`, 'i'),
-    new RegExp(`\\b(that's|that is|it's|it is) (?:absurd|${stupidVariants})\\b`, 'i'),
-    new RegExp(`\\b(that's|it's|that is|it is) (?:a|an) (?:${stupidVariants}|${ridiculousVariants}|absurd|terrible|awful|horrible|disgusting|pathetic|dumb|idiotic)(?:\\s+(?:argument|idea|point|statement|claim|thing|view|opinion))?\\b`, 'i'), // "that's a stupid argument", "it's a ridiculous idea"
-    new RegExp(`\\b(?:their|his|her) (?:${ridiculousVariants}|absurd|${stupidVariants}|idiotic) (?:ideas?|views?|opinions?)\\b`, 'i'),
-    /\bwill never work\b/i, // Absolute dismissal
-    /\bwill always (?:fail|lose|be wrong)\b/i
-  ];
+  // Threshold: LOWER (default 2.0, see detection-settings.js) - when uncertain, prefer showing tooltip.
+  // Better to over-detect than miss escalation. Cursing/insults are BASIC: always = escalation
+  const isEscalatory = escalationScore >= settings.threshold || hasAnyProfanity;
+  const escalationType = isEscalatory ? classifyEcpmType(result.hits) : 'none';
+  const firedRuleIds = getFiredRuleIds(result.hits);
+  const ruleHits = getRuleWeights(result.hits);
   
-  absoluteTruthPatterns.forEach(pattern => {
-    if (pattern.test(trimmedText)) {
-      escalationScore += 2;
-      reasons.push("Absolute truth statement");
+  // Debug logging (always show score for texts longer than 10 chars)
+  if (trimmedText.length > 10) {
+    if (isEscalatory) {
+      console.log(`🚨 Escalation detected (score: ${escalationScore.toFixed(1)})`, {
+        text: trimmedText.substring(0, 100) + (trimmedText.length > 100 ? '...' : ''),
+        reasons: reasons,
+        escalationType,
+        firedRuleIds
+      });
+    } else {
+      console.log(`✓ No escalation (score: ${escalationScore.toFixed(1)} < ${settings.threshold})`, {
+        text: trimmedText.substring(0, 50),
+        reasons: reasons.length > 0 ? reasons : ['none']
+      });
     }
-  });
-
-  // 2. Generalized/categorical statements (e.g., "the Arabs", "the Leftists", "all X")
-  const generalizedPatterns = [
-    /\b(the (?:arabs|palestinians|jews|israelis|leftists?|rightists?|lefties?|righties?|leftys?|rightys?|laefies?|republicans|democrats|liberals|conservatives|orthodox|libs?|zionists?))\b/i,
-    /\b(the (?:tel avivians?|jerusalemites?|settlers?|hasidim|settlements?))\b/i, // "the Tel Avivians are...", "the settlers"
-    /\b(the (?:women|men|girls|boys|females|males|blonds?|blondes?|redheads?|vegans?|rednecks?|religious|ultra-orthodox|ultraorthodox))\b/i,
-    /\b(the (?:black people|white people|asian people|muslim people|christian people|jewish people))\b/i,
-    /\b(all (?:arabs|palestinians|jews|israelis|leftists?|rightists?|lefties?|righties?|libs?|republicans|democrats|liberals|conservatives|of them|of you))\b/i,
-    /\b(all (?:women|men|girls|boys|vegans?|rednecks?|blonds?|blondes?|redheads?|religious|ultra-orthodox|ultraorthodox|black people|white people|asian people|muslim people|christian people|jewish people))\b/i,
-    /\b(every (?:arab|palestinian|jew|israeli|leftist|rightist|leftie|rightie|lib|republican|democrat|liberal|conservative))\b/i,
-    /\b(every (?:woman|man|girl|boy|vegan|redneck|blond|blonde|redhead|religious person|ultra-orthodox person|ultraorthodox person))\b/i,
-    /\b(they all|you all|all of you|all of them)\b/i,
-    /\b(?:those|these) (?:people|guys|folks) (?:on the (?:other side|left|right))\b/i, // "those people on the other side"
-    /\b(?:anyone|everyone|everybody) who (?:supports?|believes?|thinks?|agrees?)\b/i, // "anyone who supports"
-    // "You [group]" patterns - direct address creating us vs them
-    /\b(you (?:lefties?|righties?|leftys?|rightys?|laefies?|libs?|conservatives?|republicans?|democrats?|liberals?|progressives?|leftists?|rightists?|arabs?|palestinians?|jews?|israelis?|zionists?))\b/i, // "you lefties", "you libs", etc.
-    /\b(your (?:lefties?|righties?|leftys?|rightys?|laefies?|libs?) (?:\w+)?)\b/i, // "your leftie friends", "your lefty agenda", "your lefties"
-    /\b(you (?:people|guys|folks|ones) (?:on the (?:left|right|other side)))\b/i, // "you people on the left"
-    /\b(you (?:left|right|liberal|conservative) (?:people|guys|folks|ones|snowflakes|nutjobs|wackos))\b/i, // "you left people", "you conservative nutjobs"
-    /\b(those|these) (?:lefties?|righties?|leftys?|rightys?|laefies?|libs?|conservatives?|liberals?|republicans?|democrats?|people|guys|folks)\b/i, // "those lefties", "these libs"
-    /\b(all|every) (?:lefties?|righties?|leftys?|rightys?|laefies?|libs?)\b/i, // "all lefties", "every leftie" (incl. lefty/righty, laefies typo)
-  ];
+  }
   
-  generalizedPatterns.forEach(pattern => {
-    if (pattern.test(trimmedText)) {
-      escalationScore += 2;
-      reasons.push("Generalized/categorical statement");
-    }
-  });
+  return {
+    isEscalatory,
+    escalationType,
+    reasons,
+    firedRuleIds,
+    ruleHits,
+    spans: getRuleSpans(result.hits),
+    escalationScore,
+    detectionSettings: settings
+  };
+}
 
-  // Group-stereotype patterns — group name used as subject + absolute claim
-  // Covers: "Why do women always...", "Leftists always destroy...", "Women never listen..."
-  const GROUP_NAMES = '(?:women|men|girls|boys|vegans?|rednecks?|blonds?|blondes?|redheads?|lefties?|righties?|leftists?|rightists?|liberals?|conservatives?|republicans?|democrats?|libs?|israelis?|palestinians?|jews?|arabs?|religious|ultra-orthodox|ultraorthodox|black people|white people|asian people|settlers?|zionists?|orthodox)';
-  const stereotypeQuestionPatterns = [
-    // "Why do [group] always..."
-    new RegExp(`\\bwhy do ${GROUP_NAMES} always\\b`, 'i'),
-    // "[Group] always/never [any verb]" — group as subject + absolute temporal qualifier
-    new RegExp(`\\b${GROUP_NAMES} (?:always|never) \\w`, 'i'),
-    // "[Group] [verb] everything/nothing/everyone/all..."
-    new RegExp(`\\b${GROUP_NAMES} (?:\\w+ )?(?:everything|nothing|everyone|everybody|all of|none of)\\b`, 'i'),
-  ];
+/**
+ * Whether a Hebrew/Arabic result has a signal that may pass the API gate. Negated, quoted or
+ * reported matches keep their discounted score, but unlike English there is no threshold above
+ * zero to absorb them, so on their own they never flag ("אני לא אומר שאתה טועה").
+ */
+function hasUnscopedSignal(result) {
+  return result.hits.some(hit => !hit.scope && hit.weight > 0);
+}
 
-  stereotypeQuestionPatterns.forEach(pattern => {
-    if (pattern.test(trimmedText)) {
-      escalationScore += 2;
-      reasons.push("Group stereotype/generalization");
-    }
-  });
+/**
+ * Arabic rule score for a single-script piece of text
+ */
+function scoreArabicText(text, settings) {
+  return applyComboRules(evaluateRules(text, 'ar', settings), 'ar', text, settings);
+}
 
-  // 3. Categorical/absolute language
-  const categoricalWords = [
-    /\b(always|never|everyone|nobody|nothing|everything|neither|either)\b/i,
-    /\b(only|solely|exclusively|completely|totally|absolutely|definitely|certainly|just|actually)\b/i
-  ];
-  
-  // Catch "once X, always X" pattern (categorical absolutism)
-  const onceAlwaysPattern = /\bonce (?:an? |a )?\w+, (?:always|forever) (?:an? |a )?\w+/i;
-  if (onceAlwaysPattern.test(trimmedText)) {
-    escalationScore += 2.5;
-    reasons.push("Categorical absolutist pattern (once X, always X)");
+/**
+ * Hebrew rule score. Returns { result, guardReason }; guardReason is set when a יא guard
+ * decided the text is not escalatory (result is then empty).
+ */
+function scoreHebrewText(text, settings) {
+  // Guard 1: incomplete יא — user still typing
+  if (/יא\s*$/.test(text)) {
+    return { result: createRuleResult(), guardReason: 'Incomplete יא — user still typing' };
   }
 
-  // "without exception" / "no exceptions" — explicit absolute dismissal of nuance
-  if (/\bwithout exception\b/i.test(trimmedText) || /\bno exceptions?\b/i.test(trimmedText)) {
-    escalationScore += 1.5;
-    reasons.push("Absolute qualifier (without exception)");
+  // Guard 2: יא + word — only escalatory if the word is a known insult
+  const yaInsultPattern = new RegExp('יא\\s+(' + HE_YA_INSULT_WORDS.join('|') + ')', 'i');
+  // Only short-circuit if text is just "יא + one word" — multi-word phrases (e.g. "יא חי בסרט") need full pattern check
+  const yaWordCount = text.trim().split(/\s+/).length;
+  if (/יא\s+\S/.test(text) && !yaInsultPattern.test(text) && yaWordCount <= 2) {
+    return { result: createRuleResult(), guardReason: 'יא + non-insult word — compliment or neutral' };
   }
-  
-  // Catch "only [verb]" categorical patterns (e.g., "only cares about", "only wants", "only thinks about")
-  // This is very categorical/absolute language
-  const onlyVerbPattern = /\bonly (?:cares?|cared|wants?|wanted|thinks?|thought|thinks about|cares about|wants? about|does|did|knows?|know|sees?|saw|understands?|understood|believes?|believed|matters?|mattered|interests?|interested)\b/i;
-  if (onlyVerbPattern.test(trimmedText)) {
-    escalationScore += 1.5;
-    reasons.push("Categorical/absolute language (only [verb])");
-  }
-  
-  // Count occurrences of categorical words
-  let categoricalCount = 0;
-  categoricalWords.forEach(pattern => {
-    const matches = trimmedText.match(new RegExp(pattern.source, 'gi'));
-    if (matches) categoricalCount += matches.length;
-  });
-  
-  // Categorical words indicate absolute/black-and-white thinking - escalatory regardless of text length
-  if (categoricalCount >= 1) {
-    escalationScore += 1;
-    reasons.push("Categorical/absolute language");
-  }
-
-  // ===== EMOTIONAL DIMENSION: Blame =====
-  // Pattern: Projecting negative emotions, judging, dismissing others
-
-  // 1. Accusative "you" statements (blaming)
-  const blamePatterns = [
-    /\b(you (?:always|never|can't|cannot|don't|won't|shouldn't|are|were|did|do|have|had))\b/i,
-    /\b(you (?:always|never) (?:do|say|think|act|behave))\b/i,
-    /\b(you're (?:always|never|just|so|too|being))\b/i,
-    /\b(you (?:lefties?|righties?|leftys?|rightys?|laefies?|libs?|people|guys|folks) (?:always|never|can't|don't|have no|have zero))\b/i, // "you lefties have no idea", "you people always"
-    /\b(you (?:lefties?|righties?|leftys?|rightys?|laefies?|libs?|conservatives?|people|guys|folks) (?:don't understand|don't get it|don't know|have no idea))\b/i, // "you lefties don't understand"
-    /\b(you (?:make|made|cause|caused|force|forced) (?:me|us|this|that)(?:\s+\w+)?)/i, // "you make me sick", "you make me angry", etc. (matches even if followed by adjective)
-    /\b(you (?:make|made) (?:me|us) (?:feel )?(?:sick|angry|sad|mad|upset|disgusted|furious|annoyed|frustrated|disappointed))\b/i, // Specific emotional reactions
-    /\b(it's (?:your|you're) (?:fault|problem|issue|doing))\b/i,
-    /\b(?:your|you're) (?:fault|problem|issue|doing)\b/i, // "your fault", "you're wrong" without "it's"
-    /\b(?:this|that|it) (?:is|was) (?:your|you're) (?:fault|problem)\b/i, // "this is your fault"
-    /\b(?:absolutely|completely|totally) (?:your|you're)\b/i, // "absolutely your fault"
-    /\b(?:just )?because of (?:people )?like you\b/i, // "just because of people like you"
-    /\bpeople like you\b/i, // "people like you" - group blame
-    /\bbecause of you(?:\s+(?:people|guys|folks))?\b/i // "because of you"
-  ];
-  
-  blamePatterns.forEach(pattern => {
-    if (pattern.test(trimmedText)) {
-      escalationScore += 2;
-      reasons.push("Blaming/accusative language");
-    }
-  });
-
-  // 2. Mocking/condescending patterns
-  const mockingPatterns = [
-    /\b(you always\.\.\.|you never\.\.\.)\b/i,
-    /\b(oh please|come on|seriously|give me a break|give me a fucking break)\b/i,
-    /\b(typical|of course|naturally|predictably)\b/i,
-    /\b(wow|really|sure|right)\b/i  // Sarcastic when used in certain contexts
-  ];
-  
-  mockingPatterns.forEach(pattern => {
-    if (pattern.test(trimmedText)) {
-      escalationScore += 1.5;
-      reasons.push("Mocking/condescending tone");
-    }
-  });
 
-  // 3. Dismissing others' emotions/opinions
-  const dismissivePatterns = [
-    /\b(that's not (?:true|real|how it works|the point))\b/i,
-    /\b(you're (?:wrong|mistaken|confused|misinformed))\b/i,
-    new RegExp(`\\b(this is|it's|it is|that's|that is) (?:so |completely |totally )?(?:wrong|${ridiculousVariants}|absurd|${stupidVariants}|terrible|awful|insane)\\b`, 'i'), // "this is wrong", "it's so wrong", "this is ridiculous"
-    /\bwrong (?:on|in) (?:so many|so many different|every) (?:levels?|ways?)\b/i, // "wrong on so many levels", "wrong in every way"
-    new RegExp(`\\b(what a|what an) (?:${stupidVariants}|${ridiculousVariants}|absurd|terrible|awful|horrible|pathetic|dumb|idiotic|disgusting) (?:idea|argument|point|statement|claim|view|opinion)\\b`, 'i'), // "what a ridiculous idea", "what a stupid argument"
-    /\b(that doesn't (?:matter|count|make sense|work))\b/i,
-    /\b(i don't (?:care|give a|want to hear))\b/i,
-    /\b(whatever|who cares|so what)\b/i
-  ];
-  
-  dismissivePatterns.forEach(pattern => {
-    if (pattern.test(trimmedText)) {
-      escalationScore += 1.5;
-      reasons.push("Dismissive language");
-    }
-  });
-
-  // 3.5. Dismissive/categorical statements about relationships or third parties
-  // These catch dismissive language about political relationships, partnerships, etc.
-  const dismissiveRelationshipPatterns = [
-    /\bis just (?:a|an) (?:political theater|show|act|game|joke|charade)\b/i, // "is just political theater"
-    /\bis (?:nothing but|only|merely|simply) (?:a|an) (?:political theater|show|act|game|joke|charade)\b/i,
-    /\b(?:neither|either) (?:actually|really|truly|genuinely) (?:care|cares|care about|matter|matters)\b/i, // "Neither actually care"
-    /\b(?:they|he|she) (?:don't|doesn't) (?:actually|really|truly|genuinely) (?:care|matter|mean it)\b/i,
-    /\b(?:their|his|her) (?:relationship|friendship|alliance) is (?:just|only|merely|simply|nothing but)\b/i // "their relationship is just..."
-  ];
-  
-  dismissiveRelationshipPatterns.forEach(pattern => {
-    if (pattern.test(trimmedText)) {
-      escalationScore += 2;
-      reasons.push("Dismissive/categorical statement about relationships or third parties");
-    }
-  });
-
-  // 4. Judging/condemning language
-  // High-weight: "I can't believe how [negative] (you are)?" and "how [negative] you are" - always escalatory
-  if (/\bi (?:can't|cannot) believe how (?:dumb|stupid|ridiculous|disgusting|terrible|awful|horrible|pathetic|idiotic|unbelievable)(?:\s+you are)?\b/i.test(trimmedText) ||
-      /\bhow (?:dumb|stupid|ridiculous|disgusting|terrible|awful|horrible|pathetic|idiotic|unbelievable) you are\b/i.test(trimmedText)) {
-    escalationScore += 2.5;
-    reasons.push("Judging/condemning language");
-  }
+  const result = applyComboRules(evaluateRules(text, 'he', settings), 'he', text, settings);
+  return { result, guardReason: null };
+}
 
-  const judgingPatterns = [
-    // Basic "you are/you're [negative adjective]"
-    /\b(you're (?:terrible|awful|horrible|disgusting|pathetic|ridiculous|stupid|dumb|an idiot|a moron|an ass|an asshole))\b/i,
-    /\b(you're being (?:terrible|awful|horrible|disgusting|pathetic|ridiculous|stupid|dumb|idiotic|an idiot|a moron|absurd|childish|unreasonable|unfair|unjust))\b/i, // "you're being ridiculous", "you're being stupid"
-    /\b(you are such a (?:dumb (?:ass|asshole)|idiot|moron|jerk|fool|terrible|awful|horrible|disgusting|pathetic|ridiculous|stupid))\b/i, // "you are such a dumb ass", "you are such a idiot", etc.
-    /\b(you are (?:so |such )?(?:terrible|awful|horrible|disgusting|pathetic|ridiculous|stupid|dumb(?:ass| ass)?|idiot|moron|ass(?:hole)?|jerk|fool))\b/i, // "you are so stupid", "you are dumb", etc.
-    
-    // "You are [article] [adjective] [noun]" patterns (e.g., "you are a disgusting creature", "you are the worst mistake")
-    /\b(you are (?:a|an|the) (?:disgusting|terrible|awful|horrible|pathetic|ridiculous|stupid|dumb|worst|bad|worst|vile|repulsive|despicable|contemptible) (?:creature|mistake|person|human|thing|being|scum|filth|waste|joke|disgrace|shame|failure|monster|beast|animal))\b/i,
-    
-    // Third-person statements about specific people: "[Name] is a [adjective] [noun]" (e.g., "Bibi is a disgusting creature", "Trump is a terrible person")
-    /\b\w+ (?:is|are|was|were) (?:a|an|the) (?:disgusting|terrible|awful|horrible|pathetic|ridiculous|stupid|dumb|worst|bad|vile|repulsive|despicable|contemptible) (?:creature|mistake|person|human|thing|being|scum|filth|waste|joke|disgrace|shame|failure|monster|beast|animal)\b/i,
-    
-    // Third-person "[Name] is such a [negative noun]" patterns
-    /\b\w+ (?:is|are|was|were) such a (?:mistake|failure|disgrace|shame|joke|monster|beast|animal|creature|scum|filth|waste|disaster|tragedy|nightmare|curse|plague|burden|problem|issue|threat|danger|liability)\b/i,
-    
-    // "You are such a [negative noun]" patterns (e.g., "you are such a mistake", "you are such a failure")
-    /\b(you are such a (?:mistake|failure|disgrace|shame|joke|monster|beast|animal|creature|scum|filth|waste|disaster|tragedy|nightmare|curse|plague|burden|problem|issue|threat|danger|liability))\b/i,
-    
-    // "You are [a/an/the] [negative noun]" patterns without adjective (e.g., "you are a mistake", "you are the problem")
-    /\b(you are (?:a|an|the) (?:mistake|failure|disgrace|shame|joke|monster|beast|animal|creature|scum|filth|waste|disaster|tragedy|nightmare|curse|plague|burden|problem|issue|threat|danger|liability|embarrassment|disappointment|fraud|fake|imposter|hypocrite|coward|traitor|enemy|foe|opponent|adversary|villain|criminal|evil|poison|disease|cancer|virus|pest|parasite|leech|freeloader))\b/i,
-    
-    // "You are everything that is [negative]"
-    /\b(you are everything (?:that is|which is) (?:bad|wrong|evil|terrible|awful|horrible|disgusting|pathetic|ridiculous|stupid|wrong with|terrible about))\b/i,
-    
-    // "You are [the/your/a] worst [noun]" patterns
-    /\b(you are (?:the|your|a) worst (?:mistake|thing|person|human|decision|choice|example|representation|embodiment|excuse|reason|excuse|excuse for|joke|disgrace|shame|failure))\b/i,
-    
-    // "What a [adjective] [noun]" condescending patterns
-    new RegExp(`\\b(what a|what an) (?:${stupidVariants}|disgusting|terrible|awful|horrible|pathetic|${ridiculousVariants}|dumb|idiotic|vile|repulsive|despicable|contemptible) (?:human|person|creature|thing|joke|disgrace|shame|failure|mistake|being|monster|beast|animal|idiot|moron|fool|jerk|idea|argument|point|statement|claim|view|opinion)\\b`, 'i'),
-    
-    // "I can't believe" dismissive/judging patterns (high weight - these are clearly escalatory)
-    /\b(i (?:can't|cannot) believe (?:you|that|how) (?:are|were|would|still|actually|really|\w+))\b/i, // "I cannot believe you are", "I cannot believe how dumb..."
-    /\bhow (?:dumb|stupid|ridiculous|disgusting|terrible|awful|horrible|pathetic|idiotic|unbelievable) you are\b/i, // "how dumb you are", "how stupid you are"
-    
-    // Other judging patterns
-    new RegExp(`\\b(that's|it's) (?:terrible|awful|horrible|disgusting|pathetic|${ridiculousVariants}|${stupidVariants}|dumb|idiotic|unbelievable)\\b`, 'i'),
-    /\b(?:those|these) (?:lefties?|righties?|leftys?|rightys?|laefies?|libs?|people|guys|folks) are (?:unbelievable|unbelieveable|ridiculous|stupid|disgusting|terrible|awful|horrible|pathetic|dumb|idiotic)\b/i, // "those lefties are unbelievable" (incl. typo unbelieveable)
-    /\b(?:they|those|these) are (?:unbelievable|ridiculous|stupid|disgusting|terrible|awful|horrible|pathetic|dumb|idiotic)\b/i, // "they are ridiculous"
-    new RegExp(`\\b(that's|it's) (?:a|an) (?:terrible|awful|horrible|disgusting|pathetic|${ridiculousVariants}|${stupidVariants}|dumb|idiotic) (?:argument|idea|point|statement|claim|thing|view|opinion)\\b`, 'i'), // "that's a stupid argument", "it's a ridiculous idea"
-    /\b(how (?:dare|could) you)\b/i,
-    /\b(you should (?:be ashamed|feel bad|know better))\b/i,
-    /\b(?:is|are|was|were) (?:brainwashed|indoctrinated|deluded|insane|crazy)\b/i, // "is brainwashed", "are brainwashed"
-    /\b(?:anyone|everyone) who (?:supports?|believes?|agrees?) (?:them|this|that) is (?:brainwashed|deluded|insane|crazy|stupid|an idiot)\b/i, // "anyone who supports them is brainwashed"
-    // Catch standalone profanity/insults in judgmental contexts
-    /\b(?:once|once a) (?:an? )?(?:asshole|ass|idiot|moron|jerk|fool|bastard), (?:always|forever) (?:an? )?(?:asshole|ass|idiot|moron|jerk|fool|bastard)\b/i, // "once an asshole, always an asshole"
-    /\b(?:he's|she's|they're|he is|she is|they are) (?:an? )?(?:asshole|ass|idiot|moron|jerk|fool|bastard)\b/i, // Third person insults
-    /\b(?:just )?(?:an? )?(?:asshole|bastard)\b/i // Standalone strong profanity (asshole, bastard) - these are always escalatory
-  ];
-  
-  judgingPatterns.forEach(pattern => {
-    if (pattern.test(trimmedText)) {
-      escalationScore += 2;
-      reasons.push("Judging/condemning language");
-    }
-  });
+/**
+ * English rule score, including the procedural profanity stage and combination bonuses.
+ * Returns { result, hasAnyProfanity }; cursing/insults always count as escalation.
+ */
+function scoreEnglishText(text, settings) {
+  // ===== COGNITIVE + EMOTIONAL DIMENSIONS, NON-VERBAL CUES =====
+  // All context-free English rules (see escalation-rules.js)
+  const result = evaluateRules(text, 'en', settings);
+  const reasons = result.reasons;
 
-  // 4.5. Profanity/cursing detection - HIGH ESCALATION RISK
+  // ===== PROFANITY =====
   // Only flag profanity in negative/neutral contexts, NOT positive contexts
   // Based on: https://en.wiktionary.org/wiki/Category:English_swear_words
-  
-  // Comprehensive list of curse words from Wiktionary
-  const curseWords = [
-    // F-words
-    'fuck', 'fucking', 'fucked', 'fucker', 'fucks',
-    // S-words
-    'shit', 'shitting', 'shitted', 'shits', 'shitty', 'shite',
-    // D-words
-    'damn', 'damned', 'damnit', 'dammit', 'goddamn', 'goddamnit', 'goddamned', 'godsdamn',
-    // Other strong profanity
-    'hell', 'hellish', 'bitch', 'bitches', 'bitching', 'bastard', 'bastards',
-    'cunt', 'cunts', 'dick', 'dicks', 'dickhead', 'dick-head', 'prick', 'pricks',
-    'cock', 'cocks', 'cocksucker', 'motherfucker', 'motherfuckers', 'motherfucking', 'mother-fucker',
-    'bullshit', 'horseshit', 'piss', 'pissing', 'pissed', 'wanker', 'twat',
-    'arse', 'arsehead', 'arsehole', 'arseholes', 'ass', 'asshole', 'assholes', 'arsehead',
-    'bugger', 'bollocks', 'crap', 'dumb-ass', 'dumbass', 'jack-ass', 'jackass', 'jackarse',
-    // Slurs and offensive terms (always escalatory)
-    'fag', 'faggot', 'dyke', 'kike', 'tranny', 'slut', 'spastic',
-    'nigga', 'nigra',
-    // Compound curse words
-    'child-fucker', 'father-fucker', 'fatherfucker', 'brotherfucker', 'sisterfuck', 'sisterfucker',
-    'pigfucker'
-  ];
-  
-  // Negative context words that make profanity escalatory (includes common misspellings)
-  const negativeWords = /\b(?:ridiculous|rediculous|terrible|awful|horrible|stupid|idiotic|disgusting|pathetic|wrong|bad|worse|worst|hate|hated|annoying|frustrating|useless|pointless|garbage|trash|crazy|insane|dumb|absurd|nonsense|idiot|moron|jerk|fool|hateful|offensive)\b/i;
-  
-  // Positive context words - profanity here is NOT escalatory
-  const positiveWords = /\b(?:amazing|great|awesome|fantastic|wonderful|excellent|incredible|beautiful|good|best|love|loved|perfect|brilliant|outstanding|superb|phenomenal|marvelous|lovely|nice|sweet|cool|nice|sweet)\b/i;
-  
-  // Build regex patterns for profanity in negative context
-  const profanityNegativePatterns = curseWords.flatMap(curse => [
-    new RegExp(`\\b(?:${curse})\\s+${negativeWords.source}`, 'i'),
-    new RegExp(`${negativeWords.source}\\s+(?:${curse})\\b`, 'i') // Also catch "ridiculous fucking"
-  ]);
-  
+  const negativeProfanityHit = evaluateRule(getEscalationRule('en.profanity.negative_context'), text);
+  recordRuleHit(result, negativeProfanityHit);
+  const hasNegativeProfanity = !!negativeProfanityHit;
+  const hasPositiveProfanity = !!evaluateRule(getEscalationRule('en.profanity.positive_context'), text);
+
   // Track which curse words were already matched to avoid double-counting
-  const matchedCurseWords = new Set();
-  
-  // Check for profanity in negative context - VERY HIGH escalation
-  profanityNegativePatterns.forEach(pattern => {
-    if (pattern.test(trimmedText)) {
-      escalationScore += 4;
-      reasons.push("Profanity in negative context detected");
-      // Mark all curse words as matched since negative patterns include all curse words
-      curseWords.forEach(curse => matchedCurseWords.add(curse.toLowerCase()));
-    }
-  });
-  
-  // Check if profanity is used in positive context - if so, don't flag it
-  const hasPositiveProfanity = curseWords.some(curse => {
-    const positivePattern = new RegExp(`\\b(?:${curse})\\s+${positiveWords.source}`, 'i');
-    return positivePattern.test(trimmedText);
-  });
-  
-  const hasNegativeProfanity = matchedCurseWords.size > 0;
-  
-  // Direct profanity/insults (always escalatory regardless of context)
-  // BUT: Skip if already counted in negative context patterns to avoid double-counting
-  const directProfanityPatterns = [
-    // Direct attacks
-    /\b(?:fuck (?:you|off|this|that|it|him|her|them|yourself))\b/i,
-    /\b(?:fucker|fucked up)\b/i,
-    /\b(?:piss (?:off|you))\b/i,
-    /\b(?:screw (?:you|off))\b/i,
-    /\b(?:go to hell)\b/i,
-    /\b(?:damn you)\b/i,
-    // Insulting terms
-    /\b(?:bitch|bitches|bitching)\b/i,
-    /\b(?:bastard|bastards)\b/i,
-    /\b(?:cunt|cunts)\b/i,
-    /\b(?:dickhead|dick-head)\b/i,
-    /\b(?:motherfucker|motherfuckers|motherfucking|mother-fucker)\b/i,
-    /\b(?:son of a bitch|sob)\b/i,
-    /\b(?:bullshit|horseshit)\b/i,
-    /\b(?:arsehole|arseholes|asshole|assholes)\b/i,
-    // Slurs
-    /\b(?:fag|faggot|dyke|kike|tranny|slut|spastic)\b/i,
-    /\b(?:nigga|nigra)\b/i,
-    // Euphemisms
-    /\b(?:f off|f\*\*\*)\b/i,
-    /\b(?:s\*\*\*)\b/i
-  ];
-  
+  // (negative context patterns include every curse word, so they mark all of them)
+  const matchedCurseWords = new Set(hasNegativeProfanity ? EN_CURSE_WORDS.map(curse => curse.toLowerCase()) : []);
+
   // Only check direct patterns if negative profanity wasn't already detected
   // This prevents double-counting: if "fucking ridiculous" matched negative pattern (+4),
   // we shouldn't also add points for the "fucking" word itself
   if (!hasNegativeProfanity) {
-    directProfanityPatterns.forEach(pattern => {
-      if (pattern.test(trimmedText)) {
-        escalationScore += 3;
-        reasons.push("Profanity/cursing detected");
-        // Extract and mark matched curse words from direct patterns
-        const match = trimmedText.match(pattern);
-        if (match) {
-          curseWords.forEach(curse => {
-            if (match[0].toLowerCase().includes(curse.toLowerCase())) {
-              matchedCurseWords.add(curse.toLowerCase());
-            }
-          });
+    const directProfanityHit = evaluateRule(getEscalationRule('en.profanity.direct'), text);
+    recordRuleHit(result, directProfanityHit);
+    // Extract and mark matched curse words from direct patterns
+    (directProfanityHit ? directProfanityHit.matches : []).forEach(match => {
+      EN_CURSE_WORDS.forEach(curse => {
+        if (match.toLowerCase().includes(curse.toLowerCase())) {
+          matchedCurseWords.add(curse.toLowerCase());
         }
-      }
+      });
     });
   }
-  
+
   // Standalone profanity words (only if not in positive context and not already matched)
+  const standaloneProfanityHit = evaluateRule(getEscalationRule('en.profanity.standalone'), text);
   if (!hasPositiveProfanity && !hasNegativeProfanity && matchedCurseWords.size === 0) {
-    // Create regex for all standalone curse words
-    const standalonePattern = new RegExp(`\\b(?:${curseWords.join('|')})\\b`, 'i');
-    if (standalonePattern.test(trimmedText)) {
-      escalationScore += 2.5;
-      reasons.push("Profanity detected");
-    }
+    recordRuleHit(result, standaloneProfanityHit);
   }
 
   // INSULT WORDS = BASIC DETECTION (same as cursing): stupid, dumb, idiot, moron, etc. always trigger
-  const insultWords = ['stupid', 'stuped', 'stupied', 'dumb', 'dumbass', 'idiot', 'moron', 'fool', 'jerk', 'imbecile', 'dunce'];
-  const hasAnyInsult = new RegExp(`\\b(?:${insultWords.join('|')})\\b`, 'i').test(trimmedText);
+  // — unless the insult is aimed at a policy/institution ("this policy is stupid"), which is criticism:
+  // it then adds a down-weighted share of the floor instead of flagging on its own. Negated, quoted or
+  // reported insults ("you're not stupid", "he called me an idiot") only add their reason.
+  const insultHit = evaluateRule(getEscalationRule('en.profanity.insult'), text);
+  const hasAnyInsult = !!insultHit && !insultHit.scope && insultHit.target !== 'policy';
+  if (insultHit && !hasAnyInsult) {
+    if (!insultHit.scope) insultHit.weight = 3 * POLICY_TARGET_WEIGHT;
+    recordRuleHit(result, insultHit);
+  }
 
   // CURSING = BASIC DETECTION: Any profanity (except positive context) always triggers escalation
   const hasAnyProfanity = hasNegativeProfanity || matchedCurseWords.size > 0 ||
-    (!hasPositiveProfanity && new RegExp(`\\b(?:${curseWords.join('|')})\\b`, 'i').test(trimmedText)) ||
+    (!hasPositiveProfanity && !!standaloneProfanityHit) ||
     hasAnyInsult;
   if (hasAnyProfanity) {
-    escalationScore = Math.max(escalationScore, 3); // Ensure cursing/insults alone clear threshold
+    result.score = Math.max(result.score, 3); // Ensure cursing/insults alone clear threshold
     if (!reasons.some(r => r.includes("Profanity") || r.includes("profanity") || r.includes("Insult"))) {
       reasons.push(hasAnyInsult ? "Insult/cursing detected" : "Profanity/cursing detected");
     }
+    // Insult rule carries no weight of its own, the floor above is its score
+    if (hasAnyInsult) result.hits.push(insultHit);
   }
 
-  // 5. Polarizing "us" vs "they" language (in-group/out-group framing)
-  const polarizingPatterns = [
-    /\b(?:us|we) (?:vs|versus|against) (?:them|they)\b/i,
-    /\b(?:our|we) (?:side|people|country|values) (?:vs|versus|against|vs\.) (?:their|them|they)\b/i,
-    /\b(?:their|they) (?:side|people|kind|type)\b.*\b(?:us|we|our)\b/i,
-    /\b(?:us|we) (?:vs|versus)\.? (?:them|they)\b/i,
-    /\bpeople like (?:us|them)\b/i,
-    /\breal (?:americans?|people|patriots?|israelis?|jews?)\b/i, // "real X" implying others aren't
-    /\b(?:we|our) (?:vs|versus) (?:them|their)\b/i,
-    /\b(?:they|them) (?:don't|do not|won't|will not|can't|cannot) (?:understand|get it|know)\b/i, // "they don't understand"
-    /\b(?:we|us) (?:know|understand|get it) (?:and|but) (?:they|them)\b/i,
-    /\b(?:our|we) (?:way|values|beliefs?) (?:vs|versus|against) (?:theirs?|them)\b/i,
-    /\b(?:us|we) versus (?:them|they)\b/i,
-    /\bthe (?:other )?(?:side|camp|team)\b/i, // "the other side"
-    /\b(?:their|they) (?:agenda|narrative|lies|propaganda)\b/i
-  ];
+  // ===== COMBINATION FACTORS =====
+  // If text has both argumentative AND blame patterns, it's highly escalatory
+  applyComboRules(result, 'en', text, settings);
+  return { result, hasAnyProfanity };
+}
 
-  polarizingPatterns.forEach(pattern => {
-    if (pattern.test(trimmedText)) {
-      escalationScore += 2;
-      reasons.push("Polarizing us vs them language");
+/**
+ * Code-switched drafts (e.g. Hebrew with English): score each script segment with its own
+ * language's rules and combine them. Reasons are prefixed with the segment language ("[en] ...").
+ * English signals decide locally (threshold/profanity); any Hebrew/Arabic signal goes to the API gate.
+ */
+function scoreMixedLanguageText(text, segments, settings) {
+  const combined = createRuleResult();
+  const segmentScores = [];
+  const spans = [];
+  let hasAnyProfanity = false;
+  let rtlScore = 0;
+
+  segments.forEach(segment => {
+    const segmentText = segment.text.trim();
+    let segmentResult;
+    if (segment.language === 'en') {
+      // Same minimum length as whole drafts, so names/handles ("IDF", "@bibi") don't trip tone rules
+      if (segmentText.length < 6 && !hasHighRiskKeywords(segmentText)) return;
+      const english = scoreEnglishText(segmentText, settings);
+      segmentResult = english.result;
+      hasAnyProfanity = hasAnyProfanity || english.hasAnyProfanity;
+    } else if (segment.language === 'he') {
+      const hebrew = scoreHebrewText(segmentText, settings);
+      if (hebrew.guardReason) {
+        combined.reasons.push(`[he] ${hebrew.guardReason}`);
+        return;
+      }
+      segmentResult = hebrew.result;
+      if (hasUnscopedSignal(segmentResult)) rtlScore += segmentResult.score;
+    } else {
+      segmentResult = scoreArabicText(segmentText, settings);
+      if (hasUnscopedSignal(segmentResult)) rtlScore += segmentResult.score;
     }
-  });
 
-  // 6. "They" accusative statements (blaming groups)
-  const theyBlamePatterns = [
-    /\b(they (?:always|never|all|all of them|are|were|do|did))\b/i,
-    /\b(they're (?:all|always|never|just|so|too))\b/i,
-    /\b(they (?:make|made|cause|caused|force|forced) (?:me|us|this|that))\b/i
-  ];
-  
-  theyBlamePatterns.forEach(pattern => {
-    if (pattern.test(trimmedText)) {
-      escalationScore += 1.5;
-      reasons.push("Group blaming language");
-    }
+    combined.score += segmentResult.score;
+    combined.reasons.push(...segmentResult.reasons.map(reason => `[${segment.language}] ${reason}`));
+    combined.hits.push(...segmentResult.hits);
+    // Segment hits were scored on the trimmed segment; shift their spans back into the draft
+    const leadingSpace = segment.text.length - segment.text.trimStart().length;
+    spans.push(...getRuleSpans(segmentResult.hits, segment.start + leadingSpace));
+    segmentScores.push({ language: segment.language, start: segment.start, end: segment.end, score: segmentResult.score });
   });
 
-  // ===== NON-VERBAL CUES =====
-  
-  // 1. Exclamation marks (escalating energy) - even single ! can signal anger
-  const exclamationCount = (trimmedText.match(/!/g) || []).length;
-  if (exclamationCount >= 2) {
-    escalationScore += 1;
-    reasons.push("Multiple exclamation marks");
-  } else if (exclamationCount === 1 && trimmedText.length < 80) {
-    escalationScore += 0.5; // Single ! in short text can signal emphasis/anger
-    reasons.push("Exclamation (potential emphasis/anger)");
-  }
-
-  // 2. ALL CAPS (shouting) - lower threshold to catch more
-  const capsRatio = trimmedText.length > 0 ? (trimmedText.match(/[A-Z]/g) || []).length / trimmedText.length : 0;
-  if (capsRatio > 0.25 && trimmedText.length > 15) {
-    escalationScore += 1.5;
-    reasons.push("Excessive capitalization");
-  } else if (capsRatio > 0.15 && trimmedText.length > 30) {
-    escalationScore += 0.5; // Moderate caps
-    reasons.push("Capitalization emphasis");
-  }
-
-  // 3. Multiple question marks (aggressive questioning)
-  const questionCount = (trimmedText.match(/\?/g) || []).length;
-  if (questionCount >= 3) {
-    escalationScore += 1;
-    reasons.push("Multiple aggressive questions");
-  } else if (questionCount >= 1 && questionCount <= 2 && trimmedText.length < 100) {
-    escalationScore += 0.5; // Single/double ? in short text
-    reasons.push("Questioning tone");
-  }
-
-  // 4. Emojis that signal anger/frustration
-  const angerEmojis = /[\u{1F92C}\u{1F92F}\u{1F621}\u{1F620}\u{1F624}\u{1F63E}\u{1F47F}\u{1F4A2}\u{1F4A9}\u{1F5FF}\u{2639}\u{26A0}\u{274C}\u{2705}\u{1F44E}\u{1F44B}]/u; // 😤🤯😡😠😤😾👿💢💩🙏☹⚠❌✅👎👋
-  if (angerEmojis.test(trimmedText)) {
-    escalationScore += 1;
-    reasons.push("Anger/frustration emoji");
-  }
-
-  // 5. Cynical/sarcastic tone markers (not already in mocking)
-  if (/\b(as if|yeah right)\b/i.test(trimmedText)) {
-    escalationScore += 1;
-    reasons.push("Cynical/sarcastic tone");
-  }
-
-  // ===== COMBINATION FACTORS =====
-  
-  // If text has both argumentative AND blame patterns, it's highly escalatory
-  const hasArgumentative = reasons.some(r => 
-    r.includes("Absolute truth") || r.includes("Generalized") || r.includes("categorical")
-  );
-  const hasBlame = reasons.some(r => 
-    r.includes("Blaming") || r.includes("Mocking") || r.includes("Dismissive") || 
-    r.includes("Judging") || r.includes("Group blaming") || r.includes("Polarizing")
-  );
-  
-  if (hasArgumentative && hasBlame) {
-    escalationScore += 1; // Bonus for combination
-  }
+  const needsApiCheck = rtlScore > settings.apiGateThreshold;
+  const isEscalatory = hasAnyProfanity || combined.score >= settings.threshold || needsApiCheck;
+  const escalationType = isEscalatory ? classifyEcpmType(combined.hits) : 'none';
+  const firedRuleIds = getFiredRuleIds(combined.hits);
+  const ruleHits = getRuleWeights(combined.hits);
+  const languages = [...new Set(segments.map(segment => segment.language))];
+
+  console.log(`${isEscalatory ? '🚨' : '✓'} Mixed-language draft (${languages.join('+')}, score: ${combined.score.toFixed(1)}, ECPM: ${escalationType})`, {
+    text: text.substring(0, 100) + (text.length > 100 ? '...' : ''),
+    segments: segmentScores,
+    reasons: combined.reasons.length > 0 ? combined.reasons : ['none'],
+    firedRuleIds
+  });
 
-  // Threshold: LOWER (2.0) - when uncertain, prefer showing tooltip. Better to over-detect than miss escalation.
-  // Cursing/insults are BASIC: always = escalation
-  const isEscalatory = escalationScore >= 2.0 || hasAnyProfanity;
-  let escalationType = 'none';
-  
-  if (isEscalatory) {
-    if (hasArgumentative && hasBlame) {
-      escalationType = 'both';
-    } else if (hasArgumentative) {
-      escalationType = 'cognitive';
-    } else if (hasBlame) {
-      escalationType = 'emotional';
-    } else {
-      escalationType = 'other';
-    }
-  }
-  
-  // Debug logging (always show score for texts longer than 10 chars)
-  if (trimmedText.length > 10) {
-    if (isEscalatory) {
-      console.log(`🚨 Escalation detected (score: ${escalationScore.toFixed(1)})`, {
-        text: trimmedText.substring(0, 100) + (trimmedText.length > 100 ? '...' : ''),
-        reasons: reasons,
-        escalationType
-      });
-    } else {
-      console.log(`✓ No escalation (score: ${escalationScore.toFixed(1)} < 2.0)`, {
-        text: trimmedText.substring(0, 50),
-        reasons: reasons.length > 0 ? reasons : ['none']
-      });
-    }
-  }
-  
   return {
     isEscalatory,
     escalationType,
-    reasons
+    reasons: combined.reasons,
+    // Hebrew/Arabic parts carry signals only the API can confirm
+    requiresAPI: isEscalatory && languages.some(language => language !== 'en'),
+    languages,
+    segments: segmentScores,
+    firedRuleIds,
+    ruleHits,
+    spans: spans.sort((a, b) => a.start - b.start || b.end - a.end),
+    escalationScore: combined.score,
+    detectionSettings: settings
   };
 }
 
-function isTwitter() {
-  // Check if we're on Twitter/X
-  return window.location.hostname.includes('twitter.com') || 
-         window.location.hostname.includes('x.com');
-}
-
 function getTextContent(element) {
   if (!element) return "";
 
@@ -1751,16 +1195,20 @@ async function checkForEscalation(element) {
     console.log("✅ No escalation detected - no tooltip needed");
     const existingTooltip = document.querySelector(".escalation-tooltip");
     if (existingTooltip) existingTooltip.remove();
+    clearEscalationHighlights();
     justRephrased = false;
     return;
   }
 
   console.log("🚨 Escalation detected. Bot:", botType);
 
+  // Underline the words that triggered detection (overlay only — the composer DOM is not touched)
+  renderEscalationHighlights(element, text, escalationResult.spans);
+
   // Unified path for all languages: show tooltip immediately with loader.
   // For Hebrew/non-Latin text, the API call inside createEscalationTooltip acts as the
   // verification gate — if it returns null (not escalatory) the tooltip removes itself silently.
-  createEscalationTooltip(text, element, escalationResult.escalationType, botType);
+  createEscalationTooltip(text, element, escalationResult.escalationType, botType, undefined, escalationResult);
 }
 
 /**
@@ -1817,6 +1265,16 @@ async function rephraseViaAPI(text, context = null, botType = 'angel') {
         originalPostContent: origPostToSend,
         originalPostWriter: origWriter.length > 500 ? origWriter.substring(0, 500) : origWriter,
         isReply: context.isReply || false,
+        postType: context.postType || (context.isReply ? 'reply' : 'new_post'),
+        replyLevel: context.replyLevel || '',
+        // Quote tweet / share with comment: the post the draft comments on
+        quotedPost: context.quotedPost
+          ? { text: context.quotedPost.text, author: context.quotedPost.author, handle: context.quotedPost.handle }
+          : null,
+        // Earlier replies in the thread, oldest first (X status pages only)
+        threadChain: (context.threadChain || []).map(({ author, handle, text, escalatory }) => ({ author, handle, text, escalatory })),
+        // Title of the video the comments are under (YouTube only)
+        pageTitle: context.pageTitle || '',
         pageUrl: typeof window !== 'undefined' ? (window.location.href || '').substring(0, 500) : ''
       },
       model: API_CONFIG.model || 'gpt-4o',
@@ -1835,8 +1293,11 @@ async function rephraseViaAPI(text, context = null, botType = 'angel') {
     console.log('📝 Context provided:', {
       hasContext: !!context,
       isReply: context?.isReply,
+      postType: context?.postType,
       hasOriginalPost: !!(context?.originalPostContent && context.originalPostContent !== 'new'),
-      originalPostPreview: context?.originalPostContent?.substring(0, 50) || 'none'
+      originalPostPreview: context?.originalPostContent?.substring(0, 50) || 'none',
+      threadDepth: context?.threadChain?.length || 0,
+      pageTitle: context?.pageTitle || 'none'
     });
     console.log('📝 Parameters:', {
       temperature: requestBody.temperature,
@@ -2067,133 +1528,19 @@ async function rephraseViaAPI(text, context = null, botType = 'angel') {
           let rephrased = parsed.rephrasedText.trim();
           console.log('✅ Rephrased text extracted successfully, length:', rephrased.length);
           
-          // DISABLED: Hebrew support is currently deactivated
-          // If original text was Hebrew, ensure rephrased text is entirely in Hebrew
-          // VERY AGGRESSIVE cleanup to remove all English
-          if (false && containsHebrew(text)) {
-            console.log('🔍 Original Hebrew text detected, cleaning response...');
-            console.log('📝 Original rephrased text:', rephrased);
-            
-            // Step 1: Find the first Hebrew character and remove EVERYTHING before it (most important!)
-            const firstHebrewIndex = rephrased.search(/[\u0590-\u05FF]/);
-            if (firstHebrewIndex >= 0) {
-              console.log(`🗑️ Removing ${firstHebrewIndex} characters before first Hebrew character`);
-              rephrased = rephrased.substring(firstHebrewIndex);
-              // Also remove any punctuation/commas at the start after Hebrew begins
-              rephrased = rephrased.replace(/^[\s,.:;!?-]+/, '');
-            } else {
-              // No Hebrew found at all - this is a problem, but try to clean anyway
-              console.warn('⚠️ No Hebrew characters found in response!');
-            }
-            
-            // Step 2: Remove ALL English text patterns at the start (before any Hebrew)
-            // This catches anything that might have slipped through
-            rephrased = rephrased.replace(/^[^\u0590-\u05FF]*([\u0590-\u05FF])/, '$1');
-            
-            // Step 3: Remove common English prefixes/phrases (case insensitive, with punctuation)
-            const englishPhrases = [
-              /^In my view[,\s.:;!?-]*/i,
-              /^I see[,\s.:;!?-]*/i,
-              /^I think[,\s.:;!?-]*/i,
-              /^I feel[,\s.:;!?-]*/i,
-              /^I believe[,\s.:;!?-]*/i,
-              /^From my perspective[,\s.:;!?-]*/i,
-              /^In my opinion[,\s.:;!?-]*/i,
-              /^I understand that[,\s.:;!?-]*/i,
-              /^I would say[,\s.:;!?-]*/i,
-              /^I believe that[,\s.:;!?-]*/i,
-              /^In my experience[,\s.:;!?-]*/i,
-              /^To me[,\s.:;!?-]*/i,
-              /^As I see it[,\s.:;!?-]*/i,
-              /^From where I stand[,\s.:;!?-]*/i,
-              /^In my[,\s.:;!?-]*/i,  // Catch "In my" as a general pattern
-            ];
-            
-            // Apply each regex pattern multiple times until nothing matches
-            let changed = true;
-            let iterations = 0;
-            while (changed && iterations < 10) {
-              changed = false;
-              for (const pattern of englishPhrases) {
-                const before = rephrased;
-                rephrased = rephrased.replace(pattern, '').trim();
-                if (before !== rephrased) {
-                  changed = true;
-                  console.log(`🗑️ Removed English phrase with pattern ${pattern}, result:`, rephrased);
-                }
-              }
-              iterations++;
-            }
-            
-            // Step 4: Remove any English words at the start (any sequence of Latin letters)
-            rephrased = rephrased.replace(/^[A-Za-z]+(\s+[A-Za-z]+)*[,\s.:;!?-]*/i, '').trim();
-            
-            // Step 5: Remove ALL English words anywhere in the text
-            // Split by whitespace and rebuild with only Hebrew-containing parts
-            let cleaned = '';
-            const parts = rephrased.split(/(\s+)/);
-            for (let i = 0; i < parts.length; i++) {
-              const part = parts[i];
-              // Keep if it contains Hebrew characters
-              if (/[\u0590-\u05FF]/.test(part)) {
-                cleaned += part;
-              }
-              // Keep if it's only whitespace or punctuation
-              else if (/^[\s\p{P}\u0590-\u05FF]*$/u.test(part) || /^[\s,.:;!?\-—–""''()]+$/.test(part)) {
-                cleaned += part;
-              }
-              // Remove if it contains only Latin letters (English words)
-              else if (/^[A-Za-z]+$/.test(part.trim())) {
-                console.log(`🗑️ Removing English word: "${part}"`);
-                // Skip it - don't add to cleaned
-              }
-              // Keep numbers and other symbols
-              else {
-                cleaned += part;
-              }
-            }
-            rephrased = cleaned.replace(/\s+/g, ' ').trim();
-            
-            // Step 6: Remove surrounding quotes if they're at the edges
-            rephrased = rephrased.replace(/^["'`]+|["'`]+$/g, '');
-            
-            // Step 7: Final aggressive pass - extract ONLY Hebrew and adjacent punctuation
-            const hasEnglish = /[A-Za-z]{2,}/.test(rephrased);
-            if (hasEnglish) {
-              console.warn('⚠️ STILL contains English after all cleanup:', rephrased);
-              
-              // Find all Hebrew text segments (Hebrew + punctuation/spaces)
-              const hebrewSegments = rephrased.match(/[\u0590-\u05FF][\u0590-\u05FF\s\p{P}]*[\u0590-\u05FF]|[\u0590-\u05FF]+/gu);
-              if (hebrewSegments && hebrewSegments.length > 0) {
-                rephrased = hebrewSegments.join(' ').replace(/\s+/g, ' ').trim();
-                console.log('✅ Extracted only Hebrew segments:', rephrased);
-              } else {
-                // Last resort: find first Hebrew char and take everything from there
-                const firstHebrewPos = rephrased.search(/[\u0590-\u05FF]/);
-                if (firstHebrewPos >= 0) {
-                  rephrased = rephrased.substring(firstHebrewPos);
-                  // Remove any remaining English
-                  rephrased = rephrased.replace(/[A-Za-z]/g, '').replace(/\s+/g, ' ').trim();
-                }
-              }
-            }
-            
-            console.log('✅ Final cleaned Hebrew text:', rephrased);
-            
-            // Final validation
-            if (containsHebrew(rephrased) && /[A-Za-z]{2,}/.test(rephrased)) {
-              console.error('❌ ERROR: Cleaned text still contains English!', rephrased);
-            }
+          // Hebrew draft: drop any English preamble the model put before the Hebrew rephrase
+          if (containsHebrew(text)) {
+            rephrased = cleanHebrewRephrase(rephrased, text);
+            console.log('✅ Cleaned Hebrew text:', rephrased);
           }
           
           console.log('✅ API rephrasing successful:', rephrased);
           console.log('📊 Full response:', {
             riskLevel: parsed.riskLevel,
             escalationType: parsed.escalationType,
-            rephrasedLength: rephrased.length
-            // DISABLED: Hebrew support - removed Hebrew detection from logging
-            // containsHebrew: containsHebrew(rephrased),
-            // originalWasHebrew: containsHebrew(text)
+            rephrasedLength: rephrased.length,
+            containsHebrew: containsHebrew(rephrased),
+            originalWasHebrew: containsHebrew(text)
           });
           return rephrased;
         } else {
@@ -2281,6 +1628,14 @@ function replaceTextInElement(element, newText) {
   const originalSpellcheck = element.getAttribute('spellcheck');
   
   try {
+    // Platform editors (X, Reddit, Facebook's Lexical, Instagram's React textarea) need their own
+    // insertion so the site's editor state follows. undefined falls through to the generic methods.
+    const platformReplaced = getPlatformAdapter().replaceText(element, newText);
+    if (platformReplaced !== undefined) {
+      console.log(`${detectPlatformName()} composer → platform adapter`);
+      return platformReplaced;
+    }
+
     if (element.tagName === 'TEXTAREA') {
       // For textareas, use value
       element.value = newText;
@@ -2296,14 +1651,6 @@ function replaceTextInElement(element, newText) {
     } else if (element.contentEditable === 'true' || element.getAttribute('role') === 'textbox') {
       element.focus?.({ preventScroll: true });
       
-      // For Twitter/X use execCommand — fires trusted events Lexical handles natively.
-      // No post-processing: any attribute/focus manipulation after insertion
-      // triggers Lexical's MutationObserver and resets editor state.
-      if (isTwitter()) {
-        console.log("Twitter/X composer → execCommand");
-        return replaceTextViaExecCommand(element, newText);
-      }
-      
       // Ensure the full content is selected before replacement
       const selection = window.getSelection();
       if (selection) {
@@ -2318,29 +1665,6 @@ function replaceTextInElement(element, newText) {
         selection.addRange(range);
       }
       
-      // Method 0.1: Check for Facebook's Lexical editor
-      const lexicalRoot = element.__lexicalEditor ? element : element.querySelector?.('[data-lexical-editor="true"]');
-      const lexicalEditor = lexicalRoot && lexicalRoot.__lexicalEditor;
-      if (lexicalEditor) {
-        console.log("Facebook Lexical editor detected → using execCommand");
-        const success = replaceTextViaExecCommand(element, newText);
-        if (success) {
-          setTimeout(() => {
-            const verifyText = getTextContent(element);
-            if (verifyText.trim() === newText.trim() || verifyText.includes(newText.substring(0, Math.min(newText.length, 15)))) {
-              console.log("✅ Facebook composer updated successfully");
-              // Ensure editability is maintained
-              if (wasContentEditable === 'true') {
-                element.contentEditable = 'true';
-              }
-            } else {
-              console.warn("⚠️ Facebook composer verification mismatch", { expected: newText, got: verifyText });
-            }
-          }, 150);
-        }
-        return success;
-      }
-      
       // Method 1: execCommand (browser native, works with most editors)
       try {
         // Select all
@@ -2634,7 +1958,7 @@ function replaceTextInElement(element, newText) {
 /**
  * Show a success tooltip after rephrasing (neutral for both Angel and Devil bots)
  */
-function showSuccessTooltip(element) {
+function showSuccessTooltip(element, language = 'en', gender = null) {
   // Remove any existing tooltip first
   const existingTooltip = document.querySelector(".escalation-tooltip");
   if (existingTooltip) {
@@ -2643,6 +1967,8 @@ function showSuccessTooltip(element) {
   
   const successTooltip = document.createElement("div");
   successTooltip.className = "success-tooltip"; // Use different class to avoid conflict with escalation tooltip
+  successTooltip.setAttribute('lang', language);
+  successTooltip.setAttribute('dir', isRtlLanguage(language) ? 'rtl' : 'ltr');
   successTooltip.innerHTML = `
     <div class="tooltip-container">
       <div class="tooltip-content success-content">
@@ -2652,7 +1978,7 @@ function showSuccessTooltip(element) {
           </svg>
         </div>
         <div class="success-message-wrapper">
-          <p class="success-title">Rephrased text accepted</p>
+          <p class="success-title">${getUiString('successTitle', language, gender)}</p>
         </div>
       </div>
     </div>
@@ -2727,53 +2053,47 @@ function formatHebrewByGender(hebrewText, gender) {
     return hebrewText;
   }
 
-  let formattedText = hebrewText;
+  // Hebrew word on each side of the slash; \b only knows ASCII letters, so the word end is
+  // matched explicitly (and "24/7" or "and/or" inside Hebrew text is left alone)
+  const slashForm = /([\u0590-\u05FF]+)\/([\u0590-\u05FF]+)(?=$|[^\u0590-\u05FF])/g;
 
-  // Common Hebrew gender patterns to handle
   if (gender === 'male') {
-    // Remove feminine suffix after slash: "word/ה" → "word"
-    formattedText = formattedText.replace(/(\S+)\/ה\b/g, '$1');
-    // Also handle patterns like "מרגיש/ה" where we want to keep the first part (masculine)
-    formattedText = formattedText.replace(/(\S+)\/(\S+)\b/g, '$1');
-  } else if (gender === 'female') {
-    // Keep feminine form: replace "word/ה" with "wordה" (feminine)
-    formattedText = formattedText.replace(/(\S+)\/ה\b/g, '$1ה');
-    // For other patterns, keep the second part if it's feminine
-    formattedText = formattedText.replace(/(\S+)\/(\S+)\b/g, (match, p1, p2) => {
-      // If second part ends with ה, use it (feminine); otherwise use first part
+    // Keep the masculine (first) form: "מרגיש/ה" → "מרגיש"
+    return hebrewText.replace(slashForm, '$1');
+  }
+  if (gender === 'female') {
+    return hebrewText.replace(slashForm, (match, p1, p2) => {
+      // Short suffix is appended: "מרגיש/ה" → "מרגישה", "התעלם/י" → "התעלמי", "ישראלי/ת" → "ישראלית"
+      // (a final letter becomes its medial form once the word continues: ם → מ)
+      if (p2.length <= 2) return p1.replace(/[ךםןףץ]$/, letter => HEBREW_MEDIAL_FORMS[letter]) + p2;
+      // Full alternative form: use it if feminine ("חבר/חברה"), otherwise keep the first part
       return p2.endsWith('ה') ? p2 : p1;
     });
   }
 
-  return formattedText;
+  return hebrewText;
 }
 
-async function createEscalationTooltip(originalText, element, escalationType = 'unknown', botType = 'angel', preloadedRephrase = undefined) {
+async function createEscalationTooltip(originalText, element, escalationType = 'unknown', botType = 'angel', preloadedRephrase = undefined, escalationResult = null) {
   // Remove if already shown
   const existing = document.querySelector(".escalation-tooltip");
   if (existing) existing.remove();
 
-  // DISABLED: Hebrew support is currently deactivated
-  // Detect if text is in Hebrew for UI localization
-  const isHebrew = false; // DISABLED: containsHebrew(originalText);
+  // The tooltip follows the language of the draft (Hebrew/Arabic render right-to-left)
+  const uiLanguage = detectUiLanguage(originalText);
+  const isRtl = isRtlLanguage(uiLanguage);
 
   // Get user's gender from onboarding for Hebrew formatting
   const { userGender } = await chrome.storage.local.get('userGender');
   const userGenderValue = userGender || 'unknown'; // Default if not set
 
   // Different UI text based on bot type
-  const uiText = botType === 'devil' ? {
-    warning: "Let me offer you a rephrase",
-    suggestLabel: "Suggested rephrase",
-    dismiss: "Dismiss",
-    rephrase: "Rephrase",
-    generating: "⏳ Generating suggestion..."
-  } : {
-    warning: "Let me offer you a rephrase",
-    suggestLabel: "Suggested rephrase",
-    dismiss: "Dismiss",
-    rephrase: "Rephrase",
-    generating: "⏳ Generating rephrasing suggestion..."
+  const uiText = {
+    warning: getUiString('tooltipWarning', uiLanguage, userGenderValue),
+    suggestLabel: getUiString('suggestLabel', uiLanguage, userGenderValue),
+    dismiss: getUiString('dismiss', uiLanguage, userGenderValue),
+    rephrase: getUiString('rephrase', uiLanguage, userGenderValue),
+    generating: getUiString(botType === 'devil' ? 'generatingDevil' : 'generating', uiLanguage, userGenderValue)
   };
 
   // Store the element reference - use the one passed in, or try currentElementBeingChecked, or try to find it
@@ -2830,22 +2150,23 @@ async function createEscalationTooltip(originalText, element, escalationType = '
   
   // Show tooltip with loading state first
   const tooltip = document.createElement("div");
-  // DISABLED: Hebrew support - removed hebrew-tooltip class
-  tooltip.className = `escalation-tooltip`;
+  tooltip.className = `escalation-tooltip${isRtl ? ' rtl-tooltip' : ''}`;
+  tooltip.setAttribute('lang', uiLanguage);
+  tooltip.setAttribute('dir', isRtl ? 'rtl' : 'ltr');
   tooltip.innerHTML = `
     <div class="tooltip-container">
-      <div class="tooltip-content">
+      <div class="tooltip-content${isRtl ? ' rtl-content' : ''}">
         <div class="tooltip-message-row" style="display:flex;align-items:center;justify-content:space-between;gap:10px;">
           <p class="tooltip-message" style="margin:0;">${uiText.warning}</p>
           <div id="rephraseLoaderInline" style="display:flex;align-items:center;justify-content:center;">
             <span class="spinner"></span>
           </div>
         </div>
-        <div class="tooltip-suggestion" style="display: none;">
+        <div class="tooltip-suggestion${isRtl ? ' rtl-suggestion' : ''}" style="display: none;">
           <p class="tooltip-suggestion-label">${uiText.suggestLabel}</p>
           <p class="tooltip-suggestion-text"></p>
         </div>
-        <div class="tooltip-buttons">
+        <div class="tooltip-buttons${isRtl ? ' rtl-buttons' : ''}">
           <button id="dismissBtn" class="tooltip-btn dismiss-btn" style="display:none;">${uiText.dismiss}</button>
           <button id="rephraseBtn" class="tooltip-btn rephrase-btn loading" disabled style="display:none;">
             <span class="spinner"></span>
@@ -3052,29 +2373,11 @@ async function createEscalationTooltip(originalText, element, escalationType = '
     if (suggestionContainer) {
       suggestionContainer.style.display = 'block';
     }
-    // DISABLED: Hebrew support - removed Hebrew cleanup
     let finalText = rephrasedText;
-    // DISABLED: Hebrew cleanup code
-    if (false && (isHebrew || containsHebrew(rephrasedText))) {
-      // Find first Hebrew character and remove everything before it
-      const firstHebrewPos = finalText.search(/[\u0590-\u05FF]/);
-      if (firstHebrewPos >= 0 && firstHebrewPos > 0) {
-        console.log(`🧹 FINAL CLEANUP: Removing ${firstHebrewPos} chars before Hebrew`);
-        finalText = finalText.substring(firstHebrewPos);
-      }
-      
-      // Remove any remaining English at the start
-      finalText = finalText.replace(/^[A-Za-z\s,.:;!?-]+/, '').trim();
-      
-      // Remove common English phrases
-      finalText = finalText.replace(/^(In my view|I see|I think|I feel|I believe|From my perspective|In my opinion)[,\s.:;!?-]*/i, '').trim();
-      
-      // Remove any standalone English words
-      finalText = finalText.replace(/\b[A-Za-z]{2,}\b/g, '').replace(/\s+/g, ' ').trim();
-      
-      console.log('🧹 FINAL TEXT AFTER CLEANUP:', finalText);
-      
-      // Ensure RTL class is applied
+    if (uiLanguage === 'he') {
+      finalText = cleanHebrewRephrase(finalText, originalText);
+    }
+    if (isRtl) {
       suggestionText.classList.add('rtl-text');
     }
 
@@ -3094,28 +2397,26 @@ async function createEscalationTooltip(originalText, element, escalationType = '
     if (dismissBtn) dismissBtn.style.display = '';
   } else {
     // If rephrasing failed or returned null, show appropriate message
-    // DISABLED: Hebrew support - always use English error message
     let errorMsg;
-    let buttonText = "Rephrase";
+    let buttonText = uiText.rephrase;
     let allowManualRephrase = false;
     
     if (rephrasingError || rephrasedText === undefined) {
       // Error occurred during API call - escalation WAS detected but API failed
-      errorMsg = '"Due to a problem, we couldn\'t offer a rephrase. Please try rephrasing on your own."';
-      buttonText = "Rephrase on my own";
+      errorMsg = getUiString('rephraseError', uiLanguage, userGenderValue);
+      buttonText = getUiString('rephraseOnMyOwn', uiLanguage, userGenderValue);
       allowManualRephrase = true; // Allow user to dismiss and edit manually
       console.log("❌ Rephrasing failed due to error - escalation was detected but API call failed");
     } else if (rephrasedText === null) {
       // API confirmed: NOT escalatory — remove tooltip silently.
       console.log("✅ API returned null — text is not escalatory, removing tooltip");
       tooltip.remove();
+      clearEscalationHighlights();
       justRephrased = false;
       // Still log this interaction: local detection fired but API confirmed not escalatory.
       // Important research data — tracks false positives from local detector.
       if (!lastLoggedInteraction?.interactionId) {
-        const interactionId = (typeof crypto !== 'undefined' && crypto.randomUUID)
-          ? crypto.randomUUID()
-          : (`${Date.now()}-${Math.random().toString(36).slice(2)}`);
+        const interactionId = createInteractionId();
         lastLoggedInteraction = { interactionId, didUserAccept: 'not_applicable', botType: botType || 'angel' };
         logInteraction({
           usersOriginalContent: originalText,
@@ -3126,20 +2427,22 @@ async function createEscalationTooltip(originalText, element, escalationType = '
           escalationType,
           isEscalating: false,
           botType: botType || 'angel',
-          interactionId
+          interactionId,
+          isNewRow: true,
+          ...getRuleAttribution(escalationResult)
         });
       }
       return;
     } else {
       // Empty string or other unexpected value - treat as error
-      errorMsg = '"Due to a problem, we couldn\'t offer a rephrase. Please try rephrasing on your own."';
-      buttonText = "Rephrase on my own";
+      errorMsg = getUiString('rephraseError', uiLanguage, userGenderValue);
+      buttonText = getUiString('rephraseOnMyOwn', uiLanguage, userGenderValue);
       allowManualRephrase = true;
       console.log("❌ Unexpected rephrasedText value:", rephrasedText);
     }
     
     if (suggestionText) {
-      // DISABLED: No RTL class needed
+      if (isRtl) suggestionText.classList.add('rtl-text');
       suggestionText.textContent = errorMsg;
       // Show the suggestion container even for errors so user knows what happened
       if (suggestionContainer) {
@@ -3189,7 +2492,7 @@ async function createEscalationTooltip(originalText, element, escalationType = '
       botType: botType || 'angel'
     };
   } else {
-    const interactionId = (typeof crypto !== 'undefined' && crypto.randomUUID) ? crypto.randomUUID() : (`${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    const interactionId = createInteractionId();
     lastLoggedInteraction = {
       interactionId,
       usersOriginalContent: originalText,
@@ -3208,7 +2511,8 @@ async function createEscalationTooltip(originalText, element, escalationType = '
       escalationType,
       isEscalating: escalationType !== 'none' && escalationType !== 'unknown',
       botType: botType || 'angel',
-      interactionId
+      interactionId,
+      ...getRuleAttribution(escalationResult)
     });
   }
 
@@ -3239,6 +2543,7 @@ async function createEscalationTooltip(originalText, element, escalationType = '
       logInteraction(interactionData);
       console.log("💾 Updated row with dismiss in Google Sheets (actual_posted_text will be set when they click Post)");
       lastContentWhenUserMadeChoice = originalText; // No second tooltip until user edits
+      clearEscalationHighlights();
       
       if (tooltip && tooltip.parentNode) {
         tooltip.remove();
@@ -3342,6 +2647,7 @@ async function createEscalationTooltip(originalText, element, escalationType = '
     
     // Remove original tooltip immediately
     tooltip.remove();
+    clearEscalationHighlights();
     
     // Apply gender-based formatting to Hebrew text before replacing
     const textToReplace = formatHebrewByGender(rephrasedText, userGenderValue);
@@ -3418,7 +2724,7 @@ async function createEscalationTooltip(originalText, element, escalationType = '
           
           // Show success tooltip
           console.log("🎉 Calling showSuccessTooltip with element:", elementToRephrase);
-          showSuccessTooltip(elementToRephrase);
+          showSuccessTooltip(elementToRephrase, uiLanguage, userGenderValue);
           
           // Force editability again after text replacement
           forceEditability();
@@ -3551,7 +2857,7 @@ async function createEscalationTooltip(originalText, element, escalationType = '
             // Find current composer (may have changed if platform re-rendered)
             let elToCheck = elementToRephrase?.isConnected ? elementToRephrase : null;
             if (!elToCheck) {
-              elToCheck = document.querySelector('[data-testid="tweetTextarea_0"]') ||
+              elToCheck = queryDefaultComposer() ||
                          document.querySelector('[contenteditable="true"][role="textbox"]') ||
                          document.querySelector('textarea');
             }
@@ -3595,6 +2901,8 @@ function attachListeners(element) {
 
   // Listen to multiple events for better compatibility
   // NOTE: We don't listen to keydown to avoid interfering with delete/backspace operations
+  // Highlight offsets go stale as soon as the text changes; the next check redraws them
+  element.addEventListener("input", clearEscalationHighlights, { passive: true });
   element.addEventListener("input", debouncedCheck, { passive: true });
   element.addEventListener("keyup", debouncedCheck, { passive: true });
   element.addEventListener("paste", () => {
@@ -3641,9 +2949,8 @@ function findAllEditableElements() {
   const roleTextboxes = document.querySelectorAll('[role="textbox"]');
   elements.push(...Array.from(roleTextboxes));
   
-  // 4. Facebook-specific: divs with data-lexical-editor or similar
-  const facebookEditors = document.querySelectorAll('div[data-lexical-editor="true"], div[data-testid*="post"], div[aria-label*="post"], div[aria-label*="Post"], div[aria-label*="What\'s on your mind"]');
-  elements.push(...Array.from(facebookEditors));
+  // 4. Platform-specific composers (Facebook's Lexical roots, Reddit's shadow-root editors)
+  elements.push(...getPlatformAdapter().findComposers());
   
   // Remove duplicates
   return [...new Set(elements)];
@@ -3700,9 +3007,12 @@ if (document.readyState === "loading") {
 
 // ── Survey Banner ──────────────────────────────────────────────────────────
 
-function showSurveyBanner(studyId) {
+function showSurveyBanner(studyId, language = getPreferredUiLanguage(), gender = null) {
   if (document.getElementById('discourse-lab-survey-banner')) return;
 
+  const isRtl = isRtlLanguage(language);
+  const studyIdHtml = `<strong style="color:#9333ea;">${studyId || '—'}</strong>`;
+
   const formUrl = studyId
     ? `https://docs.google.com/forms/d/e/1FAIpQLSdH7hDhb2KKKCiaSH4wVONl0XMzFtoZtmz3NTYFSUTtFjrRzA/viewform?usp=pp_url&entry.465072047=${encodeURIComponent(studyId)}`
     : 'https://docs.google.com/forms/d/e/1FAIpQLSdH7hDhb2KKKCiaSH4wVONl0XMzFtoZtmz3NTYFSUTtFjrRzA/viewform';
@@ -3723,17 +3033,18 @@ function showSurveyBanner(studyId) {
     font-family: ui-sans-serif, system-ui, sans-serif;
     max-width: 420px;
     width: calc(100% - 48px);
-    direction: rtl;
+    direction: ${isRtl ? 'rtl' : 'ltr'};
   `;
+  banner.setAttribute('lang', language);
 
   banner.innerHTML = `
     <div style="display:flex;justify-content:space-between;align-items:flex-start;gap:12px;">
       <div>
         <p style="margin:0 0 4px;font-size:15px;font-weight:600;color:#09090b;">
-          🎉 סיימת את הניסוי!
+          ${getUiString('surveyTitle', language, gender)}
         </p>
         <p style="margin:0 0 14px;font-size:13px;color:#71717a;line-height:1.5;">
-          הגיע הזמן למלא את שאלון הסיום. Study ID שלך: <strong style="color:#9333ea;">${studyId || '—'}</strong>
+          ${getUiString('surveyBody', language, gender, { studyId: studyIdHtml })}
         </p>
         <a href="${formUrl}" target="_blank" style="
           display:inline-block;
@@ -3744,7 +3055,7 @@ function showSurveyBanner(studyId) {
           text-decoration:none;
           font-size:13px;
           font-weight:500;
-        ">📋 למילוי השאלון</a>
+        ">${getUiString('surveyCta', language, gender)}</a>
       </div>
       <button id="discourse-lab-banner-close" style="
         background:none;border:none;cursor:pointer;
@@ -3761,7 +3072,7 @@ function showSurveyBanner(studyId) {
     // Show again after 30 minutes if not clicked
     setTimeout(() => {
       chrome.storage.local.get('surveyCompleted', ({ surveyCompleted }) => {
-        if (!surveyCompleted) showSurveyBanner(studyId);
+        if (!surveyCompleted) showSurveyBanner(studyId, language, gender);
       });
     }, 30 * 60 * 1000);
   });
@@ -3770,8 +3081,8 @@ function showSurveyBanner(studyId) {
 // Listen for trigger from background
 chrome.runtime.onMessage.addListener((message) => {
   if (message.type === 'SHOW_SURVEY_BANNER') {
-    chrome.storage.local.get(['studyId', 'surveyCompleted'], ({ studyId, surveyCompleted }) => {
-      if (!surveyCompleted) showSurveyBanner(studyId);
+    chrome.storage.local.get(['studyId', 'surveyCompleted', 'uiLanguage', 'userGender'], ({ studyId, surveyCompleted, uiLanguage, userGender }) => {
+      if (!surveyCompleted) showSurveyBanner(studyId, getPreferredUiLanguage(uiLanguage), userGender);
     });
   }
 });
\ No newline at end of file
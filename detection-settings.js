@@ -0,0 +1,87 @@
+/**
+ * Detection settings for isEscalating()
+ *
+ * Stored in chrome.storage.local under 'detectionSettings' so study arms can run different
+ * sensitivity levels. isEscalating() is synchronous, so the active values are cached here and
+ * refreshed whenever storage changes.
+ *
+ *   threshold             English score needed to flag escalation (cursing/insults always flag)
+ *   apiGateThreshold      Hebrew/Arabic score must be ABOVE this for the API check to run (0 = any signal)
+ *   cognitiveSensitivity  Multiplier for rules with ECPM dimension 'cognitive'
+ *   emotionalSensitivity  Multiplier for rules with ECPM dimension 'emotional'
+ *                         ('both' rules use the mean of the two; tone/profanity rules are not scaled)
+ *   mlPolicy              How the local classifier (ml-classifier.js) combines with the rules:
+ *                         'rules' (log its probability only), 'either' or 'both'
+ *   mlThreshold           Classifier probability at or above which the model counts as flagging
+ */
+
+const DEFAULT_DETECTION_SETTINGS = {
+  threshold: 2.0,
+  apiGateThreshold: 0,
+  cognitiveSensitivity: 1.0,
+  emotionalSensitivity: 1.0,
+  mlPolicy: 'rules',
+  mlThreshold: 0.8
+};
+
+const ML_POLICIES = ['rules', 'either', 'both'];
+
+// Keeps a stored value from disabling detection entirely (or flagging everything)
+const DETECTION_SETTING_LIMITS = {
+  threshold: { min: 0.5, max: 10 },
+  apiGateThreshold: { min: 0, max: 10 },
+  cognitiveSensitivity: { min: 0, max: 3 },
+  emotionalSensitivity: { min: 0, max: 3 },
+  mlThreshold: { min: 0.5, max: 0.99 }
+};
+
+let activeDetectionSettings = { ...DEFAULT_DETECTION_SETTINGS };
+
+function normalizeDetectionSettings(raw) {
+  const settings = { ...DEFAULT_DETECTION_SETTINGS };
+  if (!raw || typeof raw !== 'object') return settings;
+  if (ML_POLICIES.includes(raw.mlPolicy)) settings.mlPolicy = raw.mlPolicy;
+  Object.keys(DETECTION_SETTING_LIMITS).forEach(key => {
+    const value = Number(raw[key]);
+    if (raw[key] === undefined || raw[key] === null || raw[key] === '' || !Number.isFinite(value)) return;
+    const { min, max } = DETECTION_SETTING_LIMITS[key];
+    settings[key] = Math.min(max, Math.max(min, value));
+  });
+  return settings;
+}
+
+function getDetectionSettings() {
+  return activeDetectionSettings;
+}
+
+// Weight multiplier for a rule hit's ECPM dimension
+function getSensitivityMultiplier(dimension, settings = activeDetectionSettings) {
+  if (dimension === 'cognitive') return settings.cognitiveSensitivity;
+  if (dimension === 'emotional') return settings.emotionalSensitivity;
+  if (dimension === 'both') return (settings.cognitiveSensitivity + settings.emotionalSensitivity) / 2;
+  return 1;
+}
+
+async function loadDetectionSettings() {
+  try {
+    if (typeof chrome === 'undefined' || !chrome?.storage?.local) return activeDetectionSettings;
+    const { detectionSettings } = await chrome.storage.local.get('detectionSettings');
+    activeDetectionSettings = normalizeDetectionSettings(detectionSettings);
+    console.log('🎚️ Detection settings:', activeDetectionSettings);
+  } catch (error) {
+    // Extension context invalidated etc. — keep the last known (or default) values
+    console.warn('⚠️ Could not load detection settings, using defaults:', error?.message || error);
+  }
+  return activeDetectionSettings;
+}
+
+if (typeof chrome !== 'undefined' && chrome?.storage?.onChanged) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.detectionSettings) {
+      activeDetectionSettings = normalizeDetectionSettings(changes.detectionSettings.newValue);
+      console.log('🎚️ Detection settings updated:', activeDetectionSettings);
+    }
+  });
+}
+
+loadDetectionSettings();
@@ -0,0 +1,96 @@
+/**
+ * Emoji and emoticon rules for the ECPM detector (English + Hebrew)
+ *
+ * Same declarative format as escalation-rules.js; the rules are appended to ESCALATION_RULES and
+ * run in both the English and the Hebrew branch of isEscalating(). Lexicon entries are base
+ * emoji: the 'emoji' boundary (rule-engine.js) matches each one with its skin tone, variation
+ * selector and ZWJ continuation as a single unit, so 🖕🏻 or a skin-toned, gendered face-palm
+ * counts once. ASCII emoticons in the same lexicon only match with whitespace around them
+ * (":/" in a URL is not a frown).
+ *
+ * Categories (polarity):
+ *   aggression  threats and rage (negative, tone)
+ *   mockery     clowns, eye-rolls, face-palms aimed at the reader (negative, emotional)
+ *   negative    frustration and disapproval (negative, tone)
+ *   positive    warmth and agreement (positive, softens the score, never underlined)
+ *
+ * Negative categories count every occurrence, so a repeated emoji (🤡🤡🤡) reaches a higher tier.
+ */
+
+const EMOJI_LEXICON = {
+  // 🤬 😡 😠 👿 💢 🖕 🔪 🗡 🔫 💣 👊 🤛 🤜 🪓
+  aggression: [
+    '\u{1F92C}', '\u{1F621}', '\u{1F620}', '\u{1F47F}', '\u{1F4A2}', '\u{1F595}', '\u{1F52A}', '\u{1F5E1}',
+    '\u{1F52B}', '\u{1F4A3}', '\u{1F44A}', '\u{1F91B}', '\u{1F91C}', '\u{1FA93}',
+    '>:(', '>:-(', '>:[', ':@', 'D:<'
+  ],
+  // 🤡 🙄 😏 🥱 🤦 🤓 🐑 💩 🗿
+  mockery: [
+    '\u{1F921}', '\u{1F644}', '\u{1F60F}', '\u{1F971}', '\u{1F926}', '\u{1F913}', '\u{1F411}', '\u{1F4A9}', '\u{1F5FF}',
+    ':P', ':-P', ';P', ':^)'
+  ],
+  // 😤 🤯 😾 ☹ 🙁 😒 😑 😩 😫 🤮 🤢 👎 ❌ ⚠
+  negative: [
+    '\u{1F624}', '\u{1F92F}', '\u{1F63E}', '\u{2639}', '\u{1F641}', '\u{1F612}', '\u{1F611}', '\u{1F629}',
+    '\u{1F62B}', '\u{1F92E}', '\u{1F922}', '\u{1F44E}', '\u{274C}', '\u{26A0}',
+    ':(', ':-(', ':/', ':-/', '-_-', 'D:'
+  ],
+  // ❤ 💕 💙 🥰 😍 😊 🤗 🙏 👍 👋 ✅ 🫶
+  positive: [
+    '\u{2764}', '\u{1F495}', '\u{1F499}', '\u{1F970}', '\u{1F60D}', '\u{1F60A}', '\u{1F917}', '\u{1F64F}',
+    '\u{1F44D}', '\u{1F44B}', '\u{2705}', '\u{1FAF6}',
+    ':)', ':-)', ':D', '<3'
+  ]
+};
+
+const EMOJI_RULES = ['en', 'he'].flatMap(language => [
+  {
+    id: `${language}.emoji.aggression`,
+    language,
+    dimension: null,
+    match: 'count',
+    lexicon: EMOJI_LEXICON.aggression,
+    boundary: 'emoji',
+    tiers: [
+      { min: 3, weight: 3, reason: 'Repeated aggressive emoji' },
+      { min: 1, weight: 2, reason: 'Aggressive emoji' }
+    ]
+  },
+  {
+    id: `${language}.emoji.mockery`,
+    language,
+    dimension: 'emotional',
+    match: 'count',
+    lexicon: EMOJI_LEXICON.mockery,
+    boundary: 'emoji',
+    tiers: [
+      { min: 3, weight: 2, reason: 'Repeated mocking emoji' },
+      { min: 1, weight: 1, reason: 'Mocking emoji' }
+    ]
+  },
+  {
+    id: `${language}.emoji.negative`,
+    language,
+    dimension: null,
+    match: 'count',
+    lexicon: EMOJI_LEXICON.negative,
+    boundary: 'emoji',
+    tiers: [
+      { min: 3, weight: 1.5, reason: 'Repeated anger/frustration emoji' },
+      { min: 1, weight: 1, reason: 'Anger/frustration emoji' }
+    ]
+  },
+  {
+    // Warmth lowers the score a little; it never cancels an insult (the English insult floor still applies)
+    id: `${language}.emoji.positive`,
+    language,
+    dimension: null,
+    weight: -0.5,
+    reason: 'Friendly emoji (softens tone)',
+    match: 'any',
+    lexicon: EMOJI_LEXICON.positive,
+    boundary: 'emoji'
+  }
+]);
+
+ESCALATION_RULES.push(...EMOJI_RULES);
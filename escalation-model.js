@@ -0,0 +1,8 @@
+/**
+ * Bundled model for the local escalation classifier (ml-classifier.js)
+ *
+ * No model is bundled yet: until one is trained on a Google Sheets export, ESCALATION_MODEL stays
+ * undefined and the classifier reports no probability (the rules decide alone). Generate this
+ * file with tools/train-escalation-model.js; test/escalation-corpus.json is the evaluation set
+ * and is never trained on.
+ */
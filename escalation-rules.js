@@ -0,0 +1,1230 @@
+/**
+ * Escalation rules for the ECPM detector
+ *
+ * Every signal scored by isEscalating() is declared here as data so researchers can add or
+ * re-weight rules without editing content.js. rule-engine.js evaluates them; the research
+ * rationale for each group is documented in ESCALATION_PATTERNS.md.
+ *
+ * Rule fields:
+ *   id         Stable identifier '<language>.<group>.<name>', logged with every interaction
+ *   language   'en' | 'he' | 'ar'
+ *   dimension  ECPM dimension signalled: 'cognitive' | 'emotional' | 'both' | null (tone only)
+ *   weight     Score added when the rule fires
+ *   reason     Human-readable reason pushed into `reasons`
+ *   patterns   RegExp list. match 'each' (default) adds the weight for every matching pattern,
+ *              match 'any' adds it once if any pattern matches
+ *   lexicon    Word/phrase list compiled into one pattern; boundary 'word' (English),
+ *              'hebrew' (allows a ו/ב/ל/כ/מ/ש/ה prefix) or 'arabic' (allows و/ف/ب/ل/ك + ال)
+ *   match      'each' | 'any' | 'count' | 'ratio' | 'combo'
+ *   tiers      For 'count' and 'ratio' rules, first matching tier wins:
+ *              { min | above, longerThan, shorterThan, weight, reason }
+ *   requires   For 'combo' rules: labels (tags or ECPM dimensions) that must all have fired
+ *   tags       Extra labels read by combo rules ('attack', 'categorical'); 'judgement' marks insults and
+ *              judgements whose target is detected by target-detector.js
+ *   ignoreScope Skip scope-analyzer.js: matches inside quotes/negation/reported speech still count
+ *   stage      Rules with a stage are not run by evaluateRules(); isEscalating() applies them
+ *              explicitly ('profanity' depends on surrounding context, 'combo' runs last)
+ */
+
+// ===== SHARED LEXICONS =====
+
+// Common misspellings for key escalatory words (ridiculous is frequently misspelled)
+const RIDICULOUS_VARIANTS = '(?:ridiculous|rediculous|rediculus|ridiculus|redicoulous)';
+const STUPID_VARIANTS = '(?:stupid|stuped|stupied)';
+
+const EN_GROUP_NAMES = '(?:women|men|girls|boys|vegans?|rednecks?|blonds?|blondes?|redheads?|lefties?|righties?|leftists?|rightists?|liberals?|conservatives?|republicans?|democrats?|libs?|israelis?|palestinians?|jews?|arabs?|religious|ultra-orthodox|ultraorthodox|black people|white people|asian people|settlers?|zionists?|orthodox)';
+
+// Comprehensive list of curse words from Wiktionary
+// https://en.wiktionary.org/wiki/Category:English_swear_words
+const EN_CURSE_WORDS = [
+  // F-words
+  'fuck', 'fucking', 'fucked', 'fucker', 'fucks',
+  // S-words
+  'shit', 'shitting', 'shitted', 'shits', 'shitty', 'shite',
+  // D-words
+  'damn', 'damned', 'damnit', 'dammit', 'goddamn', 'goddamnit', 'goddamned', 'godsdamn',
+  // Other strong profanity
+  'hell', 'hellish', 'bitch', 'bitches', 'bitching', 'bastard', 'bastards',
+  'cunt', 'cunts', 'dick', 'dicks', 'dickhead', 'dick-head', 'prick', 'pricks',
+  'cock', 'cocks', 'cocksucker', 'motherfucker', 'motherfuckers', 'motherfucking', 'mother-fucker',
+  'bullshit', 'horseshit', 'piss', 'pissing', 'pissed', 'wanker', 'twat',
+  'arse', 'arsehead', 'arsehole', 'arseholes', 'ass', 'asshole', 'assholes', 'arsehead',
+  'bugger', 'bollocks', 'crap', 'dumb-ass', 'dumbass', 'jack-ass', 'jackass', 'jackarse',
+  // Slurs and offensive terms (always escalatory)
+  'fag', 'faggot', 'dyke', 'kike', 'tranny', 'slut', 'spastic',
+  'nigga', 'nigra',
+  // Compound curse words
+  'child-fucker', 'father-fucker', 'fatherfucker', 'brotherfucker', 'sisterfuck', 'sisterfucker',
+  'pigfucker'
+];
+
+// Negative context words that make profanity escalatory (includes common misspellings)
+const EN_NEGATIVE_CONTEXT = /\b(?:ridiculous|rediculous|terrible|awful|horrible|stupid|idiotic|disgusting|pathetic|wrong|bad|worse|worst|hate|hated|annoying|frustrating|useless|pointless|garbage|trash|crazy|insane|dumb|absurd|nonsense|idiot|moron|jerk|fool|hateful|offensive)\b/i;
+
+// Positive context words - profanity here is NOT escalatory
+const EN_POSITIVE_CONTEXT = /\b(?:amazing|great|awesome|fantastic|wonderful|excellent|incredible|beautiful|good|best|love|loved|perfect|brilliant|outstanding|superb|phenomenal|marvelous|lovely|nice|sweet|cool|nice|sweet)\b/i;
+
+// Hebrew "יא + word" is only escalatory when the word is a known insult
+const HE_YA_INSULT_WORDS = [
+  'זבל','אשפה','מטומטם','מטומטמת','טיפש','טיפשה','שוטה','אידיוט','אידיוטית',
+  'בהמה','חמור','חמורה','כלב','כלבה','פרה','חזיר','חזירה',
+  'נבל','נבלה','מרושע','מרושעת','רשע','רשעה','שקרן','שקרנית',
+  'לוזר','פתי','פתיה','מניאק','מניאקית','פסיכו','משוגע','משוגעת',
+  'סרחון','דביל','דבילה','מפגר','מפגרת','עלוב','עלובה'
+];
+
+const HE_INSULT_WORDS = [
+  // Animals (as direct insults)
+  'כלב','כלבה','חמור','חמורה','פרה','חזיר','חזירה','בהמה','חמורים','כלבים',
+  'בבון','קרפדה','נחש',
+
+  // Stupidity / cognitive
+  'טיפש','טיפשה','טיפשים','טיפשות',
+  'מטומטם','מטומטמת','מטומטמים','מטומטמות','טמטום',
+  'אידיוט','אידיוטית','אידיוטים','אידיוטיות',
+  'דביל','דבילה','דבילים','דבילות',
+  'מפגר','מפגרת','מפגרים','מפגרות',
+  'קרטין','קרטינית','קרטינים',
+  'מורון','מורונית','מורונים',
+  'שוטה','שוטים','שוטות',
+  'אהבל','אהבלית','אימבציל','דגנרט',
+  'כסיל','בער','עילג','סתום','חלול','אטום',
+  'בלטה','נעל','עציץ',
+  'חלאולאו',
+  'רפה שכל','חסר בינה','חסר דעת',
+  'מוח של ציפור','מוח של נמלה','מוח חלול','ראש כרוב','מוח של נעל',
+  'אטום במוח','אטום כקיר','סתום כלוט','סתום בלום',
+  'בור וניער','בור','בורה','עם הארץ',
+  'קצר רואי','עילג מחשבתית','מאותגר שכלית',
+  'חמור גרם','אהבל מושרש','רפיון שכלי',
+
+  // Moral corruption
+  'צבוע','צבועה','צבועים','צבועות','צבוע בן צבוע',
+  'שקרן','שקרנית','שקרנים','שקרניות',
+  'רמאי','רמאית','רמאים','רמאיות',
+  'נוכל','נוכלת','נוכלים','נוכלות',
+  'נלוז','נלוזה','שפל','שפלה',
+  'נבזה','נאלח','נתעב','מופקר',
+  'מושחת','מושחתת','מושחתים','מושחתות',
+  'מנוול','נבל','נבלה','רשע','רשעה',
+  'מרושע','מרושעת','מרושעים','מרושעות',
+  'סמרטוט','עבד נרצע','מלחך פנכה','חנפן','לקקן','תככן',
+  'בוגד','מלשין','שטינקר','חלאה','שרץ',
+  'ערמומי','חלקלק','מתחסד','טהרן',
+  'מוכר לוקשים','עוכר ישראל','סחי','עוכר',
+  'צמא דם','לב אבן','חסר צלם אנוש',
+  'טינופת','עשקן','מוצץ דם','רודף בצע',
+  'עז פנים','קשה עורף','נחש בריח',
+  'שרלטן','שרלטנית','שרלטנים',
+
+  // Disgust / physical repulsion
+  'מגעיל','מגעילה','מחריד','מחרידה',
+  'גועל נפש','מעורר בחילה','מאוס','דוחה',
+  'אשפה','זבל','סרחון','טינופת','ביוב',
+  'חרא','חרות','בולשיט','שיט','קאקי','חרא טהור',
+  'תת-אדם','תת-רמה','פרא אדם','ברברי',
+  'בהמת משא','חיית השדה','חיית אדם',
+  'פגע רע','גידול פרא','פרימיטיבי',
+  'ערס','פרחה','שלוח',
+
+  // Failure / worthlessness
+  'עלוב','עלובה','עלובים','עלובות','עלוב נפש','עלוב חיים',
+  'מביש','מבישה','כישלון',
+  'לוזר','לוזרית','לוזרים',
+  'אפס מאופס','חדל אישים','נמושה','רכיכה',
+  'חסר תועלת','קישוט','פסיק',
+  'טעות של הטבע','כלי ריק','קליפת השום',
+  'שבר כלי','פסולת אנושית','סרח עודף','נזק','חסר תקנה','חסרת תקנה',
+  'פוזאיסט','פוזאיסטית','פוזאיסטים','פוזאיסטיות',
+  'צל של בן אדם','גוש בשר','דחליל',
+  'חרפת המין האנושי','זנב לאריות',
+  'פתי','פתיה','פתאים',
+
+  // Personality / social
+  'מגלומן','נרקיסיסט','סוציופת','פסיכופת','סוציומט',
+  'יהיר','שחצן','פלצן','זחוח','נפוח מחשיבות עצמית',
+  'טרחן','קרציה','עלוקה','חופר','נודניק',
+  'מתנשא','מנותק','הזוי','סהרורי','מטורלל',
+  'מוכה כלבת','פרנואיד','אגואיסט',
+  'מוכה ירח','אובססיבי','חולני','נקמני',
+  'מתוסכל','קנאי חולני','מיזנתרופ',
+  'תחמן','דוחף אף','חסר טקט',
+  'מוכה סנוורים','משוגע לדבר אחד',
+  'מניאק','מניאקית','פסיכו',
+  'משוגע','משוגעת','משוגעים','משוגעות',
+
+  // Political / online discourse
+  'פשיסט','פשיסטית','פשיסטים',
+  'נאצי','נאצית','נאצים','יודונאצי','יודנראט',
+  'בוט','שופר','תעמלן','פנאט','פודל',
+  'מתוכנת','בובת על חוט','משת"פ','קוויזלינג',
+  'שטוף מוח','קיצוני','אנטי-ציוני',
+  'גזען','חשוך','אידיוט שימושי',
+  'טרול','טרול בשכר','מכונת רעל',
+  'מסית ומדיח','מחרחר ריב','לקקן חצר',
+  'חייל של מקלדת','צייצן','שופר מטעם',
+  'חסר עמוד שדרה אינטלקטואלי',
+
+  // Parasites
+  'טפיל','טפילה','טפילים',
+  'פחדן','פחדנית','פחדנים',
+];
+
+const HE_GROUP_LABELS = [
+  // Political
+  'שמאלנים','ימנים','ביביסטים','ליברלים','פשיסטים','קומוניסטים','ציונים','מתנחלים','פלסטינאים',
+  // Religious / ethnic
+  'חרדים','דתיים','חילונים','מסורתיים','דתלשים','דתל"שים',
+  'אשכנזים','מזרחים','ספרדים','אתיופים','דרוזים','ערבים','בדואים',
+  // Appearance / physical
+  "ג'ינג'ים","ג׳ינג׳ים",'שמנים','רזים',
+  // Geographic / lifestyle
+  'תל אביבים','ירושלמים','מתנשאים',
+  // Gender / orientation
+  'פמיניסטיות','פמיניסטים','הומואים','לסביות','טרנסים'
+];
+const HE_GROUP_NEGATIVE = /(?:\s+תמיד|\s+אף\s+פעם|\s+לעולם|\s+כולם|\s+הורסים|\s+אשמים|\s+גרמו|\s+בגלל|\s+שונאים|\s+מסוכנים|\s+מזיקים|\s+מרעילים|\s+מחריבים|\s+כושלים|\s+רעים|\s+גרועים|\s+מטורפים|\s+מחרפנים|\s+לא\s+שווים|\s+לא\s+בסדר|\s+סכנה|\s+בעיה|\s+אסון|\s+אותו\s+הדבר|\s+כולם\s+אותו|\s+ידועים|\s+כבר\s+ידועים)/;
+
+// Spread-of-negativity: [verb of spreading] + [negative noun]
+const HE_SPREAD_VERBS = '(?:להפיץ|מפיץ|מפיצה|מפיצים|תפיץ|תפיצו|הפצת|לשפוך|שופך|שופכת|שופכים|תשפוך|לשדר|משדר|משדרת|לזהם|מזהם|מזהמת|מזהמים|תזהם|להרעיל|מרעיל|מרעילה|מרעילים|תרעיל|לטמא|מטמא|מטמאת|לכלך|מכלך|מכלכת|להסית|מסית|מסיתה|מסיתים|תסית|לזרוע|זורע|זורעת|זורעים|תזרע|לייצר|מייצר|מייצרת)';
+const HE_SPREAD_NOUNS = '(?:רעל|ארס|שנאה|הסתה|זוהמה|טינופת|שקרים|שקר|בלבול|פחד|פניקה|מרירות|כאוס|אנרכיה|פירוד|פיצול|מחלוקת|קנאה|שנאת חינם|אלימות|טרור|פשע|ריקבון|השחתה|פגע|ייאוש|דיכאון|כעס|זעם|חרדה|פרנויה|הסתה לאלימות)';
+
+const HE_ANIMAL_VERBS = ['נובח','נובחים','נובחות','נובחת','תנבח','תנבחו','גועה','גועים','נוהם','נוהמים','נושך','נושכים','מנשך','רומס','רומסים'];
+const HE_ANIMAL_ADJECTIVES = ['החזירים','החזירות','הכלבים','הכלבות','החמורים','החמורות','הבהמות','הנחשים','החולדות','העכברים','הטפילים'];
+const HE_ANIMAL_NOUNS = ['חזירים','חזירות','כלבים','כלבות','חמורים','חמורות','בהמות','עדר','כבשים','זאבים','נחשים','עכברים','חולדות','טפילים','עורבים'];
+
+// ===== ARABIC LEXICONS =====
+// Modern Standard Arabic + Levantine/Palestinian dialect spellings. Common hamza (أ/ا/إ)
+// and ta marbuta (ة/ه) variants are listed explicitly.
+
+const AR_INSULT_WORDS = [
+  // Animals (as direct insults)
+  'حمار','حمارة','حماره','حمير','كلب','كلبة','كلبه','كلاب','خنزير','خنزيرة','خنازير',
+  'بهيم','بهيمة','بهيمه','بهايم','قرد','قرود','جحش','تيس',
+
+  // Stupidity / cognitive
+  'غبي','غبية','غبيه','أغبياء','اغبياء','غبيين',
+  'أهبل','اهبل','هبلة','هبله','هبلان',
+  'أحمق','احمق','حمقاء','حمقى',
+  'أبله','ابله','بلهاء','معتوه','معتوهة','معتوهه',
+  'متخلف','متخلفة','متخلفه','متخلفين',
+  'جاهل','جاهلة','جاهله','جهلة','جهله','جاهلين',
+  'تافه','تافهة','تافهه','تافهين','سخيف','سخيفة','سخيفه',
+
+  // Moral corruption
+  'كذاب','كذابة','كذابه','كذابين','كذّاب',
+  'منافق','منافقة','منافقه','منافقين',
+  'حقير','حقيرة','حقيره','حقيرين','حقراء',
+  'واطي','واطية','واطيه','سافل','سافلة','سافله','سفلة','سفله',
+  'وسخ','وسخة','وسخه','قذر','قذرة','قذره','زبالة','زباله',
+  'نصاب','نصابة','حرامي','حرامية','لص','لصوص',
+  'خاين','خاينة','خاينه','خائن','خائنة','خونة','خونه',
+  'عميل','عميلة','عملاء',
+
+  // Profanity
+  'شرموطة','شرموطه','شرموط','عرص','معرص','منيك','ابن حرام','ابن كلب','ابن الكلب',
+  'يلعن أبوك','يلعن ابوك','يلعن دينك','يلعن روحك','كس أمك','كس امك','كسمك','تفو عليك'
+];
+
+const AR_GROUP_LABELS = [
+  // Political
+  'صهاينة','صهيونيين','مستوطنين','يساريين','يمينيين','شيوعيين','إخوان','اخوان',
+  // Religious / ethnic
+  'يهود','عرب','مسلمين','مسيحيين','دروز','بدو','شيعة','سنة','متدينين','علمانيين','مشايخ'
+];
+
+// Words for animals/vermin used to dehumanize a group
+const AR_ANIMAL_PLURALS = ['كلاب','حيوانات','حشرات','جرذان','خنازير','قرود','وحوش','صراصير','بهايم','ديدان','أفاعي','افاعي'];
+
+const ESCALATION_LEXICONS = {
+  curseWords: EN_CURSE_WORDS,
+  insultWords: ['stupid', 'stuped', 'stupied', 'dumb', 'dumbass', 'idiot', 'moron', 'fool', 'jerk', 'imbecile', 'dunce'],
+  yaInsultWords: HE_YA_INSULT_WORDS,
+  hebrewInsultWords: HE_INSULT_WORDS,
+  hebrewGroupLabels: HE_GROUP_LABELS,
+  arabicInsultWords: AR_INSULT_WORDS,
+  arabicGroupLabels: AR_GROUP_LABELS
+};
+
+// ===== RULES =====
+
+const ESCALATION_RULES = [
+  // ===== ENGLISH — COGNITIVE DIMENSION: Argumentative Talk =====
+  // Pattern: Talking in absolute truths, categorical statements
+  {
+    id: 'en.cognitive.absolute_truth',
+    language: 'en',
+    dimension: 'cognitive',
+    weight: 2,
+    reason: 'Absolute truth statement',
+    patterns: [
+      /\b(you are wrong|you're wrong)\b/i,
+      /\b(you are (?:always|never|totally|completely|absolutely|so|just) wrong)\b/i, // "you are [adverb] wrong"
+      /\b(you're (?:always|never|totally|completely|absolutely|so|just) wrong)\b/i,
+      /\b(?:are|is) (?:always|never|totally|completely|absolutely) wrong\b/i, // General "are always wrong"
+      /\b(i am right|i'm right)\b/i,
+      /\b(i totally disagree|completely disagree|absolutely wrong)\b/i,
+      /\b(that's not true|that is not true|that's false)\b/i,
+      /\b(you don't understand|you don't get it)\b/i,
+      new RegExp(`\\b(this is|it's|it is|that's|that is) (?:so |completely |totally )?wrong\\b`, 'i'), // "this is wrong", "this is so wrong", "it's completely wrong"
+      new RegExp(`\\b(that's|that is|it's|it is) ${RIDICULOUS_VARIANTS}\\b`, 'i'),
+      new RegExp(`\\b(that's|that is|it's|it is) (?:absurd|${STUPID_VARIANTS})\\b`, 'i'),
+      new RegExp(`\\b(that's|it's|that is|it is) (?:a|an) (?:${STUPID_VARIANTS}|${RIDICULOUS_VARIANTS}|absurd|terrible|awful|horrible|disgusting|pathetic|dumb|idiotic)(?:\\s+(?:argument|idea|point|statement|claim|thing|view|opinion))?\\b`, 'i'), // "that's a stupid argument", "it's a ridiculous idea"
+      new RegExp(`\\b(?:their|his|her) (?:${RIDICULOUS_VARIANTS}|absurd|${STUPID_VARIANTS}|idiotic) (?:ideas?|views?|opinions?)\\b`, 'i'),
+      /\bwill never work\b/i, // Absolute dismissal
+      /\bwill always (?:fail|lose|be wrong)\b/i
+    ]
+  },
+  {
+    // Generalized/categorical statements (e.g., "the Arabs", "the Leftists", "all X")
+    id: 'en.cognitive.generalized',
+    language: 'en',
+    dimension: 'cognitive',
+    weight: 2,
+    reason: 'Generalized/categorical statement',
+    patterns: [
+      /\b(the (?:arabs|palestinians|jews|israelis|leftists?|rightists?|lefties?|righties?|leftys?|rightys?|laefies?|republicans|democrats|liberals|conservatives|orthodox|libs?|zionists?))\b/i,
+      /\b(the (?:tel avivians?|jerusalemites?|settlers?|hasidim|settlements?))\b/i, // "the Tel Avivians are...", "the settlers"
+      /\b(the (?:women|men|girls|boys|females|males|blonds?|blondes?|redheads?|vegans?|rednecks?|religious|ultra-orthodox|ultraorthodox))\b/i,
+      /\b(the (?:black people|white people|asian people|muslim people|christian people|jewish people))\b/i,
+      /\b(all (?:arabs|palestinians|jews|israelis|leftists?|rightists?|lefties?|righties?|libs?|republicans|democrats|liberals|conservatives|of them|of you))\b/i,
+      /\b(all (?:women|men|girls|boys|vegans?|rednecks?|blonds?|blondes?|redheads?|religious|ultra-orthodox|ultraorthodox|black people|white people|asian people|muslim people|christian people|jewish people))\b/i,
+      /\b(every (?:arab|palestinian|jew|israeli|leftist|rightist|leftie|rightie|lib|republican|democrat|liberal|conservative))\b/i,
+      /\b(every (?:woman|man|girl|boy|vegan|redneck|blond|blonde|redhead|religious person|ultra-orthodox person|ultraorthodox person))\b/i,
+      /\b(they all|you all|all of you|all of them)\b/i,
+      /\b(?:those|these) (?:people|guys|folks) (?:on the (?:other side|left|right))\b/i, // "those people on the other side"
+      /\b(?:anyone|everyone|everybody) who (?:supports?|believes?|thinks?|agrees?)\b/i, // "anyone who supports"
+      // "You [group]" patterns - direct address creating us vs them
+      /\b(you (?:lefties?|righties?|leftys?|rightys?|laefies?|libs?|conservatives?|republicans?|democrats?|liberals?|progressives?|leftists?|rightists?|arabs?|palestinians?|jews?|israelis?|zionists?))\b/i, // "you lefties", "you libs", etc.
+      /\b(your (?:lefties?|righties?|leftys?|rightys?|laefies?|libs?) (?:\w+)?)\b/i, // "your leftie friends", "your lefty agenda", "your lefties"
+      /\b(you (?:people|guys|folks|ones) (?:on the (?:left|right|other side)))\b/i, // "you people on the left"
+      /\b(you (?:left|right|liberal|conservative) (?:people|guys|folks|ones|snowflakes|nutjobs|wackos))\b/i, // "you left people", "you conservative nutjobs"
+      /\b(those|these) (?:lefties?|righties?|leftys?|rightys?|laefies?|libs?|conservatives?|liberals?|republicans?|democrats?|people|guys|folks)\b/i, // "those lefties", "these libs"
+      /\b(all|every) (?:lefties?|righties?|leftys?|rightys?|laefies?|libs?)\b/i, // "all lefties", "every leftie" (incl. lefty/righty, laefies typo)
+    ]
+  },
+  {
+    // Group name used as subject + absolute claim
+    // Covers: "Why do women always...", "Leftists always destroy...", "Women never listen..."
+    id: 'en.cognitive.group_stereotype',
+    language: 'en',
+    dimension: null,
+    weight: 2,
+    reason: 'Group stereotype/generalization',
+    patterns: [
+      // "Why do [group] always..."
+      new RegExp(`\\bwhy do ${EN_GROUP_NAMES} always\\b`, 'i'),
+      // "[Group] always/never [any verb]" — group as subject + absolute temporal qualifier
+      new RegExp(`\\b${EN_GROUP_NAMES} (?:always|never) \\w`, 'i'),
+      // "[Group] [verb] everything/nothing/everyone/all..."
+      new RegExp(`\\b${EN_GROUP_NAMES} (?:\\w+ )?(?:everything|nothing|everyone|everybody|all of|none of)\\b`, 'i'),
+    ]
+  },
+  {
+    // "once X, always X" (categorical absolutism)
+    id: 'en.cognitive.once_always',
+    language: 'en',
+    dimension: null,
+    weight: 2.5,
+    reason: 'Categorical absolutist pattern (once X, always X)',
+    match: 'any',
+    patterns: [/\bonce (?:an? |a )?\w+, (?:always|forever) (?:an? |a )?\w+/i]
+  },
+  {
+    // Explicit absolute dismissal of nuance
+    id: 'en.cognitive.without_exception',
+    language: 'en',
+    dimension: null,
+    weight: 1.5,
+    reason: 'Absolute qualifier (without exception)',
+    match: 'any',
+    patterns: [/\bwithout exception\b/i, /\bno exceptions?\b/i]
+  },
+  {
+    // "only cares about", "only wants", "only thinks about"
+    id: 'en.cognitive.only_verb',
+    language: 'en',
+    dimension: null,
+    weight: 1.5,
+    reason: 'Categorical/absolute language (only [verb])',
+    match: 'any',
+    patterns: [/\bonly (?:cares?|cared|wants?|wanted|thinks?|thought|thinks about|cares about|wants? about|does|did|knows?|know|sees?|saw|understands?|understood|believes?|believed|matters?|mattered|interests?|interested)\b/i]
+  },
+  {
+    // Categorical words indicate absolute/black-and-white thinking - escalatory regardless of text length
+    id: 'en.cognitive.categorical_words',
+    language: 'en',
+    dimension: null,
+    match: 'count',
+    patterns: [
+      /\b(always|never|everyone|nobody|nothing|everything|neither|either)\b/i,
+      /\b(only|solely|exclusively|completely|totally|absolutely|definitely|certainly|just|actually)\b/i
+    ],
+    tiers: [
+      { min: 1, weight: 1, reason: 'Categorical/absolute language' }
+    ]
+  },
+
+  // ===== ENGLISH — EMOTIONAL DIMENSION: Blame =====
+  // Pattern: Projecting negative emotions, judging, dismissing others
+  {
+    id: 'en.emotional.blame',
+    language: 'en',
+    dimension: 'emotional',
+    weight: 2,
+    reason: 'Blaming/accusative language',
+    patterns: [
+      /\b(you (?:always|never|can't|cannot|don't|won't|shouldn't|are|were|did|do|have|had))\b/i,
+      /\b(you (?:always|never) (?:do|say|think|act|behave))\b/i,
+      /\b(you're (?:always|never|just|so|too|being))\b/i,
+      /\b(you (?:lefties?|righties?|leftys?|rightys?|laefies?|libs?|people|guys|folks) (?:always|never|can't|don't|have no|have zero))\b/i, // "you lefties have no idea", "you people always"
+      /\b(you (?:lefties?|righties?|leftys?|rightys?|laefies?|libs?|conservatives?|people|guys|folks) (?:don't understand|don't get it|don't know|have no idea))\b/i, // "you lefties don't understand"
+      /\b(you (?:make|made|cause|caused|force|forced) (?:me|us|this|that)(?:\s+\w+)?)/i, // "you make me sick", "you make me angry", etc. (matches even if followed by adjective)
+      /\b(you (?:make|made) (?:me|us) (?:feel )?(?:sick|angry|sad|mad|upset|disgusted|furious|annoyed|frustrated|disappointed))\b/i, // Specific emotional reactions
+      /\b(it's (?:your|you're) (?:fault|problem|issue|doing))\b/i,
+      /\b(?:your|you're) (?:fault|problem|issue|doing)\b/i, // "your fault", "you're wrong" without "it's"
+      /\b(?:this|that|it) (?:is|was) (?:your|you're) (?:fault|problem)\b/i, // "this is your fault"
+      /\b(?:absolutely|completely|totally) (?:your|you're)\b/i, // "absolutely your fault"
+      /\b(?:just )?because of (?:people )?like you\b/i, // "just because of people like you"
+      /\bpeople like you\b/i, // "people like you" - group blame
+      /\bbecause of you(?:\s+(?:people|guys|folks))?\b/i // "because of you"
+    ]
+  },
+  {
+    id: 'en.emotional.mocking',
+    language: 'en',
+    dimension: 'emotional',
+    weight: 1.5,
+    reason: 'Mocking/condescending tone',
+    patterns: [
+      /\b(you always\.\.\.|you never\.\.\.)\b/i,
+      /\b(oh please|come on|seriously|give me a break|give me a fucking break)\b/i,
+      /\b(typical|of course|naturally|predictably)\b/i,
+      /\b(wow|really|sure|right)\b/i  // Sarcastic when used in certain contexts
+    ]
+  },
+  {
+    id: 'en.emotional.dismissive',
+    language: 'en',
+    dimension: 'emotional',
+    weight: 1.5,
+    reason: 'Dismissive language',
+    patterns: [
+      /\b(that's not (?:true|real|how it works|the point))\b/i,
+      /\b(you're (?:wrong|mistaken|confused|misinformed))\b/i,
+      new RegExp(`\\b(this is|it's|it is|that's|that is) (?:so |completely |totally )?(?:wrong|${RIDICULOUS_VARIANTS}|absurd|${STUPID_VARIANTS}|terrible|awful|insane)\\b`, 'i'), // "this is wrong", "it's so wrong", "this is ridiculous"
+      /\bwrong (?:on|in) (?:so many|so many different|every) (?:levels?|ways?)\b/i, // "wrong on so many levels", "wrong in every way"
+      new RegExp(`\\b(what a|what an) (?:${STUPID_VARIANTS}|${RIDICULOUS_VARIANTS}|absurd|terrible|awful|horrible|pathetic|dumb|idiotic|disgusting) (?:idea|argument|point|statement|claim|view|opinion)\\b`, 'i'), // "what a ridiculous idea", "what a stupid argument"
+      /\b(that doesn't (?:matter|count|make sense|work))\b/i,
+      /\b(i don't (?:care|give a|want to hear))\b/i,
+      /\b(whatever|who cares|so what)\b/i
+    ]
+  },
+  {
+    // Dismissive language about political relationships, partnerships, etc.
+    id: 'en.emotional.dismissive_relationship',
+    language: 'en',
+    dimension: 'both',
+    weight: 2,
+    reason: 'Dismissive/categorical statement about relationships or third parties',
+    patterns: [
+      /\bis just (?:a|an) (?:political theater|show|act|game|joke|charade)\b/i, // "is just political theater"
+      /\bis (?:nothing but|only|merely|simply) (?:a|an) (?:political theater|show|act|game|joke|charade)\b/i,
+      /\b(?:neither|either) (?:actually|really|truly|genuinely) (?:care|cares|care about|matter|matters)\b/i, // "Neither actually care"
+      /\b(?:they|he|she) (?:don't|doesn't) (?:actually|really|truly|genuinely) (?:care|matter|mean it)\b/i,
+      /\b(?:their|his|her) (?:relationship|friendship|alliance) is (?:just|only|merely|simply|nothing but)\b/i // "their relationship is just..."
+    ]
+  },
+  {
+    // "I can't believe how [negative] (you are)?" and "how [negative] you are" - always escalatory
+    id: 'en.emotional.judging_high',
+    language: 'en',
+    dimension: 'emotional',
+    weight: 2.5,
+    reason: 'Judging/condemning language',
+    tags: ['judgement'],
+    match: 'any',
+    patterns: [
+      /\bi (?:can't|cannot) believe how (?:dumb|stupid|ridiculous|disgusting|terrible|awful|horrible|pathetic|idiotic|unbelievable)(?:\s+you are)?\b/i,
+      /\bhow (?:dumb|stupid|ridiculous|disgusting|terrible|awful|horrible|pathetic|idiotic|unbelievable) you are\b/i
+    ]
+  },
+  {
+    id: 'en.emotional.judging',
+    language: 'en',
+    dimension: 'emotional',
+    weight: 2,
+    reason: 'Judging/condemning language',
+    tags: ['judgement'],
+    patterns: [
+      // Basic "you are/you're [negative adjective]"
+      /\b(you're (?:terrible|awful|horrible|disgusting|pathetic|ridiculous|stupid|dumb|an idiot|a moron|an ass|an asshole))\b/i,
+      /\b(you're being (?:terrible|awful|horrible|disgusting|pathetic|ridiculous|stupid|dumb|idiotic|an idiot|a moron|absurd|childish|unreasonable|unfair|unjust))\b/i, // "you're being ridiculous", "you're being stupid"
+      /\b(you are such a (?:dumb (?:ass|asshole)|idiot|moron|jerk|fool|terrible|awful|horrible|disgusting|pathetic|ridiculous|stupid))\b/i, // "you are such a dumb ass", "you are such a idiot", etc.
+      /\b(you are (?:so |such )?(?:terrible|awful|horrible|disgusting|pathetic|ridiculous|stupid|dumb(?:ass| ass)?|idiot|moron|ass(?:hole)?|jerk|fool))\b/i, // "you are so stupid", "you are dumb", etc.
+    
+      // "You are [article] [adjective] [noun]" patterns (e.g., "you are a disgusting creature", "you are the worst mistake")
+      /\b(you are (?:a|an|the) (?:disgusting|terrible|awful|horrible|pathetic|ridiculous|stupid|dumb|worst|bad|worst|vile|repulsive|despicable|contemptible) (?:creature|mistake|person|human|thing|being|scum|filth|waste|joke|disgrace|shame|failure|monster|beast|animal))\b/i,
+    
+      // Third-person statements about specific people: "[Name] is a [adjective] [noun]" (e.g., "Bibi is a disgusting creature", "Trump is a terrible person")
+      /\b\w+ (?:is|are|was|were) (?:a|an|the) (?:disgusting|terrible|awful|horrible|pathetic|ridiculous|stupid|dumb|worst|bad|vile|repulsive|despicable|contemptible) (?:creature|mistake|person|human|thing|being|scum|filth|waste|joke|disgrace|shame|failure|monster|beast|animal)\b/i,
+    
+      // Third-person "[Name] is such a [negative noun]" patterns
+      /\b\w+ (?:is|are|was|were) such a (?:mistake|failure|disgrace|shame|joke|monster|beast|animal|creature|scum|filth|waste|disaster|tragedy|nightmare|curse|plague|burden|problem|issue|threat|danger|liability)\b/i,
+    
+      // "You are such a [negative noun]" patterns (e.g., "you are such a mistake", "you are such a failure")
+      /\b(you are such a (?:mistake|failure|disgrace|shame|joke|monster|beast|animal|creature|scum|filth|waste|disaster|tragedy|nightmare|curse|plague|burden|problem|issue|threat|danger|liability))\b/i,
+    
+      // "You are [a/an/the] [negative noun]" patterns without adjective (e.g., "you are a mistake", "you are the problem")
+      /\b(you are (?:a|an|the) (?:mistake|failure|disgrace|shame|joke|monster|beast|animal|creature|scum|filth|waste|disaster|tragedy|nightmare|curse|plague|burden|problem|issue|threat|danger|liability|embarrassment|disappointment|fraud|fake|imposter|hypocrite|coward|traitor|enemy|foe|opponent|adversary|villain|criminal|evil|poison|disease|cancer|virus|pest|parasite|leech|freeloader))\b/i,
+    
+      // "You are everything that is [negative]"
+      /\b(you are everything (?:that is|which is) (?:bad|wrong|evil|terrible|awful|horrible|disgusting|pathetic|ridiculous|stupid|wrong with|terrible about))\b/i,
+    
+      // "You are [the/your/a] worst [noun]" patterns
+      /\b(you are (?:the|your|a) worst (?:mistake|thing|person|human|decision|choice|example|representation|embodiment|excuse|reason|excuse|excuse for|joke|disgrace|shame|failure))\b/i,
+    
+      // "What a [adjective] [noun]" condescending patterns
+      new RegExp(`\\b(what a|what an) (?:${STUPID_VARIANTS}|disgusting|terrible|awful|horrible|pathetic|${RIDICULOUS_VARIANTS}|dumb|idiotic|vile|repulsive|despicable|contemptible) (?:human|person|creature|thing|joke|disgrace|shame|failure|mistake|being|monster|beast|animal|idiot|moron|fool|jerk|idea|argument|point|statement|claim|view|opinion)\\b`, 'i'),
+    
+      // "I can't believe" dismissive/judging patterns (high weight - these are clearly escalatory)
+      /\b(i (?:can't|cannot) believe (?:you|that|how) (?:are|were|would|still|actually|really|\w+))\b/i, // "I cannot believe you are", "I cannot believe how dumb..."
+      /\bhow (?:dumb|stupid|ridiculous|disgusting|terrible|awful|horrible|pathetic|idiotic|unbelievable) you are\b/i, // "how dumb you are", "how stupid you are"
+    
+      // Other judging patterns
+      new RegExp(`\\b(that's|it's) (?:terrible|awful|horrible|disgusting|pathetic|${RIDICULOUS_VARIANTS}|${STUPID_VARIANTS}|dumb|idiotic|unbelievable)\\b`, 'i'),
+      /\b(?:those|these) (?:lefties?|righties?|leftys?|rightys?|laefies?|libs?|people|guys|folks) are (?:unbelievable|unbelieveable|ridiculous|stupid|disgusting|terrible|awful|horrible|pathetic|dumb|idiotic)\b/i, // "those lefties are unbelievable" (incl. typo unbelieveable)
+      /\b(?:they|those|these) are (?:unbelievable|ridiculous|stupid|disgusting|terrible|awful|horrible|pathetic|dumb|idiotic)\b/i, // "they are ridiculous"
+      new RegExp(`\\b(that's|it's) (?:a|an) (?:terrible|awful|horrible|disgusting|pathetic|${RIDICULOUS_VARIANTS}|${STUPID_VARIANTS}|dumb|idiotic) (?:argument|idea|point|statement|claim|thing|view|opinion)\\b`, 'i'), // "that's a stupid argument", "it's a ridiculous idea"
+      /\b(how (?:dare|could) you)\b/i,
+      /\b(you should (?:be ashamed|feel bad|know better))\b/i,
+      /\b(?:is|are|was|were) (?:brainwashed|indoctrinated|deluded|insane|crazy)\b/i, // "is brainwashed", "are brainwashed"
+      /\b(?:anyone|everyone) who (?:supports?|believes?|agrees?) (?:them|this|that) is (?:brainwashed|deluded|insane|crazy|stupid|an idiot)\b/i, // "anyone who supports them is brainwashed"
+      // Catch standalone profanity/insults in judgmental contexts
+      /\b(?:once|once a) (?:an? )?(?:asshole|ass|idiot|moron|jerk|fool|bastard), (?:always|forever) (?:an? )?(?:asshole|ass|idiot|moron|jerk|fool|bastard)\b/i, // "once an asshole, always an asshole"
+      /\b(?:he's|she's|they're|he is|she is|they are) (?:an? )?(?:asshole|ass|idiot|moron|jerk|fool|bastard)\b/i, // Third person insults
+      /\b(?:just )?(?:an? )?(?:asshole|bastard)\b/i // Standalone strong profanity (asshole, bastard) - these are always escalatory
+    ]
+  },
+  {
+    // Polarizing "us" vs "they" language (in-group/out-group framing)
+    id: 'en.emotional.polarizing',
+    language: 'en',
+    dimension: 'emotional',
+    weight: 2,
+    reason: 'Polarizing us vs them language',
+    patterns: [
+      /\b(?:us|we) (?:vs|versus|against) (?:them|they)\b/i,
+      /\b(?:our|we) (?:side|people|country|values) (?:vs|versus|against|vs\.) (?:their|them|they)\b/i,
+      /\b(?:their|they) (?:side|people|kind|type)\b.*\b(?:us|we|our)\b/i,
+      /\b(?:us|we) (?:vs|versus)\.? (?:them|they)\b/i,
+      /\bpeople like (?:us|them)\b/i,
+      /\breal (?:americans?|people|patriots?|israelis?|jews?)\b/i, // "real X" implying others aren't
+      /\b(?:we|our) (?:vs|versus) (?:them|their)\b/i,
+      /\b(?:they|them) (?:don't|do not|won't|will not|can't|cannot) (?:understand|get it|know)\b/i, // "they don't understand"
+      /\b(?:we|us) (?:know|understand|get it) (?:and|but) (?:they|them)\b/i,
+      /\b(?:our|we) (?:way|values|beliefs?) (?:vs|versus|against) (?:theirs?|them)\b/i,
+      /\b(?:us|we) versus (?:them|they)\b/i,
+      /\bthe (?:other )?(?:side|camp|team)\b/i, // "the other side"
+      /\b(?:their|they) (?:agenda|narrative|lies|propaganda)\b/i
+    ]
+  },
+  {
+    // "They" accusative statements (blaming groups)
+    id: 'en.emotional.they_blame',
+    language: 'en',
+    dimension: 'emotional',
+    weight: 1.5,
+    reason: 'Group blaming language',
+    patterns: [
+      /\b(they (?:always|never|all|all of them|are|were|do|did))\b/i,
+      /\b(they're (?:all|always|never|just|so|too))\b/i,
+      /\b(they (?:make|made|cause|caused|force|forced) (?:me|us|this|that))\b/i
+    ]
+  },
+
+  // ===== ENGLISH — PROFANITY (applied by isEscalating, depends on context) =====
+  {
+    // Profanity next to a negative word ("fucking ridiculous") - VERY HIGH escalation
+    id: 'en.profanity.negative_context',
+    language: 'en',
+    dimension: null,
+    weight: 4,
+    reason: 'Profanity in negative context detected',
+    stage: 'profanity',
+    patterns: EN_CURSE_WORDS.flatMap(curse => [
+      new RegExp(`\\b(?:${curse})\\s+${EN_NEGATIVE_CONTEXT.source}`, 'i'),
+      new RegExp(`${EN_NEGATIVE_CONTEXT.source}\\s+(?:${curse})\\b`, 'i') // Also catch "ridiculous fucking"
+    ])
+  },
+  {
+    // Guard only: profanity used positively ("fucking amazing") is NOT flagged as standalone profanity
+    id: 'en.profanity.positive_context',
+    language: 'en',
+    dimension: null,
+    weight: 0,
+    reason: 'Profanity in positive context',
+    stage: 'profanity',
+    match: 'any',
+    patterns: EN_CURSE_WORDS.map(curse => new RegExp(`\\b(?:${curse})\\s+${EN_POSITIVE_CONTEXT.source}`, 'i'))
+  },
+  {
+    // Direct profanity/insults (always escalatory regardless of context)
+    id: 'en.profanity.direct',
+    language: 'en',
+    dimension: null,
+    weight: 3,
+    reason: 'Profanity/cursing detected',
+    stage: 'profanity',
+    patterns: [
+      // Direct attacks
+      /\b(?:fuck (?:you|off|this|that|it|him|her|them|yourself))\b/i,
+      /\b(?:fucker|fucked up)\b/i,
+      /\b(?:piss (?:off|you))\b/i,
+      /\b(?:screw (?:you|off))\b/i,
+      /\b(?:go to hell)\b/i,
+      /\b(?:damn you)\b/i,
+      // Insulting terms
+      /\b(?:bitch|bitches|bitching)\b/i,
+      /\b(?:bastard|bastards)\b/i,
+      /\b(?:cunt|cunts)\b/i,
+      /\b(?:dickhead|dick-head)\b/i,
+      /\b(?:motherfucker|motherfuckers|motherfucking|mother-fucker)\b/i,
+      /\b(?:son of a bitch|sob)\b/i,
+      /\b(?:bullshit|horseshit)\b/i,
+      /\b(?:arsehole|arseholes|asshole|assholes)\b/i,
+      // Slurs
+      /\b(?:fag|faggot|dyke|kike|tranny|slut|spastic)\b/i,
+      /\b(?:nigga|nigra)\b/i,
+      // Euphemisms
+      /\b(?:f off|f\*\*\*)\b/i,
+      /\b(?:s\*\*\*)\b/i
+    ]
+  },
+  {
+    id: 'en.profanity.standalone',
+    language: 'en',
+    dimension: null,
+    weight: 2.5,
+    reason: 'Profanity detected',
+    stage: 'profanity',
+    match: 'any',
+    lexicon: EN_CURSE_WORDS,
+    boundary: 'word'
+  },
+  {
+    // INSULT WORDS = BASIC DETECTION (same as cursing): stupid, dumb, idiot, moron, etc. always trigger
+    id: 'en.profanity.insult',
+    language: 'en',
+    dimension: null,
+    weight: 0,
+    reason: 'Insult/cursing detected',
+    tags: ['judgement'],
+    stage: 'profanity',
+    match: 'any',
+    lexicon: ESCALATION_LEXICONS.insultWords,
+    boundary: 'word'
+  },
+
+  // ===== ENGLISH — NON-VERBAL CUES =====
+  {
+    // Exclamation marks (escalating energy) - even single ! can signal anger
+    id: 'en.tone.exclamation',
+    language: 'en',
+    dimension: null,
+    match: 'count',
+    patterns: [/!/],
+    tiers: [
+      { min: 2, weight: 1, reason: 'Multiple exclamation marks' },
+      { min: 1, shorterThan: 80, weight: 0.5, reason: 'Exclamation (potential emphasis/anger)' }
+    ]
+  },
+  {
+    // ALL CAPS (shouting)
+    id: 'en.tone.caps',
+    language: 'en',
+    dimension: null,
+    match: 'ratio',
+    patterns: [/[A-Z]/],
+    tiers: [
+      { above: 0.25, longerThan: 15, weight: 1.5, reason: 'Excessive capitalization' },
+      { above: 0.15, longerThan: 30, weight: 0.5, reason: 'Capitalization emphasis' }
+    ]
+  },
+  {
+    // Multiple question marks (aggressive questioning)
+    id: 'en.tone.questions',
+    language: 'en',
+    dimension: null,
+    match: 'count',
+    patterns: [/\?/],
+    tiers: [
+      { min: 3, weight: 1, reason: 'Multiple aggressive questions' },
+      { min: 1, shorterThan: 100, weight: 0.5, reason: 'Questioning tone' }
+    ]
+  },
+  {
+    // Cynical/sarcastic tone markers (not already in mocking)
+    id: 'en.tone.cynical',
+    language: 'en',
+    dimension: null,
+    weight: 1,
+    reason: 'Cynical/sarcastic tone',
+    match: 'any',
+    patterns: [/\b(as if|yeah right)\b/i]
+  },
+
+  // ===== ENGLISH — COMBINATION =====
+  {
+    // Both argumentative AND blame patterns: highly escalatory
+    id: 'en.combo.argumentative_blame',
+    language: 'en',
+    dimension: null,
+    weight: 1,
+    reason: null,
+    stage: 'combo',
+    match: 'combo',
+    requires: ['cognitive', 'emotional']
+  },
+
+  // ===== HEBREW =====
+  {
+    // Category 1: Direct insults / profanity
+    id: 'he.insult',
+    language: 'he',
+    dimension: 'emotional',
+    weight: 3,
+    reason: 'Hebrew insult/profanity',
+    tags: ['attack', 'judgement'],
+    match: 'any',
+    lexicon: HE_INSULT_WORDS,
+    boundary: 'hebrew'
+  },
+  {
+    id: 'he.insult.political_slur',
+    language: 'he',
+    dimension: 'emotional',
+    weight: 3,
+    reason: 'Extreme political slur',
+    tags: ['attack'],
+    match: 'any',
+    patterns: [/פשיסט|נאצי|נאצים|פשיסטים/]
+  },
+  {
+    // Category 2: Blame patterns
+    id: 'he.blame',
+    language: 'he',
+    dimension: 'emotional',
+    weight: 2.5,
+    reason: 'Hebrew blame/accusation',
+    tags: ['attack'],
+    patterns: [
+      /בגללך/,
+      /בגלל\s+אנשים\s+כמוך/,
+      /אשמתך/,
+      /(?:אתה|את|אתם|אתן)\s+אשמ/,
+      /(?:אתה|את|אתם|אתן)\s+גרמת|אתם\s+גרמתם/,
+      /בגלל\s+מה\s+שאתה\s+עשית/,
+      /(?:אתה|את|אתם|אתן)\s+(?:הרסת|הרסתם|הרסתן)/,
+      /בגלל\s+(?:אנשים\s+כמוך|כמוך)/,
+    ]
+  },
+  {
+    id: 'he.blame.spread_negativity',
+    language: 'he',
+    dimension: 'emotional',
+    weight: 2,
+    reason: 'Hebrew spread-of-negativity pattern',
+    match: 'any',
+    patterns: [new RegExp(HE_SPREAD_VERBS + '\\s+(?:את\\s+ה|ה)?' + HE_SPREAD_NOUNS)]
+  },
+  {
+    // Category 3: Accusatory "you" + absolutes (blame directed at "you")
+    id: 'he.blame.accusatory_absolute',
+    language: 'he',
+    dimension: 'emotional',
+    weight: 2,
+    reason: 'Hebrew accusatory "you" + absolute',
+    tags: ['attack', 'categorical'],
+    patterns: [
+      /(?:אתה|את|אתם|אתן)\s+תמיד/,
+      /(?:אתה|את|אתם|אתן)\s+אף\s+פעם/,
+      /(?:אתה|את|אתם|אתן)\s+לעולם\s+לא/,
+      /(?:אתה|את|אתם|אתן)\s+כל\s+כך\s+/,
+      /(?:אתה|את|אתם|אתן)\s+כזה\s+/,
+      /(?:אתה|את)\s+(?:לא\s+)?מבינ/,
+    ]
+  },
+  {
+    // Category 4: Categorical / absolute language
+    id: 'he.cognitive.categorical',
+    language: 'he',
+    dimension: 'cognitive',
+    tags: ['categorical'],
+    match: 'count',
+    patterns: [
+      /תמיד/, /אף\s+פעם/, /לעולם\s+לא/, /כולם/, /אף\s+אחד/,
+      /הכל/, /כלום/, /בהחלט/, /ללא\s+יוצא\s+מן\s+הכלל/
+    ],
+    tiers: [
+      { min: 3, weight: 2, reason: 'Multiple Hebrew categorical terms' },
+      { min: 1, weight: 1, reason: 'Hebrew categorical/absolute language' }
+    ]
+  },
+  {
+    // Category 5: Dismissal
+    id: 'he.dismissal',
+    language: 'he',
+    dimension: 'emotional',
+    weight: 1.5,
+    reason: 'Hebrew dismissal',
+    patterns: [
+      /שטויות/,
+      /זה\s+לא\s+נכון/,
+      /(?:אתה|את)\s+טועה/,
+      /אתם\s+טועים/,
+      /אין\s+לך\s+מושג/,
+      /(?:אתה|את)\s+לא\s+מבינ/,
+      /זה\s+לא\s+משנה/,
+      /לא\s+מעניין\s+אותי/,
+      /אין\s+לזה\s+שחר/,
+      /חזור\s+לחור\s+שממנו\s+יצאת/,
+      /לך\s+מפה/,
+      /תעלם\s+מפה/,
+      /אין\s+טעם\s+(?:להסביר|לדבר|לשוחח)\s+(?:לך|איתך|עמך)/,
+      /אין\s+לך\s+מה\s+(?:לחפש|לעשות)\s+פה/,
+      /מי\s+שאל\s+(?:אותך|אותו|אותה|אתכם)/,
+      /מי\s+ביקש\s+(?:את\s+)?דעתך/,
+      /(?:צא|צאי|תצא|תצאי)\s+(?:כבר\s+)?מהבועה/,
+      /(?:צא|צאי|תצא|תצאי)\s+(?:כבר\s+)?מה(?:בועה|מנהרה|ראש)/,
+      // Passive-aggressive silencing — "כדאי היה לשמור לעצמך"
+      /היה\s+עדיף\s+(?:אם\s+)?(?:היית|תהיה|תהיי)\s+(?:שומר|שומרת)\s+.{0,20}לעצמ(?:ך|ו|ה)/,
+      /(?:לא\s+)?(?:חייב|חייבת)\s+לשתף\s+כל\s+(?:מחשבה|דעה|רגש|פוסט)/,
+      /אפשר\s+(?:גם\s+)?לא\s+לשתף/,
+      /(?:דעתך|דעתו|דעתה)\s+(?:לא\s+)?נשאלה/,
+      /(?:לא\s+)?(?:כדאי|עדיף)\s+(?:היה\s+)?(?:לך\s+)?לשמור\s+.{0,15}לעצמ(?:ך|ו|ה)/,
+      // "מייצר רעש בלי תוכן" — dismissal of substance
+      /מייצר[תת]?\s+(?:רק\s+)?רעש\s+(?:בלי|ללא)\s+תוכן/,
+      /(?:אין\s+(?:לך|לו|לה)\s+)?(?:שום\s+)?תוכן\s+(?:מאחורי|מתחת\s+ל|מעבר\s+ל)\s*.{0,20}(?:דברים|מילים|פוסטים)/,
+      // "תחזור ל[פלטפורמה], X גדול/קטן עליך"
+      /(?:תחזור|תחזרי|לך)\s+ל(?:טוויטר|פייסבוק|אינסטגרם|טיקטוק|רדיט|וואטסאפ|טלגרם)/,
+      /(?:פייסבוק|טוויטר|אינסטגרם|טיקטוק|רדיט)\s+(?:גדול|קטן|לא\s+מתאים)\s+עליך/,
+      /(?:אתה|את)\s+(?:גר[אה]?\s+ב)(?:עולם\s+אחר|עולם\s+דמיוני|ממד\s+אחר)/,
+      // "[negative noun] שלך/שלכם" — dismissal via naming a negative trait/behavior
+      new RegExp(
+        '(?:[הובלכמשד])?' +
+        '(?:' + [
+          // Stupidity
+          'טיפשות','בורות','אטימות','עיוורון','חוסר\\s+הבנה','אי.הבנה',
+          // Internet behavior
+          'טרלול','טרולינג','ספאם','הסתה','פייק','פרופגנדה','דיסאינפורמציה',
+          // Arrogance / insolence
+          'חוצפה','עזות\\s+מצח','עזות','חציפות','יומרנות',
+          // Disgust / low
+          'רפש','ביזיון','קלון','זוהמה','שפלות','נבזות','פחיתות','ארס','רעל','מרירות',
+          // Manipulation / distortion
+          'בלבולי?\\s+שכל','זיוני?\\s+שכל','זיון\\s+מוח','שטיפת\\s+מוח',
+          'הטעיה','מניפולציה','זיוף\\s+מציאות','עיוות\\s+מציאות','עיוות',
+          'הרעלת\\s+מוח','גאזלייטינג',
+          // Lies
+          'שקרנות','כזבים','בדיות','המצאות',
+          // Excess / garbage
+          'הגזמות','שטויות','בלאגן','בולשיט',
+          // Failure
+          'כישלון','פשלות','חוסר\\s+יכולת',
+          // Hate
+          'שנאה','כעס','זעם'
+        ].join('|') +
+        ')(?:\\s+שלך|\\s+שלכם|\\s+שלכן)'
+      ),
+    ]
+  },
+  {
+    // "יש לך את זה ביותר X" — sarcastic dismissal of substance
+    id: 'he.dismissal.sarcastic_superlative',
+    language: 'he',
+    dimension: 'emotional',
+    weight: 2.5,
+    reason: 'Hebrew sarcastic dismissal (יש לך את זה ביותר)',
+    match: 'any',
+    patterns: [/יש\s+לך\s+את\s+זה\s+ביותר\s+(?:פופוליסטי|שטחי|עמום|מגוחך|מגושם|טיפשי|דבילי|מפגר|אידיוטי|נאיבי|פרימיטיבי|ילדותי|מביך|עלוב|גרוע|גנרי|ריק|מקומם|מרושע|מחורבן|פרנואידי|חרדתי|מוגזם|חומרי|מסיט|רדוד|משמים|חסר\s+תוכן|חסר\s+בסיס|חסר\s+היגיון)/]
+  },
+  {
+    // "חי בסרט" — living in a movie (delusional/disconnected), strong dismissal
+    id: 'he.dismissal.living_in_movie',
+    language: 'he',
+    dimension: 'emotional',
+    weight: 2.5,
+    reason: 'Hebrew dismissal - living in a movie',
+    match: 'any',
+    patterns: [
+      /(?:חי[אהתם]?|חיים|חיות|לחיות|תחי[הי]?|יחי[הי]?)(?=[\s,\.!?״"'()]|$).{0,20}בסרט/,
+      /(?:ב)?סרט.{0,30}(?:חי[אהתם]?|חיים|חיות|לחיות|תחי[הי]?|יחי[הי]?)/
+    ]
+  },
+  {
+    // Category 6: Derogatory group label + negative predicate (generalizing/categorical talk per ECPM)
+    id: 'he.cognitive.group_label',
+    language: 'he',
+    dimension: 'cognitive',
+    weight: 2,
+    reason: 'Hebrew derogatory group label as attack',
+    tags: ['categorical'],
+    patterns: HE_GROUP_LABELS.map(label => new RegExp(label + HE_GROUP_NEGATIVE.source))
+  },
+  {
+    // "כל ה[group]" standalone — categorical dismissal of a whole group
+    id: 'he.cognitive.all_of_group',
+    language: 'he',
+    dimension: 'cognitive',
+    weight: 1.5,
+    reason: 'Hebrew categorical group dismissal (כל ה...)',
+    tags: ['categorical'],
+    patterns: HE_GROUP_LABELS.map(label => new RegExp('כל\\s+ה' + label))
+  },
+  {
+    // Category 7: Exclamation marks + caps (mirrors English)
+    id: 'he.tone.exclamation',
+    language: 'he',
+    dimension: null,
+    match: 'count',
+    patterns: [/!/],
+    tiers: [
+      { min: 2, weight: 1, reason: 'Multiple exclamation marks' },
+      { min: 1, shorterThan: 80, weight: 0.5, reason: 'Exclamation mark' }
+    ]
+  },
+  {
+    id: 'he.tone.caps',
+    language: 'he',
+    dimension: null,
+    match: 'ratio',
+    patterns: [/[A-Z]/],
+    tiers: [
+      { above: 0.25, longerThan: 15, weight: 1.5, reason: 'Excessive caps' },
+      { above: 0.15, longerThan: 30, weight: 0.5, reason: 'Caps emphasis' }
+    ]
+  },
+  {
+    // Category 8: Judging / condemning
+    id: 'he.judging.high',
+    language: 'he',
+    dimension: 'emotional',
+    weight: 2.5,
+    reason: 'Hebrew judging/condemning (high-weight)',
+    tags: ['attack', 'judgement'],
+    match: 'any',
+    patterns: [
+      /אני לא מאמינ[אה] כמה (?:אתה|את) /,
+      /כמה (?:אתה|את) (?:טיפש|טיפשה|מגוחך|מגוחכת|עצוב|עצובה|נורא|נוראי|נוראית|עלוב|עלובה)/
+    ]
+  },
+  {
+    // "כמה אפשר להיות X" / "כמה X אפשר להיות" — rhetorical judging + insult word
+    id: 'he.judging.rhetorical',
+    language: 'he',
+    dimension: 'emotional',
+    weight: 2,
+    reason: 'Hebrew rhetorical judging structure (כמה אפשר להיות)',
+    tags: ['attack'],
+    match: 'any',
+    patterns: [
+      new RegExp(
+        'כמה\\s+(?:אפשר\\s+להיות\\s+|\\S+\\s+אפשר\\s+להיות\\s+)?' +
+        '(?:' + HE_INSULT_WORDS.map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|') + ')'
+      )
+    ]
+  },
+  {
+    id: 'he.judging',
+    language: 'he',
+    dimension: 'emotional',
+    weight: 2,
+    reason: 'Hebrew judging/condemning',
+    tags: ['attack', 'judgement'],
+    patterns: [
+      /הכל\s+אצל(?:ך|ו|ה|כם|כן|הם|הן)\s+(?:זה|הוא|היא)\s+(?:פוזה|פוזות|תרגיל|שקר|שקרים|הצגה|בלוף|מניפולציה|תחפושת|מסכה|פוליטיקה|חרא|בולשיט|שטויות|אגו|נרקיסיזם|כסף|אינטרסים|חישובים|טקטיקה)/,
+      /(?:אתה|את) (?:כזה|כזאת|ממש|פשוט) (?:נורא|נוראי|נוראית|איום|איומה|מגעיל|מגעילה|מחריד|מחרידה|מביש|מבישה|עלוב|עלובה|מצחיק|מצחיקה|עצוב|עצובה)/,
+      /(?:אתה|את)\s+פשוט\s+(?:חסר|חסרת)\s+(?:תקנה|בסיס|היגיון|מצפון|כבוד|עמוד שדרה|בושה|ערכים|תודעה|אחריות)/,
+      // Rhetorical belittling questions — "זו הרמה הכי גבוהה שהגעת?"
+      /(?:זו|זה|זאת)\s+ה(?:רמה|יכולת|הישג|תרומה|תגובה|טענה|תשובה)\s+הכי\s+(?:גבוהה?|טובה?|חכמה?|עמוקה?)\s+ש(?:הצלחת|יכולת|אתה\s+מסוגל|את\s+מסוגלת)/,
+      /(?:עד\s+כאן|רק\s+עד\s+פה)\s+(?:הגעת|הגעתם|יכולת|אתה\s+מגיע)/,
+      /זה\s+(?:הכי\s+טוב|הכי\s+חכם|כל\s+מה)\s+ש(?:יש\s+לך|אתה\s+יכול|יכולת)\s+(?:להגיד|להציע|לתרום)/,
+      /(?:אתה|את) (?:אדם|בן אדם|יצור) (?:נורא|נוראי|נוראית|איום|איומה|מגעיל|מגעילה|מחריד|מחרידה|מביש|מבישה)/,
+      /איזה (?:בן אדם|יצור|דמות|אדם) (?:עצוב|עצובה|עלוב|עלובה|מביש|מבישה|נורא|נוראי|מגעיל|מגעילה)/,
+      /(?:אתה|את) (?:הכי|הדבר הכי) (?:נורא|גרוע|גרועה|מגעיל|מגעילה|עלוב|עלובה|מביש|מבישה)/,
+      /לא יאומן כמה (?:אתה|את)/,
+      /(?:אתה|את) (?:ממש )?(?:מביש|מבישה|מגעיל|מגעילה|מחריד|מחרידה|מביך|מביכה)/,
+      /מביך\s+ש.*(?:אתה|את)/,
+      /(?:אתה|את).*מביך\s+ש/,
+      /(?:אתה|את) (?:הכי גדול ב|אלוף ב)?שקרים/,
+      /(?:אתה|את) (?:מייצג|מייצגת|מגלם|מגלמת) את כל מה ש(?:רע|לא בסדר|שגוי|מושחת|נורא|גרוע|כושל|מקולקל)/,
+      /קודם (?:תהיה|תהיי|תהפוך ל) בן\s*אדם/,
+      /(?:אתה|את) (?:פשוט\s+)?(?:בדיחה|פארסה|קריקטורה|מיים|ג'וק|ג׳וק|סאטירה)(?:\s+(?:מהלכת?|חיה|של\s+\w+))?/,
+      /(?:אתה|את) (?:בושה|חרפה|גנאי|ביזיון|קלון) (?:ל|של)/,
+      /(?:אתה|את) (?:ה)?(?:בושה|חרפה|ביזיון|קלון) (?:של|ל|למדינה|למשפחה|לחברה|לדור)/,
+      /איזה\s+(?:נזק|אסון|כישלון|ביזיון|פיאסקו|חרפה|בושה|אפס|חדל\s+אישים|עלוב)\s+(?:אתה|את|זה|הוא|היא)/,
+      /(?:ביב|נתניהו|גנץ|\w+) (?:הוא|היא) (?:אדם|יצור|בן אדם|ה)?(?:נורא|נוראי|נוראית|מגעיל|מגעילה|מחריד|מחרידה|מביש|מבישה|עלוב|עלובה|שרלטן|רמאי|שקרן)/
+    ]
+  },
+  {
+    // Category 9: Dehumanization — animal verb directed at others
+    // NOT triggered by self-directed ("אני חי כמו כלב")
+    id: 'he.dehumanization.animal_verb',
+    language: 'he',
+    dimension: 'emotional',
+    weight: 2.5,
+    reason: 'Hebrew dehumanization — animal verb directed at others',
+    tags: ['attack'],
+    match: 'any',
+    patterns: [new RegExp('(?:אתה|את|אתם|אתן|הם|הן|(?:ה(?:שמאלנים|ימנים|חרדים|ערבים|ציונים|מתנחלים|חילונים|ביביסטים|\\w+ים)))\\s+(?:' + HE_ANIMAL_VERBS.join('|') + ')', 'i')]
+  },
+  {
+    // "[group] + animal adjective" — e.g. "הקפלניסטים החזירים", "השמאלנים הכלבים"
+    id: 'he.dehumanization.animal_label',
+    language: 'he',
+    dimension: 'emotional',
+    weight: 2.5,
+    reason: 'Hebrew dehumanization — group + animal label',
+    tags: ['attack'],
+    match: 'any',
+    patterns: [new RegExp('(?:ה\\w+)\\s+(?:' + HE_ANIMAL_ADJECTIVES.join('|') + ')|(?:' + HE_ANIMAL_ADJECTIVES.join('|') + ')\\s+(?:ה\\w+|האלה|הללו)')]
+  },
+  {
+    // "מתנהגים/מתנהגות כמו [animal]" — directed at others (not "אני")
+    id: 'he.dehumanization.behaves_like_animal',
+    language: 'he',
+    dimension: 'emotional',
+    weight: 2.5,
+    reason: 'Hebrew dehumanization — behaves like animal',
+    tags: ['attack'],
+    match: 'any',
+    patterns: [new RegExp('(?:אתם|אתן|הם|הן|(?:ה\\w+(?:ים|ות)))\\s+(?:מתנהג(?:ים|ות)|חי(?:ים|ות)|נראה|נראים)\\s+כמו\\s+(?:' + HE_ANIMAL_NOUNS.join('|') + '|עדר)', 'i')]
+  },
+  {
+    // Category 10: "We vs. Them" polarization — per ECPM model (cognitive dimension)
+    // Pattern: explicit ingroup (אנחנו) vs outgroup (אתם/הם/[group]) construction
+    id: 'he.cognitive.we_vs_them',
+    language: 'he',
+    dimension: 'cognitive',
+    weight: 2.5,
+    reason: 'Hebrew We-vs-Them polarization (ECPM cognitive)',
+    tags: ['categorical'],
+    patterns: [
+      // "אנחנו X ואתם Y" — explicit polarization
+      /אנחנו\b.{1,40}\bואתם\b/,
+      /אנחנו\b.{1,40}\bואתן\b/,
+      /אנחנו\b.{1,40}\bוהם\b/,
+      /אנחנו\b.{1,40}\bאבל\s+(?:אתם|הם|הן)\b/,
+      // "אתם ה[group]" — direct address of outgroup
+      /אתם\s+ה(?:שמאלנים|ימנים|חרדים|חילונים|ערבים|ביביסטים|אשכנזים|מזרחים|דתיים|מתנחלים)/,
+      // "אנחנו ה[group]... אתם" — ingroup positive / outgroup negative
+      /אנחנו\s+ה\w+.{1,60}(?:אתם|הם|הן)/,
+      // "הצד שלנו" vs "הצד שלכם/שלהם"
+      /הצד\s+שלנו\b.{1,40}הצד\s+של(?:כם|הם)/,
+      // "אנשים כמונו" vs "אנשים כמוכם/כמוהם"
+      /כמונו\b.{1,30}כמו(?:כם|הם)\b/,
+      // "אתה/את וכל ה[group]" — lumping person into outgroup
+      /(?:אתה|את|אתם|אתן)\s+וכל\s+ה(?:שמאלנים|ימנים|חרדים|חילונים|ערבים|ביביסטים|אשכנזים|מזרחים|דתיים|מתנחלים|ליברלים|לאומנים|פשיסטים|קומוניסטים|ציונים|פלסטינאים|בוגדים|בוטים|שקרנים|מסיתים)/,
+      // "אתה בדיוק כמו כל ה[group]" — equivalence with group
+      /(?:אתה|את)\s+(?:בדיוק\s+)?כמו\s+כל\s+ה(?:שמאלנים|ימנים|חרדים|חילונים|ערבים|ביביסטים|אשכנזים|מזרחים|דתיים|מתנחלים|ליברלים|לאומנים)/,
+    ]
+  },
+  {
+    // Combination bonus: an attack together with categorical framing
+    id: 'he.combo.attack_categorical',
+    language: 'he',
+    dimension: 'emotional',
+    weight: 1,
+    reason: 'Combined attack+categorical',
+    stage: 'combo',
+    match: 'combo',
+    requires: ['attack', 'categorical']
+  },
+
+  // ===== ARABIC =====
+  // Same ECPM categories and API verification gate as Hebrew
+  {
+    // Direct insults / profanity
+    id: 'ar.insult',
+    language: 'ar',
+    dimension: 'emotional',
+    weight: 3,
+    reason: 'Arabic insult/profanity',
+    tags: ['attack', 'judgement'],
+    match: 'any',
+    lexicon: AR_INSULT_WORDS,
+    boundary: 'arabic'
+  },
+  {
+    // Blame — "because of you", "your fault", "you ruined"
+    id: 'ar.blame',
+    language: 'ar',
+    dimension: 'emotional',
+    weight: 2.5,
+    reason: 'Arabic blame/accusation',
+    tags: ['attack'],
+    patterns: [
+      /بسبب(?:ك|كم|كو)(?=$|[\s.,!?؟،])/,
+      /(?:ذنب|غلطت)(?:ك|كم|كو)(?=$|[\s.,!?؟،])/,
+      /(?:أنت|انت|إنت|أنتم|انتم|انتو|إنتو)\s+(?:السبب|المسؤول|المسؤولين|المسئول)/,
+      /(?:أنت|انت|إنت|أنتم|انتم|انتو|إنتو)\s+(?:خربت|خربتو|خربتوا|دمرت|دمرتو|دمرتم|خربتم)/,
+      /(?:من\s+ورا|من\s+وراء)(?:ك|كم)(?=$|[\s.,!?؟،])/
+    ]
+  },
+  {
+    // Accusatory "you" + absolute
+    id: 'ar.blame.accusatory_absolute',
+    language: 'ar',
+    dimension: 'emotional',
+    weight: 2,
+    reason: 'Arabic accusatory "you" + absolute',
+    tags: ['attack', 'categorical'],
+    patterns: [
+      /(?:أنت|انت|إنت|أنتم|انتم|انتو|إنتو)\s+(?:دايما|دايماً|دائما|دائماً|دوم)/,
+      /(?:أنت|انت|إنت|أنتم|انتم|انتو|إنتو)\s+(?:ولا\s+مرة|أبدا|ابدا|أبداً)/,
+      /(?:أنت|انت|إنت)\s+(?:مش|ما)\s+(?:فاهم|فاهمة|بتفهم|بتفهمي|بتعرف)/
+    ]
+  },
+  {
+    // Categorical / absolute language
+    id: 'ar.cognitive.categorical',
+    language: 'ar',
+    dimension: 'cognitive',
+    tags: ['categorical'],
+    match: 'count',
+    patterns: [
+      /دايما|دائما|دائماً|دايماً/, /أبدا|ابدا|أبداً/, /ولا\s+مرة/, /كل\s+الناس/, /كلهم/,
+      /ولا\s+واحد/, /ما\s+حدا|محدش/, /بدون\s+استثناء/
+    ],
+    tiers: [
+      { min: 3, weight: 2, reason: 'Multiple Arabic categorical terms' },
+      { min: 1, weight: 1, reason: 'Arabic categorical/absolute language' }
+    ]
+  },
+  {
+    // Dismissal — "shut up", "who asked you", "nonsense"
+    id: 'ar.dismissal',
+    language: 'ar',
+    dimension: 'emotional',
+    weight: 1.5,
+    reason: 'Arabic dismissal',
+    patterns: [
+      /(?:^|[\s.,!?؟،])(?:اسكت|اسكتي|اسكتوا|اخرس|اخرسي|اخرسوا|انطم|انقلع|انقلعي)(?=$|[\s.,!?؟،])/,
+      /(?:مين|حدا|ما\s+حدا|محدش|محدّش)\s+سأل(?:ك|كم)/,
+      /(?:كلام|حكي)\s+فاضي/,
+      /عايش(?:ة|ين)?\s+(?:ب|في\s+)(?:فيلم|عالم\s+تاني|عالم\s+ثاني)/
+    ]
+  },
+  {
+    // "[group] + negative claim" — derogatory group label as attack
+    id: 'ar.cognitive.group_label',
+    language: 'ar',
+    dimension: 'cognitive',
+    weight: 2,
+    reason: 'Arabic derogatory group label as attack',
+    tags: ['categorical'],
+    match: 'any',
+    patterns: [new RegExp('(?:^|\\s)(?:هدول|هذول|هؤلاء|هاد|هذا)?\\s*(?:ال)(?:' + AR_GROUP_LABELS.join('|') + ')\\s+(?:دايما|دائما|كلهم|خربوا|بخربوا|دمروا|بدمروا|خونة|خونه|كذابين|ما\\s+إلهم|مالهمش|ما\\s+بتغيروا|أسوأ|اسوأ)')]
+  },
+  {
+    // "كل ال[group]" — categorical group dismissal
+    id: 'ar.cognitive.all_of_group',
+    language: 'ar',
+    dimension: 'cognitive',
+    weight: 1.5,
+    reason: 'Arabic categorical group dismissal (كل ال...)',
+    tags: ['categorical'],
+    match: 'any',
+    patterns: [new RegExp('كل\\s+ال(?:' + AR_GROUP_LABELS.join('|') + ')')]
+  },
+  {
+    // Exclamation marks / repeated questions (mirrors English)
+    id: 'ar.tone.exclamation',
+    language: 'ar',
+    dimension: null,
+    match: 'count',
+    patterns: [/!/],
+    tiers: [
+      { min: 2, weight: 1, reason: 'Multiple exclamation marks' },
+      { min: 1, shorterThan: 80, weight: 0.5, reason: 'Exclamation mark' }
+    ]
+  },
+  {
+    id: 'ar.tone.questions',
+    language: 'ar',
+    dimension: null,
+    match: 'count',
+    patterns: [/[?؟]/],
+    tiers: [
+      { min: 3, weight: 1, reason: 'Multiple question marks' }
+    ]
+  },
+  {
+    // Judging / condemning — "shame on you", "how stupid", "disgusting"
+    id: 'ar.judging',
+    language: 'ar',
+    dimension: 'emotional',
+    weight: 2,
+    reason: 'Arabic judging/condemning',
+    tags: ['attack', 'judgement'],
+    patterns: [
+      /عيب\s+(?:عليك|عليكم|عليكي)/,
+      /(?:استحي|استحوا|اخجل|اخجلي|اخجلوا)(?=$|[\s.,!?؟،])/,
+      /(?:الله\s+)?(?:يخزيك|يخزيكم|يقرفك|يقرفكم)/,
+      /(?:ما\s+أغباك|ما\s+اغباك|قديش\s+(?:انت|إنت)\s+غبي|شو\s+هالغباء)/,
+      /(?:أنت|انت|إنت|أنتم|انتم|انتو)\s+(?:مقرف|مقرفة|مقرفين|عار|فضيحة|مسخرة)/
+    ]
+  },
+  {
+    // Dehumanization — group + animal label ("الصهاينة كلاب", "كلاب الاحتلال")
+    id: 'ar.dehumanization.animal_label',
+    language: 'ar',
+    dimension: 'emotional',
+    weight: 2.5,
+    reason: 'Arabic dehumanization — group + animal label',
+    tags: ['attack'],
+    match: 'any',
+    patterns: [
+      new RegExp('(?:ال)?(?:' + AR_GROUP_LABELS.join('|') + '|احتلال)\\s+(?:(?:هم|هما|همه)\\s+)?(?:' + AR_ANIMAL_PLURALS.join('|') + ')'),
+      new RegExp('(?:' + AR_ANIMAL_PLURALS.join('|') + ')\\s+ال(?:' + AR_GROUP_LABELS.join('|') + '|احتلال)')
+    ]
+  },
+  {
+    // "زي/مثل الحيوانات" — behaves like animals, directed at others
+    id: 'ar.dehumanization.behaves_like_animal',
+    language: 'ar',
+    dimension: 'emotional',
+    weight: 2.5,
+    reason: 'Arabic dehumanization — behaves like animal',
+    tags: ['attack'],
+    match: 'any',
+    patterns: [new RegExp('(?:هم|همه|هما|انتو|انتم|أنتم|هدول|هذول)\\s+(?:\\S+\\s+)?(?:زي|مثل|متل|كأنهم|كانهم)\\s+(?:ال)?(?:' + AR_ANIMAL_PLURALS.join('|') + ')')]
+  },
+  {
+    // "We vs. Them" polarization (ECPM cognitive)
+    id: 'ar.cognitive.we_vs_them',
+    language: 'ar',
+    dimension: 'cognitive',
+    weight: 2.5,
+    reason: 'Arabic We-vs-Them polarization (ECPM cognitive)',
+    tags: ['categorical'],
+    patterns: [
+      /(?:إحنا|احنا|نحن)(?=\s).{1,40}\s(?:وهم|وهمه|وانتو|وأنتم|وانتم)(?=$|[\s.,!?؟،])/,
+      /(?:إما|اما)\s+(?:معنا|معانا)\s+(?:أو|او)\s+(?:ضدنا|علينا)/,
+      /(?:هم|همه|هما)\s+(?:دايما|دائما|دائماً)\s+(?:ضدنا|علينا)/,
+      /(?:جماعتنا|ناسنا)(?=\s).{1,40}(?:جماعتهم|ناسهم|جماعتكم|ناسكم)/
+    ]
+  },
+  {
+    // Combination bonus: an attack together with categorical framing
+    id: 'ar.combo.attack_categorical',
+    language: 'ar',
+    dimension: 'emotional',
+    weight: 1,
+    reason: 'Combined attack+categorical',
+    stage: 'combo',
+    match: 'combo',
+    requires: ['attack', 'categorical']
+  }
+];
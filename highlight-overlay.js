@@ -0,0 +1,236 @@
+/**
+ * Composer highlighting for the spans that triggered escalation detection
+ *
+ * Underlines are drawn in a separate, pointer-transparent layer on top of the page and positioned
+ * from DOM Range rectangles. The composer itself (Lexical/Draft editors on X and Facebook) is only
+ * read, never modified, so replaceTextViaExecCommand keeps working on an untouched tree.
+ * Hovering an underlined span shows a card with its ECPM dimension and reason. Rule reasons are
+ * English only, so Hebrew and Arabic cards show just the translated dimension.
+ */
+
+const HIGHLIGHT_LAYER_ID = 'escalation-highlight-layer';
+const HIGHLIGHT_CARD_ID = 'escalation-highlight-card';
+// i18n.js keys for the hover card label of each ECPM dimension (tone/profanity rules have none)
+const HIGHLIGHT_DIMENSION_LABELS = {
+  cognitive: 'highlightCognitive',
+  emotional: 'highlightEmotional',
+  both: 'highlightBoth',
+  other: 'highlightOther'
+};
+
+// { element, text, language, ranges: [{ start, end, spans }], boxes: [{ rect, range }] }
+let activeHighlights = null;
+let highlightFrame = null;
+
+/**
+ * Text of a composer as getTextContent() reports it (whitespace collapsed, trimmed), with the
+ * DOM position of every character: { text, positions: [{ node, offset }] }
+ */
+function buildTextPositionMap(element) {
+  const raw = [];
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, null, false);
+  let node;
+  while ((node = walker.nextNode())) {
+    const content = node.textContent || '';
+    for (let offset = 0; offset < content.length; offset++) {
+      raw.push({ char: content[offset], node, offset });
+    }
+  }
+
+  const chars = [];
+  raw.forEach(entry => {
+    if (/\s/.test(entry.char)) {
+      const previous = chars[chars.length - 1];
+      if (previous && previous.char === ' ') return;
+      chars.push({ ...entry, char: ' ' });
+    } else {
+      chars.push(entry);
+    }
+  });
+  while (chars.length > 0 && chars[0].char === ' ') chars.shift();
+  while (chars.length > 0 && chars[chars.length - 1].char === ' ') chars.pop();
+
+  return {
+    text: chars.map(entry => entry.char).join(''),
+    positions: chars.map(({ node: textNode, offset }) => ({ node: textNode, offset }))
+  };
+}
+
+// Overlapping spans are drawn once; the hover card lists every reason that covers the range
+function mergeHighlightSpans(spans) {
+  const ranges = [];
+  [...spans].sort((a, b) => a.start - b.start).forEach(span => {
+    const last = ranges[ranges.length - 1];
+    if (last && span.start < last.end) {
+      last.end = Math.max(last.end, span.end);
+      last.spans.push(span);
+    } else {
+      ranges.push({ start: span.start, end: span.end, spans: [span] });
+    }
+  });
+  return ranges;
+}
+
+// Dimension of a merged range: cognitive + emotional spans together read as 'both'
+function getRangeDimension(range) {
+  const dimensions = new Set(range.spans.map(span => span.dimension).filter(Boolean));
+  if (dimensions.has('both') || (dimensions.has('cognitive') && dimensions.has('emotional'))) return 'both';
+  if (dimensions.has('cognitive')) return 'cognitive';
+  if (dimensions.has('emotional')) return 'emotional';
+  return 'other';
+}
+
+function getSpanRects(positions, start, end) {
+  if (start >= positions.length || end <= start) return [];
+  const first = positions[start];
+  const last = positions[Math.min(end, positions.length) - 1];
+  try {
+    const range = document.createRange();
+    range.setStart(first.node, first.offset);
+    range.setEnd(last.node, last.offset + 1);
+    return Array.from(range.getClientRects()).filter(rect => rect.width > 0 && rect.height > 0);
+  } catch (error) {
+    // The editor re-rendered between detection and drawing
+    return [];
+  }
+}
+
+function scheduleHighlightUpdate() {
+  if (!activeHighlights || highlightFrame) return;
+  highlightFrame = requestAnimationFrame(() => {
+    highlightFrame = null;
+    positionHighlights();
+  });
+}
+
+function positionHighlights() {
+  if (!activeHighlights) return;
+  const { element, text, ranges } = activeHighlights;
+  const layer = document.getElementById(HIGHLIGHT_LAYER_ID);
+  if (!layer || !element.isConnected) {
+    clearEscalationHighlights();
+    return;
+  }
+
+  const map = buildTextPositionMap(element);
+  if (map.text !== text) {
+    // Draft changed since detection; offsets no longer apply
+    clearEscalationHighlights();
+    return;
+  }
+
+  // Only draw inside the composer's visible box (it may scroll internally)
+  const bounds = element.getBoundingClientRect();
+  layer.innerHTML = '';
+  activeHighlights.boxes = [];
+  ranges.forEach(range => {
+    getSpanRects(map.positions, range.start, range.end).forEach(rect => {
+      if (rect.bottom < bounds.top || rect.top > bounds.bottom) return;
+      const underline = document.createElement('div');
+      underline.className = `escalation-highlight escalation-highlight-${getRangeDimension(range)}`;
+      underline.style.left = `${rect.left}px`;
+      underline.style.top = `${rect.bottom - 2}px`;
+      underline.style.width = `${rect.width}px`;
+      layer.appendChild(underline);
+      activeHighlights.boxes.push({ rect, range });
+    });
+  });
+}
+
+function hideHighlightCard() {
+  const card = document.getElementById(HIGHLIGHT_CARD_ID);
+  if (card) card.remove();
+}
+
+function showHighlightCard(box) {
+  const { language } = activeHighlights;
+  let card = document.getElementById(HIGHLIGHT_CARD_ID);
+  if (card && card.dataset.rangeStart === String(box.range.start)) return;
+  if (!card) {
+    card = document.createElement('div');
+    card.id = HIGHLIGHT_CARD_ID;
+    card.className = 'escalation-highlight-card';
+    document.body.appendChild(card);
+  }
+  card.dataset.rangeStart = String(box.range.start);
+  card.setAttribute('lang', language);
+  card.setAttribute('dir', isRtlLanguage(language) ? 'rtl' : 'ltr');
+
+  // One line per distinct reason, labelled with its ECPM dimension (one per dimension without reasons)
+  const showReasons = language === 'en';
+  const seen = new Set();
+  card.innerHTML = '';
+  box.range.spans.forEach(span => {
+    const labelKey = HIGHLIGHT_DIMENSION_LABELS[span.dimension] || HIGHLIGHT_DIMENSION_LABELS.other;
+    const reason = showReasons ? span.reason : null;
+    const key = `${labelKey}|${reason}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    const line = document.createElement('p');
+    line.className = 'escalation-highlight-reason';
+    const label = document.createElement('strong');
+    label.textContent = getUiString(labelKey, language) + (reason ? ':' : '');
+    line.appendChild(label);
+    if (reason) line.appendChild(document.createTextNode(` ${reason}`));
+    card.appendChild(line);
+  });
+
+  const cardRect = card.getBoundingClientRect();
+  const top = box.rect.top - cardRect.height - 6;
+  card.style.top = `${top < 8 ? box.rect.bottom + 6 : top}px`;
+  card.style.left = `${Math.max(8, Math.min(box.rect.left, window.innerWidth - cardRect.width - 8))}px`;
+}
+
+// The layer ignores the pointer (so the composer stays clickable); hover is hit-tested here instead
+function handleHighlightHover(event) {
+  if (!activeHighlights || !activeHighlights.boxes) return;
+  const box = activeHighlights.boxes.find(({ rect }) =>
+    event.clientX >= rect.left && event.clientX <= rect.right &&
+    event.clientY >= rect.top && event.clientY <= rect.bottom
+  );
+  if (box) {
+    showHighlightCard(box);
+  } else {
+    hideHighlightCard();
+  }
+}
+
+/**
+ * Underline the given spans ({ start, end, dimension, reason }, offsets into text) in a composer.
+ * text must be the getTextContent() value the spans were computed on; textareas are skipped
+ * (their characters have no DOM ranges).
+ */
+function renderEscalationHighlights(element, text, spans) {
+  clearEscalationHighlights();
+  if (!element || element.tagName === 'TEXTAREA' || !Array.isArray(spans) || spans.length === 0) return;
+
+  const layer = document.createElement('div');
+  layer.id = HIGHLIGHT_LAYER_ID;
+  layer.className = 'escalation-highlight-layer';
+  document.body.appendChild(layer);
+
+  activeHighlights = {
+    element,
+    text,
+    language: detectUiLanguage(text),
+    ranges: mergeHighlightSpans(spans),
+    boxes: []
+  };
+  positionHighlights();
+  console.log(`🖍️ Highlighted ${spans.length} escalation span(s)`);
+}
+
+function clearEscalationHighlights() {
+  activeHighlights = null;
+  if (highlightFrame) {
+    cancelAnimationFrame(highlightFrame);
+    highlightFrame = null;
+  }
+  const layer = document.getElementById(HIGHLIGHT_LAYER_ID);
+  if (layer) layer.remove();
+  hideHighlightCard();
+}
+
+window.addEventListener('scroll', scheduleHighlightUpdate, { capture: true, passive: true });
+window.addEventListener('resize', scheduleHighlightUpdate, { passive: true });
+document.addEventListener('mousemove', handleHighlightHover, { passive: true });
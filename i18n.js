@@ -0,0 +1,113 @@
+/**
+ * UI strings for the tooltip, success tooltip, survey banner and highlight hover card
+ *
+ * The tooltip follows the language of the user's draft; the survey banner follows the stored
+ * 'uiLanguage' preference, then the page/browser language. Hebrew strings may use slash forms
+ * ("התעלם/י") which formatHebrewByGender() resolves from the onboarding gender.
+ */
+
+const UI_STRINGS = {
+  en: {
+    tooltipWarning: 'Let me offer you a rephrase',
+    suggestLabel: 'Suggested rephrase',
+    dismiss: 'Dismiss',
+    rephrase: 'Rephrase',
+    generating: '⏳ Generating rephrasing suggestion...',
+    generatingDevil: '⏳ Generating suggestion...',
+    rephraseError: '"Due to a problem, we couldn\'t offer a rephrase. Please try rephrasing on your own."',
+    rephraseOnMyOwn: 'Rephrase on my own',
+    successTitle: 'Rephrased text accepted',
+    surveyTitle: '🎉 You have completed the study!',
+    surveyBody: 'It\'s time to fill in the closing questionnaire. Your Study ID: {studyId}',
+    surveyCta: '📋 Open the questionnaire',
+    highlightCognitive: 'Cognitive — stated as absolute truth',
+    highlightEmotional: 'Emotional — blame or judgement',
+    highlightBoth: 'Cognitive + emotional',
+    highlightOther: 'Tone'
+  },
+  he: {
+    tooltipWarning: 'אפשר להציע לך ניסוח אחר',
+    suggestLabel: 'הצעת ניסוח',
+    dismiss: 'התעלם/י',
+    rephrase: 'נסח/י מחדש',
+    generating: '⏳ מכין הצעת ניסוח...',
+    generatingDevil: '⏳ מכין הצעה...',
+    rephraseError: '"עקב תקלה לא הצלחנו להציע ניסוח. אפשר לנסח מחדש בעצמך."',
+    rephraseOnMyOwn: 'אנסח בעצמי',
+    successTitle: 'הניסוח החדש התקבל',
+    surveyTitle: '🎉 סיימת את הניסוי!',
+    surveyBody: 'הגיע הזמן למלא את שאלון הסיום. Study ID שלך: {studyId}',
+    surveyCta: '📋 למילוי השאלון',
+    highlightCognitive: 'קוגניטיבי — הצגה כאמת מוחלטת',
+    highlightEmotional: 'רגשי — האשמה או שיפוט',
+    highlightBoth: 'קוגניטיבי + רגשי',
+    highlightOther: 'טון'
+  },
+  ar: {
+    tooltipWarning: 'اسمح لي أن أقترح عليك صياغة أخرى',
+    suggestLabel: 'صياغة مقترحة',
+    dismiss: 'تجاهل',
+    rephrase: 'إعادة الصياغة',
+    generating: '⏳ جارٍ إعداد اقتراح لإعادة الصياغة...',
+    generatingDevil: '⏳ جارٍ إعداد اقتراح...',
+    rephraseError: '"بسبب خلل لم نتمكن من اقتراح صياغة. يمكنك إعادة الصياغة بنفسك."',
+    rephraseOnMyOwn: 'سأعيد الصياغة بنفسي',
+    successTitle: 'تم قبول الصياغة الجديدة',
+    surveyTitle: '🎉 لقد أنهيت الدراسة!',
+    surveyBody: 'حان الوقت لتعبئة الاستبيان الختامي. رقم المشارك (Study ID): {studyId}',
+    surveyCta: '📋 لتعبئة الاستبيان',
+    highlightCognitive: 'معرفي — عرض الرأي كحقيقة مطلقة',
+    highlightEmotional: 'عاطفي — لوم أو إدانة',
+    highlightBoth: 'معرفي + عاطفي',
+    highlightOther: 'نبرة'
+  }
+};
+
+const RTL_LANGUAGES = ['he', 'ar'];
+
+/**
+ * UI language for a piece of user text: 'he' | 'ar' | 'en'
+ */
+function detectUiLanguage(text) {
+  if (!text) return 'en';
+  if (containsHebrew(text)) return 'he';
+  if (containsArabic(text)) return 'ar';
+  return 'en';
+}
+
+function isRtlLanguage(language) {
+  return RTL_LANGUAGES.includes(language);
+}
+
+/**
+ * Map a stored preference or BCP 47 tag ('he-IL', 'iw', 'ar-EG', ...) to a supported UI language
+ */
+function normalizeUiLanguage(tag) {
+  const primary = String(tag || '').toLowerCase().split(/[-_]/)[0];
+  if (primary === 'he' || primary === 'iw') return 'he';
+  if (primary === 'ar') return 'ar';
+  if (primary === 'en') return 'en';
+  return null;
+}
+
+// Language for UI that is not tied to a draft (survey banner)
+function getPreferredUiLanguage(storedLanguage) {
+  return normalizeUiLanguage(storedLanguage) ||
+    normalizeUiLanguage(document.documentElement?.lang) ||
+    normalizeUiLanguage(typeof navigator !== 'undefined' ? navigator.language : '') ||
+    'en';
+}
+
+/**
+ * Localised UI string. {name} placeholders are filled from params; Hebrew slash forms are
+ * resolved with formatHebrewByGender when the user's gender is known.
+ */
+function getUiString(key, language = 'en', gender = null, params = {}) {
+  const strings = UI_STRINGS[language] || UI_STRINGS.en;
+  let text = strings[key] !== undefined ? strings[key] : UI_STRINGS.en[key];
+  if (text === undefined) return key;
+  Object.keys(params).forEach(name => {
+    text = text.split(`{${name}}`).join(params[name]);
+  });
+  return language === 'he' ? formatHebrewByGender(text, gender) : text;
+}
@@ -0,0 +1,77 @@
+/**
+ * Local second-opinion classifier for isEscalating()
+ *
+ * A naive Bayes model over character n-grams scores every draft in the content script, with no
+ * network call. The weights live in escalation-model.js, generated offline by
+ * tools/train-escalation-model.js from the Google Sheets export. The probability is combined
+ * with the rule decision according to the mlPolicy detection setting (detection-settings.js):
+ *   'rules'   the rules decide; the probability is only logged (default)
+ *   'either'  flag when the rules flag OR the probability reaches mlThreshold
+ *   'both'    flag only when the rules flag AND the probability reaches mlThreshold
+ */
+
+/**
+ * Set of character n-grams of a draft (lower-cased, whitespace collapsed, padded with a space
+ * so word starts/ends are features). Shared with the training script so both see the same features.
+ */
+function extractCharNgrams(text, ngramRange = [2, 4]) {
+  const [minN, maxN] = ngramRange;
+  const chars = Array.from(` ${String(text || '').toLowerCase().replace(/\s+/g, ' ').trim()} `);
+  const grams = new Set();
+  for (let n = minN; n <= maxN; n++) {
+    for (let i = 0; i + n <= chars.length; i++) {
+      grams.add(chars.slice(i, i + n).join(''));
+    }
+  }
+  return grams;
+}
+
+// escalation-model.js is optional: without it the classifier reports no probability
+function getClassifierModel() {
+  return typeof ESCALATION_MODEL !== 'undefined' ? ESCALATION_MODEL : null;
+}
+
+/**
+ * Probability (0–1) that a draft is escalatory, or null when no model is bundled
+ */
+function classifyEscalation(text, model = getClassifierModel()) {
+  if (!model || !model.weights || !text) return null;
+  let logit = model.bias || 0;
+  extractCharNgrams(text, model.ngramRange).forEach(gram => {
+    const weight = model.weights[gram];
+    if (weight !== undefined) logit += weight;
+  });
+  return 1 / (1 + Math.exp(-logit));
+}
+
+/**
+ * Combine an isEscalating() result with the classifier probability under settings.mlPolicy.
+ * Updates and returns the result; ruleDecision keeps what the rules alone decided.
+ */
+function applyClassifierPolicy(result, probability, text, settings) {
+  const model = getClassifierModel();
+  result.ruleDecision = !!result.isEscalatory;
+  result.classifierProbability = probability;
+  result.classifierModelVersion = model ? model.version : null;
+  if (probability === null || settings.mlPolicy === 'rules') return result;
+
+  const modelDecision = probability >= settings.mlThreshold;
+  const reason = `Classifier probability ${probability.toFixed(2)} (${settings.mlPolicy} policy)`;
+
+  if (settings.mlPolicy === 'either' && modelDecision && !result.isEscalatory) {
+    result.isEscalatory = true;
+    // No rule fired, so there is no ECPM dimension to report
+    result.escalationType = 'other';
+    result.reasons = [...(result.reasons || []), reason];
+    // Hebrew/Arabic drafts still need the API to confirm, as with rule-flagged ones
+    result.requiresAPI = containsHebrew(text) || containsArabic(text);
+    console.log('🤖 Classifier flagged a draft the rules passed:', probability.toFixed(3));
+  } else if (settings.mlPolicy === 'both' && !modelDecision && result.isEscalatory) {
+    result.isEscalatory = false;
+    result.escalationType = 'none';
+    result.requiresAPI = false;
+    result.reasons = [...(result.reasons || []), reason];
+    console.log('🤖 Classifier overruled a rule detection:', probability.toFixed(3));
+  }
+  return result;
+}
@@ -0,0 +1,63 @@
+/**
+ * Platform adapters: everything content.js needs to know about a site
+ *
+ * Each supported site registers one adapter (platform-twitter.js, platform-facebook.js,
+ * platform-reddit.js, ...). content.js asks getPlatformAdapter() for the adapter of the current page
+ * and never checks the hostname itself. An adapter is a plain object; every member is optional
+ * and falls back to GENERIC_PLATFORM_ADAPTER:
+ *
+ *   name                     platform logged with each interaction ('twitter', 'facebook', ...)
+ *   matches(hostname)        whether the adapter handles this page
+ *   getDefaultComposerSelector()
+ *                            composer to use when none is focused or being checked
+ *   findComposers()          site-specific editables the generic scan misses (shadow roots, labelled divs)
+ *   getReplyTarget(composer) post or comment the composer answers: { postId, permalink, handle,
+ *                            displayName, text, confidence, replyLevel? }, or null for a new post
+ *   getQuotedPost(composer)  post quoted or shared by the composer: { text, author, handle, permalink }, or null
+ *   getThreadChain(composer) visible replies above the composer, oldest first (see platform-twitter.js)
+ *   getPageTitle()           title of what the page's comments are about (a YouTube video), or ''
+ *   setupSubmitMonitoring(onSubmit)
+ *                            listens for the site's post/comment submits and calls onSubmit(composer)
+ *                            while the composer still holds the posted text
+ *   replaceText(element, text)
+ *                            puts a rephrase into a composer: true/false when the adapter
+ *                            handled it, undefined to use the generic methods
+ */
+
+// How sure we are of the parent post: the composer's own dialog tweet, the page's focal tweet or the
+// Facebook post/comment holding the box (exact); the tweet right above an inline box, a Facebook comment
+// picked by position or the page's main column (preceding); only a "Replying to @handle" line (indicator)
+const REPLY_TARGET_CONFIDENCE = { exact: 1, preceding: 0.7, indicator: 0.4 };
+
+const MAX_THREAD_DEPTH = 10; // Ancestor replies kept (the most recent ones)
+const MAX_THREAD_TEXT_LEN = 280;
+
+const PLATFORM_ADAPTERS = [];
+
+// Any other site: detection and rephrasing still work, without context or submit capture
+const GENERIC_PLATFORM_ADAPTER = {
+  name: null, // logged as the hostname
+  matches: () => true,
+  getDefaultComposerSelector: () => null,
+  findComposers: () => [],
+  getReplyTarget: () => null,
+  getQuotedPost: () => null,
+  getThreadChain: () => [],
+  getPageTitle: () => '',
+  setupSubmitMonitoring: null,
+  replaceText: () => undefined
+};
+
+function registerPlatformAdapter(adapter) {
+  PLATFORM_ADAPTERS.push({ ...GENERIC_PLATFORM_ADAPTER, ...adapter });
+}
+
+function getPlatformAdapter(hostname = window.location.hostname) {
+  return PLATFORM_ADAPTERS.find(adapter => adapter.matches(hostname)) || GENERIC_PLATFORM_ADAPTER;
+}
+
+// The platform's main composer, or null
+function queryDefaultComposer() {
+  const selector = getPlatformAdapter().getDefaultComposerSelector();
+  return selector ? document.querySelector(selector) : null;
+}
@@ -0,0 +1,196 @@
+/**
+ * Facebook adapter (platform-adapter.js)
+ *
+ * Comment boxes answer the post or comment they sit under; the Share dialog previews the shared
+ * post below its composer. Submits are Enter in a comment box or the Post/Comment buttons, and
+ * the Lexical composer takes rephrases through execCommand. Attribute selectors come from the
+ * selector pack (selector-packs.js).
+ */
+
+// Comment and reply boxes by their label ("Write a comment…", "Reply to Dana Cohen", "כתבו תגובה…", "اكتب تعليقًا…")
+const FB_COMMENT_BOX_LABEL = /comment|reply|תגובה|להגיב|השב|הגב|تعليق|رد/i;
+// "Reply to Dana Cohen" names the comment being answered; other UI languages fall back to the DOM structure
+const FB_REPLY_TO_LABEL = /^reply to\s+(.+?)\s*$/i;
+
+// Comments are articles inside the comment list (a post is an article too, but not in a list item)
+function isFacebookComment(element) {
+  return element.matches('[role="article"]') &&
+    (!!element.parentElement?.closest('li') || /^(comment|reply)\b/i.test(element.getAttribute('aria-label') || ''));
+}
+
+// Commenter's name: the profile link at the top of the comment, else its "Comment by Name" label
+function getFacebookCommentAuthor(comment) {
+  const name = (comment.querySelector('a[role="link"] span')?.innerText || '').trim();
+  if (name) return name;
+  const label = (comment.getAttribute('aria-label') || '').match(/^(?:comment|reply) by (.+?)(?: to .+)?(?: \d.*| an? .*)?$/i);
+  return label ? label[1] : '';
+}
+
+// Comment body: the innermost dir="auto" blocks (the name and action links are spans)
+function getFacebookCommentText(comment) {
+  const blocks = Array.from(comment.querySelectorAll('div[dir="auto"]')).filter(block => !block.querySelector('div[dir="auto"]'));
+  const text = blocks.length > 0 ? blocks.map(block => block.innerText).join(' ') : comment.innerText || '';
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+// Absolute link and id of a post or comment, from its timestamp link
+function getFacebookPermalink(element, isComment) {
+  const link = element.querySelector(getSelector('facebook', isComment ? 'commentLink' : 'postLink'));
+  const href = link?.getAttribute('href');
+  if (!href) return { postId: '', permalink: '' };
+  const url = new URL(href, window.location.origin);
+  const postId = isComment
+    ? url.searchParams.get('reply_comment_id') || url.searchParams.get('comment_id') || ''
+    : url.searchParams.get('story_fbid') || url.searchParams.get('fbid') || (url.pathname.match(/\/(?:posts|permalink|videos)\/([\w.-]+)/) || [])[1] || '';
+  return { postId, permalink: isComment ? url.href : url.origin + url.pathname + (url.searchParams.get('story_fbid') ? url.search : '') };
+}
+
+// Feed post, post dialog or (on a permalink page) the main column the composer sits in
+function getFacebookPostContainer(composer) {
+  for (let node = composer.parentElement; node; node = node.parentElement) {
+    if (node.matches(getSelector('facebook', 'postContainer'))) return { container: node, confidence: REPLY_TARGET_CONFIDENCE.exact };
+    if (node.matches('[role="article"]') && !isFacebookComment(node)) return { container: node, confidence: REPLY_TARGET_CONFIDENCE.exact };
+  }
+  const main = document.querySelector('[role="main"]');
+  return main ? { container: main, confidence: REPLY_TARGET_CONFIDENCE.preceding } : null;
+}
+
+/**
+ * Post or comment a Facebook comment box answers: { postId, permalink, handle, displayName, text,
+ * confidence, replyLevel }. replyLevel is 'nested' for a reply to a comment and 'top_level' for a
+ * comment on the post. null when the composer is not a comment box (a new post).
+ */
+function findFacebookReplyTarget(composer) {
+  if (!composer) return null;
+  const label = composer.getAttribute('aria-label') || composer.getAttribute('aria-placeholder') || '';
+  const thread = composer.closest('li');
+  if (!FB_COMMENT_BOX_LABEL.test(label) && !thread) return null;
+
+  // Nested reply: the reply box opens inside the list item of the comment it answers
+  if (thread) {
+    const comments = Array.from(thread.querySelectorAll('[role="article"]'))
+      .filter(comment => comment.compareDocumentPosition(composer) & Node.DOCUMENT_POSITION_FOLLOWING);
+    const named = (label.match(FB_REPLY_TO_LABEL) || [])[1];
+    // Replying to a reply keeps the box under the top-level comment; the label says whom it answers
+    const addressed = named ? comments.find(comment => getFacebookCommentAuthor(comment) === named) : null;
+    const parent = addressed || comments[0];
+    if (parent) {
+      return {
+        ...getFacebookPermalink(parent, true),
+        handle: '',
+        displayName: getFacebookCommentAuthor(parent),
+        text: getFacebookCommentText(parent),
+        confidence: addressed || comments.length === 1 ? REPLY_TARGET_CONFIDENCE.exact : REPLY_TARGET_CONFIDENCE.preceding,
+        replyLevel: 'nested'
+      };
+    }
+  }
+
+  // Top-level comment: the post whose comment box this is
+  const post = getFacebookPostContainer(composer);
+  if (!post) return null;
+  const message = post.container.querySelector(getSelector('facebook', 'postMessage'));
+  const author = ['h2 strong', 'h3 strong', 'h4 strong', 'h2 a', 'h3 a', 'h4 a']
+    .map(selector => post.container.querySelector(selector))
+    .find(Boolean);
+  const link = getFacebookPermalink(post.container, false);
+  return {
+    ...link,
+    // A post opened on its own page is the page itself
+    permalink: link.permalink || (post.container.matches('[role="main"]') ? window.location.href.split('?')[0] : ''),
+    handle: '',
+    displayName: (author?.innerText || '').trim(),
+    text: (message?.innerText || '').replace(/\s+/g, ' ').trim(),
+    confidence: post.confidence,
+    replyLevel: 'top_level'
+  };
+}
+
+// Post previewed under the composer of Facebook's "Share" dialog
+function findSharedFacebookPost(composer) {
+  const dialog = composer.closest('[role="dialog"]');
+  if (!dialog) return null;
+  const follows = element => !element.contains(composer) && (composer.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_FOLLOWING);
+  const preview = Array.from(dialog.querySelectorAll(getSelector('facebook', 'postMessage'))).find(follows);
+  if (!preview) return null;
+  // The shared post's author is the first bold name in the attachment, above its message
+  const authorElement = Array.from(dialog.querySelectorAll('h2 strong, h3 strong, h4 strong, strong')).find(follows);
+  return {
+    text: (preview.innerText || '').replace(/\s+/g, ' ').trim(),
+    author: (authorElement?.innerText || '').trim(),
+    handle: '',
+    permalink: ''
+  };
+}
+
+// Facebook submit controls: the composer dialog's Post / Save / Share now, and a comment form's send button
+const FB_POST_BUTTON_LABEL = /^(post|save|update|share now|פרסום|פרסם|שמירה|שמור|שיתוף עכשיו|نشر|حفظ|مشاركة الآن)$/i;
+const FB_COMMENT_BUTTON_LABEL = /^(comment|reply|submit|הגב|שליחה|تعليق|إرسال)$/i;
+
+function setupFacebookSubmitMonitoring(onSubmit) {
+  // Enter sends a comment or reply (Shift+Enter is a new line; Enter in the post dialog is too).
+  // Capture phase, so the text is read before Facebook clears the box.
+  document.addEventListener('keydown', (e) => {
+    if (e.key !== 'Enter' || e.shiftKey || e.isComposing) return;
+    const composer = e.target?.closest?.('[contenteditable="true"]');
+    // An open mention picker takes the Enter for itself
+    if (!composer || composer.getAttribute('aria-expanded') === 'true') return;
+    if (!findFacebookReplyTarget(composer) || !getTextContent(composer).trim()) return;
+    console.log('📮 Facebook comment submitted with Enter! Capturing final text...');
+    onSubmit(composer);
+  }, true);
+
+  document.addEventListener('click', (e) => {
+    const button = e.target?.closest?.('[role="button"], button');
+    if (!button || button.getAttribute('aria-disabled') === 'true') return;
+    const label = (button.getAttribute('aria-label') || button.innerText || '').trim();
+    // The "Comment" action under a post is a button too, so comment labels only count inside a comment form
+    const scope = FB_POST_BUTTON_LABEL.test(label) ? button.closest('[role="dialog"]')
+      : FB_COMMENT_BUTTON_LABEL.test(label) ? button.closest('form')
+      : null;
+    const composer = scope?.querySelector(getSelector('facebook', 'commentBox'));
+    if (!composer || !getTextContent(composer).trim()) return;
+    console.log(`📮 Facebook "${label}" clicked! Capturing final text...`);
+    onSubmit(composer);
+  }, true);
+}
+
+// Composers the generic scan can miss: Lexical roots and the labelled "What's on your mind?" box
+function findFacebookComposers() {
+  return Array.from(document.querySelectorAll(getSelector('facebook', 'composer')));
+}
+
+// Lexical editor: execCommand, then check the text took. Other editors use the generic methods.
+function replaceFacebookText(element, newText) {
+  const lexicalRoot = element.__lexicalEditor ? element : element.querySelector?.('[data-lexical-editor="true"]');
+  const lexicalEditor = lexicalRoot && lexicalRoot.__lexicalEditor;
+  if (!lexicalEditor) return undefined;
+  console.log("Facebook Lexical editor detected → using execCommand");
+  const wasContentEditable = element.contentEditable;
+  const success = replaceTextViaExecCommand(element, newText);
+  if (success) {
+    setTimeout(() => {
+      const verifyText = getTextContent(element);
+      if (verifyText.trim() === newText.trim() || verifyText.includes(newText.substring(0, Math.min(newText.length, 15)))) {
+        console.log("✅ Facebook composer updated successfully");
+        // Ensure editability is maintained
+        if (wasContentEditable === 'true') {
+          element.contentEditable = 'true';
+        }
+      } else {
+        console.warn("⚠️ Facebook composer verification mismatch", { expected: newText, got: verifyText });
+      }
+    }, 150);
+  }
+  return success;
+}
+
+registerPlatformAdapter({
+  name: 'facebook',
+  matches: hostname => /(^|\.)facebook\.com$/i.test(hostname),
+  findComposers: findFacebookComposers,
+  getReplyTarget: findFacebookReplyTarget,
+  getQuotedPost: findSharedFacebookPost,
+  setupSubmitMonitoring: setupFacebookSubmitMonitoring,
+  replaceText: replaceFacebookText
+});
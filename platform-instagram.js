@@ -0,0 +1,167 @@
+/**
+ * Instagram adapter (platform-adapter.js)
+ *
+ * Posts, reels and the post dialog share one comment box under the caption. "Reply" on a comment
+ * reuses that box, prefilled with "@user ", so a reply's parent is the comment whose Reply was
+ * clicked. Submits are Enter or the form's Post button. The box is a React-controlled textarea,
+ * so rephrases go through the native value setter. Selectors come from the selector pack
+ * (selector-packs.js).
+ */
+
+// "Reply" under a comment and the comment form's "Post" button
+const IG_REPLY_LABEL = /^(reply|השב|הגב|رد)$/i;
+const IG_POST_BUTTON_LABEL = /^(post|פרסום|פרסם|نشر)$/i;
+
+// "@user " a reply box opens with
+const IG_REPLY_MENTION = /^@([\w.]+)/;
+
+// Comment whose Reply was clicked last, and the username it prefilled
+let instagramReplyComment = null;
+
+// Username from a profile link ("/dana.cohen/")
+function getInstagramUsername(link) {
+  const text = (link?.innerText || '').trim();
+  if (text) return text;
+  return ((link?.getAttribute('href') || '').match(/^\/([\w.]+)\/?$/) || [])[1] || '';
+}
+
+// Comment author: the first profile link in the comment
+function getInstagramCommentAuthor(comment) {
+  return getInstagramUsername(Array.from(comment.querySelectorAll('a[href^="/"]')).find(link => getInstagramUsername(link)));
+}
+
+// Comment body: the first dir="auto" text outside the author link ("Reply" and like counts come after it)
+function getInstagramCommentText(comment) {
+  const body = Array.from(comment.querySelectorAll('span[dir="auto"]'))
+    .find(block => !block.closest('a') && !block.querySelector('span[dir="auto"]') && (block.innerText || '').trim());
+  return (body?.innerText || '').replace(/\s+/g, ' ').trim();
+}
+
+// Post or reel shortcode and link: from a link inside the element, else from the page URL
+function getInstagramPermalink(element) {
+  const href = element.querySelector(getSelector('instagram', 'postLink'))?.getAttribute('href') || window.location.pathname;
+  const match = href.match(/\/(?:p|reel)\/([\w-]+)/);
+  return match
+    ? { postId: match[1], permalink: new URL(href, window.location.origin).origin + match[0] + '/' }
+    : { postId: '', permalink: '' };
+}
+
+// Comment id and link, from the comment's timestamp link (/p/<shortcode>/c/<id>/)
+function getInstagramCommentPermalink(comment) {
+  const href = comment.querySelector(getSelector('instagram', 'commentLink'))?.getAttribute('href');
+  const match = (href || '').match(/\/c\/(\d+)/);
+  return match
+    ? { postId: match[1], permalink: new URL(href, window.location.origin).href.split('?')[0] }
+    : { postId: '', permalink: '' };
+}
+
+// Feed article or post dialog holding the comment box; a post or reel page is the page's main column
+function getInstagramPostContainer(composer) {
+  const post = composer.closest(getSelector('instagram', 'post'));
+  if (post) return { container: post, confidence: REPLY_TARGET_CONFIDENCE.exact };
+  const main = /\/(?:p|reel)\//.test(window.location.pathname) ? document.querySelector('main') : null;
+  return main ? { container: main, confidence: REPLY_TARGET_CONFIDENCE.preceding } : null;
+}
+
+/**
+ * Caption or comment an Instagram comment box answers: { postId, permalink, handle, displayName,
+ * text, confidence, replyLevel }. null when the composer is not a comment box (e.g. a new post's caption).
+ */
+function findInstagramReplyTarget(composer) {
+  if (!composer || !composer.matches(getSelector('instagram', 'commentBox'))) return null;
+  const post = getInstagramPostContainer(composer);
+  if (!post) return null;
+
+  // Reply to a comment: the box starts with the "@user" its Reply button put there
+  const mentioned = (getTextContent(composer).match(IG_REPLY_MENTION) || [])[1];
+  if (mentioned) {
+    const clicked = instagramReplyComment && instagramReplyComment.username === mentioned &&
+      instagramReplyComment.comment.isConnected && post.container.contains(instagramReplyComment.comment)
+      ? instagramReplyComment.comment
+      : null;
+    // Typed by hand: the latest comment by that user in the post
+    const byAuthor = clicked ? null : Array.from(post.container.querySelectorAll(getSelector('instagram', 'comment')))
+      .filter(comment => getInstagramCommentAuthor(comment) === mentioned)
+      .pop();
+    const parent = clicked || byAuthor;
+    if (parent) {
+      return {
+        ...getInstagramCommentPermalink(parent),
+        handle: '@' + mentioned,
+        displayName: mentioned,
+        text: getInstagramCommentText(parent),
+        confidence: clicked ? REPLY_TARGET_CONFIDENCE.exact : REPLY_TARGET_CONFIDENCE.preceding,
+        replyLevel: 'nested'
+      };
+    }
+  }
+
+  // Top-level comment: the post's caption
+  const author = getInstagramUsername(post.container.querySelector(getSelector('instagram', 'postAuthor')));
+  return {
+    ...getInstagramPermalink(post.container),
+    handle: author ? '@' + author : '',
+    displayName: author,
+    text: (post.container.querySelector(getSelector('instagram', 'caption'))?.innerText || '').replace(/\s+/g, ' ').trim(),
+    confidence: post.confidence,
+    replyLevel: 'top_level'
+  };
+}
+
+function setupInstagramSubmitMonitoring(onSubmit) {
+  // Reply clicks are tracked here too: they tell findInstagramReplyTarget() which comment a reply answers
+  document.addEventListener('click', (e) => {
+    const button = e.target?.closest?.('[role="button"], button');
+    if (!button) return;
+    const label = (button.getAttribute('aria-label') || button.innerText || '').trim();
+
+    if (IG_REPLY_LABEL.test(label)) {
+      const comment = button.closest(getSelector('instagram', 'comment'));
+      const username = comment ? getInstagramCommentAuthor(comment) : '';
+      instagramReplyComment = username ? { comment, username } : null;
+      return;
+    }
+
+    if (!IG_POST_BUTTON_LABEL.test(label) || button.getAttribute('aria-disabled') === 'true' || button.disabled) return;
+    const composer = button.closest('form')?.querySelector(getSelector('instagram', 'commentBox'));
+    if (!composer || !getTextContent(composer).trim()) return;
+    console.log('📮 Instagram "Post" clicked! Capturing final text...');
+    onSubmit(composer);
+  }, true);
+
+  // Enter posts the comment (Shift+Enter is a new line); capture phase, before Instagram clears the box
+  document.addEventListener('keydown', (e) => {
+    if (e.key !== 'Enter' || e.shiftKey || e.isComposing) return;
+    const composer = e.target;
+    if (!composer?.matches?.(getSelector('instagram', 'commentBox')) || !getTextContent(composer).trim()) return;
+    console.log('📮 Instagram comment submitted with Enter! Capturing final text...');
+    onSubmit(composer);
+  }, true);
+}
+
+// React keeps the textarea's value in its own state: set it through the native setter, then
+// fire input so React picks it up (a plain .value assignment is reverted on the next render)
+function replaceInstagramText(element, newText) {
+  if (element.tagName !== 'TEXTAREA') return undefined;
+  try {
+    const setValue = Object.getOwnPropertyDescriptor(HTMLTextAreaElement.prototype, 'value').set;
+    setValue.call(element, newText);
+    element.dispatchEvent(new Event('input', { bubbles: true }));
+    element.focus({ preventScroll: true });
+    element.setSelectionRange(newText.length, newText.length);
+    console.log('✅ Instagram comment box updated');
+    return true;
+  } catch (error) {
+    console.error('Instagram text replacement failed:', error);
+    return false;
+  }
+}
+
+registerPlatformAdapter({
+  name: 'instagram',
+  matches: hostname => /(^|\.)instagram\.com$/i.test(hostname),
+  getDefaultComposerSelector: () => getSelector('instagram', 'commentBox'),
+  getReplyTarget: findInstagramReplyTarget,
+  setupSubmitMonitoring: setupInstagramSubmitMonitoring,
+  replaceText: replaceInstagramText
+});
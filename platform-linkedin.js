@@ -0,0 +1,121 @@
+/**
+ * LinkedIn adapter (platform-adapter.js)
+ *
+ * The share box and every comment box are Quill editors. A comment box answers the feed post it
+ * sits under; a reply box opens inside the comment it answers (replying to a reply keeps the box
+ * under the top-level comment and starts it with a mention of that reply's author). Submits are the
+ * comment box's and the share box's buttons, and Quill takes rephrases through execCommand.
+ * Selectors come from the selector pack (selector-packs.js).
+ */
+
+// Visible name of an actor or commenter (LinkedIn repeats it in a visually hidden span)
+function getLinkedInName(element) {
+  const visible = element?.querySelector('span[aria-hidden="true"]') || element;
+  return (visible?.innerText || '').split('\n')[0].trim();
+}
+
+// "in/dana-cohen" or "company/acme" from a profile link
+function getLinkedInProfilePath(link) {
+  const match = (link?.getAttribute('href') || '').match(/\/(in|company|school)\/([^/?#]+)/);
+  return match ? `${match[1]}/${match[2]}` : '';
+}
+
+function getLinkedInUrn(element) {
+  return element.getAttribute('data-urn') || element.getAttribute('data-id') || '';
+}
+
+// Author, urn, link and text of a feed post (or the post previewed in a repost)
+function describeLinkedInPost(post) {
+  const urn = getLinkedInUrn(post) || getLinkedInUrn(post.querySelector('[data-urn]') || post);
+  return {
+    postId: urn,
+    permalink: urn ? `${window.location.origin}/feed/update/${urn}/` : '',
+    handle: getLinkedInProfilePath(post.querySelector(getSelector('linkedin', 'actorLink'))),
+    displayName: getLinkedInName(post.querySelector(getSelector('linkedin', 'actorName'))),
+    text: (post.querySelector(getSelector('linkedin', 'postText'))?.innerText || '').replace(/\s+/g, ' ').trim()
+  };
+}
+
+// Author, urn, link and text of a comment (its own body comes before its replies')
+function describeLinkedInComment(comment) {
+  const urn = getLinkedInUrn(comment);
+  const activity = (urn.match(/activity:(\d+)/) || [])[1];
+  const author = comment.querySelector(getSelector('linkedin', 'commentAuthor'));
+  return {
+    postId: urn,
+    permalink: activity ? `${window.location.origin}/feed/update/urn:li:activity:${activity}/?commentUrn=${encodeURIComponent(urn)}` : '',
+    handle: getLinkedInProfilePath(author?.closest('a') || comment.querySelector('a[href*="/in/"]')),
+    displayName: getLinkedInName(author),
+    text: (comment.querySelector(getSelector('linkedin', 'commentText'))?.innerText || '').replace(/\s+/g, ' ').trim()
+  };
+}
+
+/**
+ * Post or comment a LinkedIn comment box answers: { postId, permalink, handle, displayName, text,
+ * confidence, replyLevel }. null for the share box (a new post) and other editors.
+ */
+function findLinkedInReplyTarget(composer) {
+  if (!composer || !composer.closest(getSelector('linkedin', 'commentForm'))) return null;
+
+  // Reply: the box opens inside the top-level comment; a mention names the reply it answers
+  const thread = composer.closest(getSelector('linkedin', 'comment'));
+  if (thread) {
+    const comments = [thread, ...Array.from(thread.querySelectorAll(getSelector('linkedin', 'comment')))]
+      .filter(comment => comment === thread || (comment.compareDocumentPosition(composer) & Node.DOCUMENT_POSITION_FOLLOWING));
+    const mentioned = getLinkedInName(composer.querySelector(getSelector('linkedin', 'mention')));
+    const addressed = mentioned ? comments.find(comment => getLinkedInName(comment.querySelector(getSelector('linkedin', 'commentAuthor'))) === mentioned) : null;
+    return {
+      ...describeLinkedInComment(addressed || thread),
+      confidence: addressed || comments.length === 1 ? REPLY_TARGET_CONFIDENCE.exact : REPLY_TARGET_CONFIDENCE.preceding,
+      replyLevel: 'nested'
+    };
+  }
+
+  // Top-level comment: the post the comment box belongs to (a post page has just the one)
+  const ownPost = composer.closest(getSelector('linkedin', 'post'));
+  const post = ownPost || document.querySelector(getSelector('linkedin', 'post'));
+  if (!post) return null;
+  return {
+    ...describeLinkedInPost(post),
+    confidence: ownPost || document.querySelectorAll(getSelector('linkedin', 'post')).length === 1 ? REPLY_TARGET_CONFIDENCE.exact : REPLY_TARGET_CONFIDENCE.preceding,
+    replyLevel: 'top_level'
+  };
+}
+
+// Post previewed under the share box editor of "Repost with your thoughts"
+function findRepostedLinkedInPost(composer) {
+  const dialog = composer.closest('[role="dialog"]');
+  if (!dialog) return null;
+  const preview = Array.from(dialog.querySelectorAll(getSelector('linkedin', 'sharedPost')))
+    .find(element => !element.contains(composer) && (composer.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_FOLLOWING));
+  if (!preview) return null;
+  const { text, displayName, handle, permalink } = describeLinkedInPost(preview);
+  return { text, author: displayName, handle, permalink };
+}
+
+function setupLinkedInSubmitMonitoring(onSubmit) {
+  // Comment / Reply buttons submit their comment box, Post submits the share box.
+  // Capture phase, so the text is read before LinkedIn clears the editor.
+  document.addEventListener('click', (e) => {
+    const commentButton = e.target?.closest?.(getSelector('linkedin', 'commentSubmit'));
+    const postButton = commentButton ? null : e.target?.closest?.(getSelector('linkedin', 'postSubmit'));
+    const button = commentButton || postButton;
+    if (!button || button.disabled) return;
+    const scope = commentButton ? button.closest(getSelector('linkedin', 'commentForm')) : button.closest('[role="dialog"]');
+    const composer = scope?.querySelector(getSelector('linkedin', 'composer'));
+    if (!composer || !getTextContent(composer).trim()) return;
+    console.log(`📮 LinkedIn ${commentButton ? 'comment' : 'post'} submitted! Capturing final text...`);
+    onSubmit(composer);
+  }, true);
+}
+
+registerPlatformAdapter({
+  name: 'linkedin',
+  matches: hostname => /(^|\.)linkedin\.com$/i.test(hostname),
+  getDefaultComposerSelector: () => getSelector('linkedin', 'composer'),
+  getReplyTarget: findLinkedInReplyTarget,
+  getQuotedPost: findRepostedLinkedInPost,
+  setupSubmitMonitoring: setupLinkedInSubmitMonitoring,
+  // Quill rebuilds its model from the editor's DOM mutations, so execCommand's trusted insert sticks
+  replaceText: (element, text) => (element.isContentEditable ? replaceTextViaExecCommand(element, text) : undefined)
+});
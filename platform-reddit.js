@@ -0,0 +1,103 @@
+/**
+ * Reddit adapter (platform-adapter.js), new Reddit and old.reddit
+ *
+ * A reply box answers the comment it opens under, a top-level box the post of the page; the
+ * submit page is a new post. New Reddit keeps its composer in shadow roots, so composers and
+ * submit clicks are found through them. Text is replaced with execCommand.
+ */
+
+// New Reddit renders posts and comments as custom elements carrying their metadata as attributes;
+// old.reddit uses .thing blocks with data-* attributes
+const REDDIT_COMMENT = 'shreddit-comment, .thing.comment';
+const REDDIT_POST = 'shreddit-post, .thing.link';
+const REDDIT_COMPOSER_SCOPE = 'shreddit-composer, comment-composer-host, faceplate-form, form.usertext, form#newlink, r-post-composer-form';
+
+function getRedditAttribute(element, name) {
+  return element.getAttribute(name) || element.getAttribute(`data-${name}`) || '';
+}
+
+// Author, id, link and text of a Reddit comment or post element
+function describeRedditThing(thing, isComment) {
+  const author = getRedditAttribute(thing, 'author');
+  const permalink = getRedditAttribute(thing, 'permalink');
+  let text;
+  if (isComment) {
+    // The comment's own body comes before its replies'
+    text = thing.querySelector('[slot="comment"], .entry .usertext-body .md')?.innerText || '';
+  } else {
+    const title = thing.getAttribute('post-title') || thing.querySelector('a.title')?.innerText || '';
+    const body = thing.querySelector('[slot="text-body"], .expando .usertext-body .md')?.innerText || '';
+    text = [title, body].filter(Boolean).join('\n');
+  }
+  return {
+    postId: thing.getAttribute('thingid') || thing.getAttribute('data-fullname') || thing.getAttribute('id') || '',
+    permalink: permalink ? new URL(permalink, window.location.origin).href : '',
+    handle: author ? `u/${author}` : '',
+    displayName: author,
+    text: text.replace(/\s+/g, ' ').trim()
+  };
+}
+
+/**
+ * Comment or post a Reddit composer answers: { postId, permalink, handle, displayName, text,
+ * confidence, replyLevel }, or null on the submit page (a new post)
+ */
+function findRedditReplyTarget(composer) {
+  if (!composer || /\/submit\b/.test(window.location.pathname)) return null;
+  let comment = composer.closest(REDDIT_COMMENT);
+  // old.reddit edits a comment inside its own entry; a reply box opens in the comment's child list
+  if (comment && composer.closest('.entry') && comment.contains(composer.closest('.entry'))) {
+    comment = comment.parentElement?.closest(REDDIT_COMMENT) || null;
+  }
+  if (comment) {
+    return { ...describeRedditThing(comment, true), confidence: REPLY_TARGET_CONFIDENCE.exact, replyLevel: 'nested' };
+  }
+  const ownPost = composer.closest(REDDIT_POST);
+  const post = ownPost || document.querySelector(REDDIT_POST);
+  if (!post) return null;
+  return {
+    ...describeRedditThing(post, false),
+    // On a comments page the only post on the page is the one the comment box belongs to
+    confidence: ownPost || document.querySelectorAll(REDDIT_POST).length === 1 ? REPLY_TARGET_CONFIDENCE.exact : REPLY_TARGET_CONFIDENCE.preceding,
+    replyLevel: 'top_level'
+  };
+}
+
+// The editable a Reddit composer scope submits: the rich-text editor, else the markdown / old.reddit textarea
+function findRedditComposerInput(scope) {
+  const root = scope.shadowRoot || scope;
+  return scope.querySelector('[contenteditable="true"]') || root.querySelector('[contenteditable="true"]') ||
+    scope.querySelector('textarea[name="text"]') || root.querySelector('textarea:not([name="title"])') || null;
+}
+
+function setupRedditSubmitMonitoring(onSubmit) {
+  // Comment/Reply/Save/Post buttons are submit buttons of their composer's form; new Reddit's sit in
+  // shadow roots, so the click is matched along its composed path
+  document.addEventListener('click', (e) => {
+    const path = e.composedPath ? e.composedPath() : [e.target];
+    const button = path.find(node => node.matches?.('button[type="submit"], button[slot="submit-button"], #submit-post-button'));
+    if (!button || button.disabled) return;
+    const scope = path.find(node => node.matches?.(REDDIT_COMPOSER_SCOPE));
+    const composer = scope ? findRedditComposerInput(scope) : null;
+    if (!composer || !getTextContent(composer).trim()) return;
+    console.log('📮 Reddit submit clicked! Capturing final text...');
+    onSubmit(composer);
+  }, true);
+}
+
+// New Reddit's composer may keep its editor inside the shadow root
+function findRedditComposers() {
+  return Array.from(document.querySelectorAll('shreddit-composer'))
+    .map(composer => composer.shadowRoot?.querySelector('[contenteditable="true"], textarea'))
+    .filter(Boolean);
+}
+
+registerPlatformAdapter({
+  name: 'reddit',
+  matches: hostname => /(^|\.)reddit\.com$/i.test(hostname),
+  findComposers: findRedditComposers,
+  getReplyTarget: findRedditReplyTarget,
+  setupSubmitMonitoring: setupRedditSubmitMonitoring,
+  // The rich-text editor takes execCommand; the markdown / old.reddit textarea uses the generic value path
+  replaceText: (element, text) => (element.isContentEditable ? replaceTextViaExecCommand(element, text) : undefined)
+});
@@ -0,0 +1,139 @@
+/**
+ * Threads adapter (platform-adapter.js), threads.net and threads.com
+ *
+ * Works like X: a reply's parent is the post shown above the composer in the reply dialog, or the
+ * page's focal post for the inline box on a post page; a quote's post is the card below the
+ * composer. Submits are the Post/Reply button in the composer's form or dialog, or Ctrl/Cmd+Enter,
+ * and the contenteditable composer takes rephrases through execCommand. Selectors come from the
+ * selector pack (selector-packs.js).
+ */
+
+// The composer's Post / Reply button
+const THREADS_POST_BUTTON_LABEL = /^(post|reply|פרסום|פרסם|השב|نشر|رد)$/i;
+
+// "Reply to dana.cohen…" placeholder of a reply box whose post is not on screen
+const THREADS_REPLY_TO_LABEL = /reply to\s+@?([\w.]+)/i;
+
+// Shortcode and absolute link of a post, from its /@user/post/<code> link
+function getThreadsPermalink(post) {
+  const href = post.querySelector(getSelector('threads', 'postLink'))?.getAttribute('href');
+  const match = (href || '').match(/\/post\/([\w-]+)/);
+  return match
+    ? { postId: match[1], permalink: new URL(href, window.location.origin).href.split('?')[0] }
+    : { postId: '', permalink: '' };
+}
+
+// Username from the post's first profile link (/@dana.cohen)
+function getThreadsAuthor(post) {
+  const links = Array.from(post.querySelectorAll(getSelector('threads', 'postAuthor')));
+  const username = links.map(link => ((link.getAttribute('href') || '').match(/^\/@([\w.]+)/) || [])[1]).find(Boolean);
+  return username || '';
+}
+
+// Post body: the innermost dir="auto" blocks outside links (the username and timestamp are links)
+function getThreadsPostText(post) {
+  const blocks = Array.from(post.querySelectorAll('span[dir="auto"]'))
+    .filter(block => !block.closest('a, time') && !block.querySelector('span[dir="auto"]'));
+  return blocks.map(block => block.innerText).join(' ').replace(/\s+/g, ' ').trim();
+}
+
+function describeThreadsPost(post) {
+  const username = getThreadsAuthor(post);
+  return {
+    ...getThreadsPermalink(post),
+    handle: username ? '@' + username : '',
+    displayName: username,
+    text: getThreadsPostText(post)
+  };
+}
+
+/**
+ * Post a Threads composer replies to: { postId, permalink, handle, displayName, text, confidence },
+ * or null for a new post
+ */
+function findThreadsReplyTarget(composer) {
+  if (!composer) return null;
+  const precedesComposer = post => !post.contains(composer) && !!(post.compareDocumentPosition(composer) & Node.DOCUMENT_POSITION_FOLLOWING);
+  const dialog = composer.closest('[role="dialog"]');
+  let post = null;
+  let confidence = 0;
+
+  if (dialog) {
+    // Reply dialog: the post shown above the composer (a new-post dialog has none)
+    const above = Array.from(dialog.querySelectorAll(getSelector('threads', 'post'))).filter(precedesComposer);
+    post = above[above.length - 1] || null;
+    confidence = post && getThreadsPermalink(post).postId ? REPLY_TARGET_CONFIDENCE.exact : REPLY_TARGET_CONFIDENCE.preceding;
+  } else {
+    // Inline reply box on a post page answers the page's focal post
+    const pageId = (window.location.pathname.match(/\/post\/([\w-]+)/) || [])[1];
+    if (pageId) {
+      const above = Array.from(document.querySelectorAll(getSelector('threads', 'post')))
+        .filter(candidate => !candidate.closest('[role="dialog"]') && precedesComposer(candidate));
+      const focal = above.find(candidate => getThreadsPermalink(candidate).postId === pageId);
+      post = focal || above[above.length - 1] || null;
+      confidence = focal ? REPLY_TARGET_CONFIDENCE.exact : REPLY_TARGET_CONFIDENCE.preceding;
+    }
+  }
+
+  if (!post) {
+    const label = composer.getAttribute('aria-placeholder') || composer.getAttribute('aria-label') || '';
+    const username = (label.match(THREADS_REPLY_TO_LABEL) || [])[1];
+    return username
+      ? { postId: '', permalink: '', handle: '@' + username, displayName: username, text: '', confidence: REPLY_TARGET_CONFIDENCE.indicator }
+      : null;
+  }
+  return { ...describeThreadsPost(post), confidence };
+}
+
+// Post card attached below the composer of a quote dialog
+function findQuotedThreadsPost(composer) {
+  const dialog = composer.closest('[role="dialog"]');
+  if (!dialog) return null;
+  const card = Array.from(dialog.querySelectorAll(getSelector('threads', 'post')))
+    .find(post => !post.contains(composer) && (composer.compareDocumentPosition(post) & Node.DOCUMENT_POSITION_FOLLOWING));
+  if (!card) return null;
+  const { text, handle, displayName, permalink } = describeThreadsPost(card);
+  return { text, author: displayName, handle, permalink };
+}
+
+// Composer a Post/Reply button submits: the one in the button's own form or dialog. The Reply
+// action on each post in the feed is no submit, even when a composer is open nearby.
+function findThreadsComposerForButton(button) {
+  if (button.closest(getSelector('threads', 'post'))) return null;
+  const scope = button.closest('form, [role="dialog"]');
+  if (!scope) return null;
+  return Array.from(scope.querySelectorAll(getSelector('threads', 'composer')))
+    .find(composer => composer.closest('form, [role="dialog"]') === scope) || null;
+}
+
+function setupThreadsSubmitMonitoring(onSubmit) {
+  document.addEventListener('click', (e) => {
+    const button = e.target?.closest?.('[role="button"], button');
+    if (!button || button.getAttribute('aria-disabled') === 'true' || button.disabled) return;
+    const label = (button.getAttribute('aria-label') || button.innerText || '').trim();
+    if (!THREADS_POST_BUTTON_LABEL.test(label)) return;
+    const composer = findThreadsComposerForButton(button);
+    if (!composer || !getTextContent(composer).trim()) return;
+    console.log(`📮 Threads "${label}" clicked! Capturing final text...`);
+    onSubmit(composer);
+  }, true);
+
+  // Ctrl/Cmd+Enter posts from the composer; capture phase, before Threads clears it
+  document.addEventListener('keydown', (e) => {
+    if (e.key !== 'Enter' || !(e.ctrlKey || e.metaKey) || e.isComposing) return;
+    const composer = e.target?.closest?.(getSelector('threads', 'composer'));
+    if (!composer || !getTextContent(composer).trim()) return;
+    console.log('📮 Threads post submitted with Ctrl+Enter! Capturing final text...');
+    onSubmit(composer);
+  }, true);
+}
+
+registerPlatformAdapter({
+  name: 'threads',
+  matches: hostname => /(^|\.)threads\.(net|com)$/i.test(hostname),
+  getDefaultComposerSelector: () => getSelector('threads', 'composer'),
+  getReplyTarget: findThreadsReplyTarget,
+  getQuotedPost: findQuotedThreadsPost,
+  setupSubmitMonitoring: setupThreadsSubmitMonitoring,
+  replaceText: (element, text) => (element.isContentEditable ? replaceTextViaExecCommand(element, text) : undefined)
+});
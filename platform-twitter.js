@@ -0,0 +1,212 @@
+/**
+ * Twitter/X adapter (platform-adapter.js)
+ *
+ * Reply target and thread chain come from the tweet articles around the active composer, quote
+ * tweets from the card attached below it. Text is replaced with execCommand so X's editor sees
+ * trusted input events. data-testid selectors come from the selector pack (selector-packs.js).
+ */
+
+// Absolute permalink of a tweet article, from the link around its timestamp
+function getTweetPermalink(article) {
+  const link = article.querySelector('a[href*="/status/"] time')?.closest('a') || article.querySelector('a[href*="/status/"]');
+  const href = link?.getAttribute('href');
+  return href ? new URL(href, window.location.origin).href.split('?')[0] : '';
+}
+
+// Status id of a tweet article, from its permalink
+function getTweetId(article) {
+  const match = getTweetPermalink(article).match(/\/status\/(\d+)/);
+  return match ? match[1] : null;
+}
+
+// Display name and @handle from a tweet's User-Name block ("Name\n@handle\n·\n2h")
+function getTweetAuthor(article) {
+  const lines = (article.querySelector(getSelector('twitter', 'userName'))?.innerText || '').split('\n').map(line => line.trim()).filter(Boolean);
+  return {
+    author: lines[0] || '',
+    handle: lines.find(line => line.startsWith('@')) || ''
+  };
+}
+
+// "Replying to @handle" within the composer's own container, stopping before it reaches any tweet
+function findReplyingToHandle(composer) {
+  let node = composer.parentElement;
+  for (let depth = 0; node && depth < 8; depth++, node = node.parentElement) {
+    if (node.querySelector('article')) break;
+    const match = (node.innerText || '').match(/Replying to\s+@?(\w+)/i);
+    if (match) return '@' + match[1];
+  }
+  return null;
+}
+
+/**
+ * Tweet the composer replies to, resolved from the composer's reply dialog or the status page it
+ * sits on: { postId, permalink, handle, displayName, text, confidence }, or null for a new post
+ */
+function findTweetReplyTarget(composer) {
+  if (!composer) return null;
+  const precedesComposer = article => !!(article.compareDocumentPosition(composer) & Node.DOCUMENT_POSITION_FOLLOWING);
+  const dialog = composer.closest('[role="dialog"]');
+  let article = null;
+  let confidence = 0;
+
+  if (dialog) {
+    // Reply dialog: the tweet shown above the box (a compose dialog has none)
+    const above = Array.from(dialog.querySelectorAll(getSelector('twitter', 'tweet'))).filter(precedesComposer);
+    article = above[above.length - 1] || null;
+    confidence = article && getTweetId(article) ? REPLY_TARGET_CONFIDENCE.exact : REPLY_TARGET_CONFIDENCE.preceding;
+  } else {
+    // Inline reply box on a status page answers the focal tweet of the URL
+    const statusId = (window.location.pathname.match(/\/status\/(\d+)/) || [])[1];
+    if (statusId) {
+      const above = Array.from(document.querySelectorAll(getSelector('twitter', 'tweet')))
+        .filter(candidate => !candidate.closest('[role="dialog"]') && precedesComposer(candidate));
+      const focal = above.find(candidate => getTweetId(candidate) === statusId);
+      article = focal || above[above.length - 1] || null;
+      confidence = focal ? REPLY_TARGET_CONFIDENCE.exact : REPLY_TARGET_CONFIDENCE.preceding;
+    }
+  }
+
+  if (!article) {
+    const handle = findReplyingToHandle(composer);
+    return handle
+      ? { postId: '', permalink: '', handle, displayName: '', text: '', confidence: REPLY_TARGET_CONFIDENCE.indicator }
+      : null;
+  }
+  const { author, handle } = getTweetAuthor(article);
+  return {
+    postId: getTweetId(article) || '',
+    permalink: getTweetPermalink(article),
+    handle,
+    displayName: author,
+    text: (article.querySelector(getSelector('twitter', 'tweetText'))?.innerText || '').replace(/\s+/g, ' ').trim(),
+    confidence
+  };
+}
+
+// Nearest ancestor of an inline X composer that also holds its toolbar (and any attached quote card)
+function getComposerContainer(composer) {
+  let node = composer.parentElement;
+  for (let depth = 0; node && depth < 12; depth++, node = node.parentElement) {
+    if (node.querySelector(getSelector('twitter', 'toolBar'))) return node;
+  }
+  return null;
+}
+
+// Quote card attached below an X composer (rendered like a tweet, but outside any article)
+function findQuotedTweet(composer) {
+  const container = composer.closest('[role="dialog"]') || getComposerContainer(composer);
+  if (!container) return null;
+  const nameBlock = Array.from(container.querySelectorAll(getSelector('twitter', 'userName')))
+    .find(block => !block.closest('article') && (composer.compareDocumentPosition(block) & Node.DOCUMENT_POSITION_FOLLOWING));
+  if (!nameBlock) return null;
+  const card = nameBlock.closest('[role="link"]') || nameBlock.parentElement?.parentElement || nameBlock;
+  const { author, handle } = getTweetAuthor(card);
+  return {
+    text: (card.querySelector(getSelector('twitter', 'tweetText'))?.innerText || '').replace(/\s+/g, ' ').trim(),
+    author,
+    handle,
+    permalink: getTweetPermalink(card)
+  };
+}
+
+/**
+ * Visible chain of tweets above the active composer on an X status page, oldest first:
+ * [{ order, tweetId, author, handle, text, escalatory }]. escalatory is the local detector's
+ * verdict on that tweet. Empty off status pages.
+ */
+function getTweetThreadChain(composer) {
+  if (!/\/status\/\d+/.test(window.location.pathname)) return [];
+  try {
+    const pageArticles = Array.from(document.querySelectorAll(getSelector('twitter', 'tweet')))
+      .filter(article => !article.closest('[role="dialog"]'));
+    let articles;
+    const dialog = composer?.closest('[role="dialog"]');
+    if (dialog) {
+      // Reply dialog: the page's thread up to the tweet shown in the dialog, then the dialog's own tweets
+      const dialogArticles = Array.from(dialog.querySelectorAll(getSelector('twitter', 'tweet')));
+      const parentId = dialogArticles.length > 0 ? getTweetId(dialogArticles[dialogArticles.length - 1]) : null;
+      const parentIndex = pageArticles.findIndex(article => parentId && getTweetId(article) === parentId);
+      articles = parentIndex !== -1 ? pageArticles.slice(0, parentIndex + 1) : dialogArticles;
+    } else {
+      // Inline reply box: everything above it is the conversation so far, replies come below
+      articles = pageArticles.filter(article => !composer || (article.compareDocumentPosition(composer) & Node.DOCUMENT_POSITION_FOLLOWING));
+    }
+
+    return articles.slice(-MAX_THREAD_DEPTH).map((article, index) => {
+      const text = (article.querySelector(getSelector('twitter', 'tweetText'))?.innerText || '').replace(/\s+/g, ' ').trim();
+      return {
+        order: index + 1,
+        tweetId: getTweetId(article),
+        ...getTweetAuthor(article),
+        text: text.substring(0, MAX_THREAD_TEXT_LEN),
+        escalatory: text ? !!isEscalating(text).isEscalatory : false
+      };
+    });
+  } catch (error) {
+    console.warn('Could not extract thread chain:', error);
+    return [];
+  }
+}
+
+/**
+ * Composer a post button submits: the one in the button's reply/compose dialog, else the one in
+ * the nearest container around the button (inline reply box or home timeline box), never a
+ * composer inside a dialog the button isn't in
+ */
+function findTwitterComposerForButton(button) {
+  const dialog = button.closest('[role="dialog"]');
+  const composerSelectors = [getSelector('twitter', 'composer'), getSelector('twitter', 'composerFallback')];
+  for (let node = button.parentElement; node && node !== document.documentElement; node = node.parentElement) {
+    for (const selector of composerSelectors) {
+      const composer = Array.from(node.querySelectorAll(selector))
+        .find(candidate => candidate.closest('[role="dialog"]') === dialog);
+      if (composer) return composer;
+    }
+    if (node === dialog) break;
+  }
+  return null;
+}
+
+function setupTwitterSubmitMonitoring(onSubmit) {
+  // Monitor clicks on post buttons (use capture phase to catch event early)
+  document.addEventListener('click', async (e) => {
+    // Check if clicked element or parent is a post button
+    // (post button selectors come from the selector pack, so they follow X DOM changes)
+    const postButtonSelector = getSelector('twitter', 'postButton');
+    let target = e.target;
+    let isPostButton = false;
+    
+    // Check element and parents up to 4 levels
+    for (let i = 0; i < 5 && target; i++) {
+      if (target.matches && target.matches(postButtonSelector)) {
+        isPostButton = true;
+        break;
+      }
+      target = target.parentElement;
+    }
+    
+    if (isPostButton) {
+      console.log('📮 Post button clicked! Capturing final text...');
+      
+      // The composer this button submits (a tweet page can show an inline box and a reply dialog at once)
+      const composer = findTwitterComposerForButton(target);
+      if (composer) {
+        await onSubmit(composer);
+      }
+    }
+  }, true); // Use capture phase to catch event early
+}
+
+registerPlatformAdapter({
+  name: 'twitter',
+  matches: hostname => /(^|\.)(twitter|x)\.com$/i.test(hostname),
+  getDefaultComposerSelector: () => getSelector('twitter', 'composer'),
+  getReplyTarget: findTweetReplyTarget,
+  getQuotedPost: findQuotedTweet,
+  getThreadChain: getTweetThreadChain,
+  setupSubmitMonitoring: setupTwitterSubmitMonitoring,
+  // execCommand fires trusted events Lexical handles natively. No post-processing: any
+  // attribute/focus manipulation after insertion triggers Lexical's MutationObserver and resets editor state.
+  replaceText: (element, text) => (element.isContentEditable ? replaceTextViaExecCommand(element, text) : undefined)
+});
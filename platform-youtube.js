@@ -0,0 +1,99 @@
+/**
+ * YouTube adapter (platform-adapter.js), watch pages and Shorts
+ *
+ * The comment box under the video answers the video itself; "Reply" opens a box inside the
+ * comment it answers (a reply to a reply opens inside that reply, prefilled with "@handle").
+ * The video's title is sent with every rephrase, so even a reply deep in the comments keeps the
+ * topic. Submits are the box's Comment/Reply button, and the contenteditable box takes rephrases
+ * through execCommand. Selectors come from the selector pack (selector-packs.js).
+ */
+
+// Video id from a watch or Shorts URL
+function getYouTubeVideoId(url = window.location.href) {
+  const parsed = new URL(url, window.location.origin);
+  return parsed.searchParams.get('v') || (parsed.pathname.match(/^\/shorts\/([\w-]+)/) || [])[1] || '';
+}
+
+// Link to the video: the Short's own /shorts/<id> URL on Shorts, else /watch?v=<id>
+function getYouTubeVideoPermalink(videoId) {
+  return /^\/shorts\//.test(window.location.pathname)
+    ? `${window.location.origin}/shorts/${videoId}`
+    : `${window.location.origin}/watch?v=${videoId}`;
+}
+
+// "@handle" from a channel link (/@dana.cohen)
+function getYouTubeHandle(link) {
+  const match = (link?.getAttribute('href') || '').match(/\/(@[\w.-]+)/);
+  return match ? decodeURIComponent(match[1]) : '';
+}
+
+// Title of the video the page's comments belong to
+function getYouTubeVideoTitle() {
+  const title = document.querySelector(getSelector('youtube', 'videoTitle'))?.innerText || '';
+  return (title || (document.title || '').replace(/\s*-\s*YouTube$/, '')).replace(/\s+/g, ' ').trim();
+}
+
+// Author, id, link and text of a comment (its own body comes before its replies')
+function describeYouTubeComment(comment) {
+  const author = comment.querySelector(getSelector('youtube', 'commentAuthor'));
+  const href = comment.querySelector(getSelector('youtube', 'commentLink'))?.getAttribute('href') || '';
+  const commentId = href ? new URL(href, window.location.origin).searchParams.get('lc') || '' : '';
+  const handle = getYouTubeHandle(author);
+  return {
+    postId: commentId,
+    permalink: commentId ? new URL(href, window.location.origin).href : '',
+    handle,
+    displayName: (author?.innerText || '').trim() || handle,
+    text: (comment.querySelector(getSelector('youtube', 'commentText'))?.innerText || '').replace(/\s+/g, ' ').trim()
+  };
+}
+
+/**
+ * Video or comment a YouTube comment box answers: { postId, permalink, handle, displayName, text,
+ * confidence, replyLevel }. null for editors outside a comment box (e.g. a community post).
+ */
+function findYouTubeReplyTarget(composer) {
+  if (!composer || !composer.closest(getSelector('youtube', 'commentBox'))) return null;
+
+  // Reply: the box opens inside the comment it answers
+  const comment = composer.closest(getSelector('youtube', 'comment'));
+  if (comment) {
+    return { ...describeYouTubeComment(comment), confidence: REPLY_TARGET_CONFIDENCE.exact, replyLevel: 'nested' };
+  }
+
+  // Top-level comment: the video, by its title and channel
+  const videoId = getYouTubeVideoId();
+  if (!videoId) return null;
+  const channel = document.querySelector(getSelector('youtube', 'channelLink'));
+  return {
+    postId: videoId,
+    permalink: getYouTubeVideoPermalink(videoId),
+    handle: getYouTubeHandle(channel),
+    displayName: (channel?.innerText || '').trim(),
+    text: getYouTubeVideoTitle(),
+    confidence: REPLY_TARGET_CONFIDENCE.exact,
+    replyLevel: 'top_level'
+  };
+}
+
+function setupYouTubeSubmitMonitoring(onSubmit) {
+  // Capture phase, so the text is read before YouTube clears the box
+  document.addEventListener('click', (e) => {
+    const button = e.target?.closest?.(getSelector('youtube', 'submitButton'));
+    if (!button || e.target.closest('button')?.disabled || button.getAttribute('aria-disabled') === 'true') return;
+    const composer = button.closest(getSelector('youtube', 'commentBox'))?.querySelector(getSelector('youtube', 'composer'));
+    if (!composer || !getTextContent(composer).trim()) return;
+    console.log('📮 YouTube comment submitted! Capturing final text...');
+    onSubmit(composer);
+  }, true);
+}
+
+registerPlatformAdapter({
+  name: 'youtube',
+  matches: hostname => /(^|\.)youtube\.com$/i.test(hostname),
+  getDefaultComposerSelector: () => getSelector('youtube', 'composer'),
+  getReplyTarget: findYouTubeReplyTarget,
+  getPageTitle: () => (getYouTubeVideoId() ? getYouTubeVideoTitle() : ''),
+  setupSubmitMonitoring: setupYouTubeSubmitMonitoring,
+  replaceText: (element, text) => (element.isContentEditable ? replaceTextViaExecCommand(element, text) : undefined)
+});
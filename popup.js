@@ -15,6 +15,12 @@ document.addEventListener('DOMContentLoaded', async () => {
       : 'De-escalation assistant';
   }
 
+  // The mlPolicy / mlThreshold detection settings only apply once escalation-model.js defines a model
+  const classifierStatus = document.getElementById('classifierStatus');
+  classifierStatus.textContent = typeof ESCALATION_MODEL !== 'undefined'
+    ? `Model ${ESCALATION_MODEL.version} bundled; the mlPolicy setting decides how it combines with the rules.`
+    : 'No model bundled yet: the mlPolicy and mlThreshold settings have no effect and the rules decide alone.';
+
   // Load current assignment
   const { botType } = await chrome.storage.local.get('botType');
   applyUI(botType || 'angel');
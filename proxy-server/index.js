@@ -129,6 +129,8 @@ When context is provided, analyze:
 1. What relationships/figures are mentioned (e.g., Netanyahu-Trump relationship)
 2. Whether the text is legitimate political discourse or gratuitous escalation
 3. How context affects the analysis (e.g., criticizing documented actions vs personal attacks)
+4. Whether the conversation above the user's message was already heated (the user is continuing a fight) or calm (the user would be starting one)
+5. For a quote post, whether the user's comment engages with what the quoted post says or attacks its author
 Distinguish legitimate criticism from gratuitous attacks based on context.
 
 GROUP-BASED STEREOTYPES (CRITICAL):
@@ -270,6 +272,8 @@ When context is provided, analyze:
 1. What relationships/figures are mentioned (e.g., Netanyahu-Trump relationship)
 2. Whether the text is legitimate political discourse or gratuitous escalation
 3. How context affects the analysis (e.g., criticizing documented actions vs personal attacks)
+4. Whether the conversation above the user's message was already heated (the user is continuing a fight) or calm (the user would be starting one)
+5. For a quote post, whether the user's comment engages with what the quoted post says or attacks its author
 Distinguish legitimate criticism from gratuitous attacks based on context.
 
 GROUP-BASED STEREOTYPES (CRITICAL):
@@ -368,6 +372,9 @@ CRITICAL RULES - READ CAREFULLY:
 
 JSON ONLY.`;
 
+// Earlier thread replies included in the prompt (the extension sends at most 10)
+const MAX_THREAD_ENTRIES = 10;
+
 // Main proxy endpoint (rate limiter removed - AI services have their own rate limits)
 app.post('/api/rephrase', validateRequest, async (req, res) => {
   try {
@@ -416,7 +423,9 @@ app.post('/api/rephrase', validateRequest, async (req, res) => {
       if (context.originalPostWriter && context.originalPostWriter !== 'new') {
         contextText += `\nAuthor: ${context.originalPostWriter}`;
       }
-      if (context.isReply) {
+      if (context.isReply && context.replyLevel === 'nested') {
+        contextText += `\nContext Type: Reply to the above comment (nested in the comment thread under a post)`;
+      } else if (context.isReply) {
         contextText += `\nContext Type: Reply to the above post/comment`;
       } else {
         contextText += `\nContext Type: Original post (not a reply)`;
@@ -424,6 +433,35 @@ app.post('/api/rephrase', validateRequest, async (req, res) => {
     } else {
       contextText = 'No context provided - this appears to be an original post (not a reply)';
     }
+
+    // Quote tweet / share with comment: the draft is a new post commenting on someone else's post
+    if (context && context.quotedPost && context.quotedPost.text) {
+      const quoted = context.quotedPost;
+      const quotedAuthor = [quoted.author, quoted.handle && `(${quoted.handle})`].filter(Boolean).join(' ');
+      contextText = `Quoted Post: "${String(quoted.text).substring(0, 800)}"`;
+      if (quotedAuthor) {
+        contextText += `\nQuoted Author: ${quotedAuthor.substring(0, 150)}`;
+      }
+      contextText += `\nContext Type: Quote post (the user's text is a comment on the quoted post, shown to the user's own followers)`;
+    }
+
+    // YouTube: the video the comment (or the comment it replies to) is under
+    // (a top-level comment's original post already is the video title)
+    if (context && typeof context.pageTitle === 'string' && context.pageTitle.trim() && context.pageTitle !== context.originalPostContent) {
+      contextText = `Video Title: "${context.pageTitle.trim().substring(0, 300)}"\n${contextText}`;
+    }
+
+    // Earlier replies in the thread (X status pages), oldest first
+    if (context && Array.isArray(context.threadChain) && context.threadChain.length > 0) {
+      const chain = context.threadChain.slice(-MAX_THREAD_ENTRIES);
+      const flagged = chain.filter(entry => entry && entry.escalatory).length;
+      contextText += '\n\nConversation so far (oldest first, the user is replying to the last one):\n' + chain.map((entry, index) => {
+        const author = String(entry?.author || 'Unknown').substring(0, 100);
+        const handle = entry?.handle ? ` (${String(entry.handle).substring(0, 50)})` : '';
+        return `${index + 1}. ${author}${handle}: "${String(entry?.text || '').substring(0, 280)}"`;
+      }).join('\n');
+      contextText += `\nThread heat: ${flagged} of ${chain.length} earlier messages have escalatory signals (local detector)`;
+    }
     
     // Build gender instruction for Hebrew first-person agreement
     // Only applies to first-person (אני) — second person (אתה/את) is UNKNOWN and must not be assumed
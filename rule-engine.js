@@ -0,0 +1,295 @@
+/**
+ * Rule engine for the ECPM escalation detector
+ * Evaluates the declarative rules in escalation-rules.js and records which ones fired.
+ *
+ * A result is { score, reasons, hits }; each hit is
+ * { id, language, dimension, weight, reasons, tags, matches, spans } for one rule that fired.
+ * spans are [{ start, end }] character ranges of the matches in the evaluated text; 'judgement'
+ * hits also carry target ('second_person' | 'person' | 'group' | 'policy' | 'unknown'), and hits
+ * whose every match is negated, quoted or reported carry scope ('negation' | 'quotation' | 'reported_speech').
+ */
+
+// Compiled lexicon patterns, cached per rule object
+const compiledLexiconPatterns = new WeakMap();
+
+// Skin tones, variation selectors and ZWJ continuations that belong to the emoji before them
+const EMOJI_SEQUENCE_TAIL = '[\\u{1F3FB}-\\u{1F3FF}\\uFE0F]*(?:\\u200D\\p{Extended_Pictographic}[\\u{1F3FB}-\\u{1F3FF}\\uFE0F]*)*';
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile a rule's lexicon into a single pattern.
+ * 'word' uses \b boundaries; 'hebrew' allows a ו/ב/ל/כ/מ/ש/ה prefix and 'arabic' allows
+ * و/ف + ب/ل/ك + ال prefixes. Both treat whitespace/punctuation as boundaries
+ * (\b does not work for Hebrew or Arabic letters). 'emoji' matches each emoji as a whole
+ * sequence (with skin tone / ZWJ continuation) and ASCII emoticons only between whitespace.
+ */
+function compileLexicon(rule) {
+  if (compiledLexiconPatterns.has(rule)) {
+    return compiledLexiconPatterns.get(rule);
+  }
+  const alternation = rule.lexicon.map(escapeRegExp).join('|');
+  let pattern;
+  if (rule.boundary === 'hebrew') {
+    pattern = new RegExp(
+      '(?:^|[\\s,\\.!?״""\'()])(?:[ובלכמשה])?(?:' + alternation + ')(?=$|[\\s,\\.!?״""\'()])'
+    );
+  } else if (rule.boundary === 'arabic') {
+    pattern = new RegExp(
+      '(?:^|[\\s,\\.!?؟،؛"\'()])(?:[وف])?(?:[بلك])?(?:ال|ل)?(?:' + alternation + ')(?=$|[\\s,\\.!?؟،؛"\'()])'
+    );
+  } else if (rule.boundary === 'emoji') {
+    const emoji = rule.lexicon.filter(entry => /\p{Extended_Pictographic}/u.test(entry)).map(escapeRegExp);
+    const emoticons = rule.lexicon.filter(entry => !/\p{Extended_Pictographic}/u.test(entry)).map(escapeRegExp);
+    const alternatives = [];
+    // Not the second half of a ZWJ sequence: "people holding hands" contains a handshake
+    if (emoji.length > 0) alternatives.push(`(?<!\\u200D)(?:${emoji.join('|')})${EMOJI_SEQUENCE_TAIL}`);
+    if (emoticons.length > 0) alternatives.push(`(?<=^|\\s)(?:${emoticons.join('|')})(?=$|[\\s,.!?])`);
+    pattern = new RegExp(alternatives.join('|'), 'iu');
+  } else {
+    pattern = new RegExp(`\\b(?:${alternation})\\b`, 'i');
+  }
+  compiledLexiconPatterns.set(rule, pattern);
+  return pattern;
+}
+
+function getRulePatterns(rule) {
+  const patterns = rule.patterns ? [...rule.patterns] : [];
+  if (rule.lexicon && rule.lexicon.length > 0) {
+    patterns.push(compileLexicon(rule));
+  }
+  return patterns;
+}
+
+function toGlobal(pattern) {
+  return new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g');
+}
+
+// Does a fired hit carry this label (a tag, or an ECPM dimension)?
+function hitHasLabel(hit, label) {
+  // A negated/quoted/reported match no longer signals its dimension
+  if (hit.scope) return false;
+  if (hit.tags && hit.tags.includes(label)) return true;
+  if (hit.dimension === label) return true;
+  return hit.dimension === 'both' && (label === 'cognitive' || label === 'emotional');
+}
+
+// Span of a regex match with surrounding whitespace/punctuation trimmed
+// (Hebrew/Arabic lexicon patterns consume the boundary character before the word)
+function toMatchSpan(text, index, length) {
+  let start = index;
+  let end = index + length;
+  while (start < end - 1 && (/\s/.test(text[start]) || (/[,.!?״"'()؟،؛]/.test(text[start]) && /\p{L}/u.test(text[start + 1])))) start++;
+  while (end > start && /\s/.test(text[end - 1])) end--;
+  return { start, end };
+}
+
+function pickTier(rule, value, textLength) {
+  return (rule.tiers || []).find(tier => {
+    if (tier.min !== undefined && value < tier.min) return false;
+    if (tier.max !== undefined && value > tier.max) return false;
+    if (tier.above !== undefined && !(value > tier.above)) return false;
+    if (tier.longerThan !== undefined && !(textLength > tier.longerThan)) return false;
+    if (tier.shorterThan !== undefined && !(textLength < tier.shorterThan)) return false;
+    return true;
+  }) || null;
+}
+
+/**
+ * Evaluate one rule against text.
+ * firedHits is only read by 'combo' rules (the hits recorded so far).
+ * Returns a hit, or null if the rule did not fire.
+ */
+function evaluateRule(rule, text, firedHits = []) {
+  const match = rule.match || 'each';
+  const hit = {
+    id: rule.id,
+    language: rule.language,
+    dimension: rule.dimension || null,
+    weight: 0,
+    reasons: [],
+    tags: rule.tags || [],
+    matches: [],
+    spans: []
+  };
+
+  if (match === 'combo') {
+    const satisfied = (rule.requires || []).every(label => firedHits.some(h => hitHasLabel(h, label)));
+    if (!satisfied) return null;
+    hit.weight = rule.weight;
+    if (rule.reason) hit.reasons.push(rule.reason);
+    return hit;
+  }
+
+  const patterns = getRulePatterns(rule);
+
+  if (match === 'count' || match === 'ratio') {
+    let count = 0;
+    const spans = [];
+    patterns.forEach(pattern => {
+      for (const found of text.matchAll(toGlobal(pattern))) {
+        count++;
+        hit.matches.push(found[0]);
+        spans.push(toMatchSpan(text, found.index, found[0].length));
+      }
+    });
+    const value = match === 'ratio' ? (text.length > 0 ? count / text.length : 0) : count;
+    const tier = pickTier(rule, value, text.length);
+    if (!tier) return null;
+    // A ratio (e.g. share of capitals) describes the whole text, not individual characters
+    if (match === 'count') hit.spans = spans;
+    hit.weight = tier.weight;
+    if (tier.reason) hit.reasons.push(tier.reason);
+    return hit;
+  }
+
+  patterns.forEach(pattern => {
+    if (match === 'any' && hit.matches.length > 0) return;
+    const found = text.match(pattern);
+    if (found) {
+      hit.matches.push(found[0]);
+      if (match === 'any') {
+        // Weight is added once, but every occurrence is highlighted (and checked for its target)
+        for (const occurrence of text.matchAll(toGlobal(pattern))) {
+          hit.spans.push(toMatchSpan(text, occurrence.index, occurrence[0].length));
+        }
+      } else {
+        hit.spans.push(toMatchSpan(text, found.index, found[0].length));
+      }
+      if (match === 'each') {
+        hit.weight += rule.weight;
+        if (rule.reason) hit.reasons.push(rule.reason);
+      }
+    }
+  });
+  if (hit.matches.length === 0) return null;
+  if (match === 'any') {
+    hit.weight = rule.weight;
+    if (rule.reason) hit.reasons.push(rule.reason);
+  }
+  // Matches inside a negation, quotation or reported speech are discounted (scope-analyzer.js);
+  // insults/judgements aimed at a policy rather than a person are down-weighted (target-detector.js)
+  return applyJudgementTarget(applyMatchScope(rule, hit, text), text);
+}
+
+function createRuleResult() {
+  return { score: 0, reasons: [], hits: [] };
+}
+
+// Add a fired rule's weight and reasons to a result.
+// With detection settings, the weight is first scaled by the sensitivity for the rule's ECPM dimension.
+function recordRuleHit(result, hit, settings = null) {
+  if (!hit) return;
+  if (settings) hit.weight *= getSensitivityMultiplier(hit.dimension, settings);
+  result.score += hit.weight;
+  result.reasons.push(...hit.reasons);
+  result.hits.push(hit);
+}
+
+function getEscalationRule(id) {
+  return ESCALATION_RULES.find(rule => rule.id === id) || null;
+}
+
+/**
+ * Run every un-staged rule for a language.
+ */
+function evaluateRules(text, language, settings = null) {
+  const result = createRuleResult();
+  ESCALATION_RULES
+    .filter(rule => rule.language === language && !rule.stage)
+    .forEach(rule => recordRuleHit(result, evaluateRule(rule, text), settings));
+  return result;
+}
+
+/**
+ * Apply a language's combination-bonus rules; run after all other rules have been recorded.
+ */
+function applyComboRules(result, language, text = '', settings = null) {
+  ESCALATION_RULES
+    .filter(rule => rule.language === language && rule.stage === 'combo')
+    .forEach(rule => recordRuleHit(result, evaluateRule(rule, text, result.hits), settings));
+  return result;
+}
+
+/**
+ * ECPM classification from the dimensions of the rules that fired
+ */
+function classifyEcpmType(hits) {
+  const hasCognitive = hits.some(hit => hitHasLabel(hit, 'cognitive'));
+  const hasEmotional = hits.some(hit => hitHasLabel(hit, 'emotional'));
+  if (hasCognitive && hasEmotional) return 'both';
+  if (hasCognitive) return 'cognitive';
+  if (hasEmotional) return 'emotional';
+  return 'other';
+}
+
+function getFiredRuleIds(hits) {
+  return [...new Set(hits.map(hit => hit.id))];
+}
+
+// Per-rule weights for logging: [{ id, weight }], plus target for insult/judgement rules and scope for scoped hits
+function getRuleWeights(hits) {
+  return hits.map(hit => {
+    const entry = { id: hit.id, weight: hit.weight };
+    if (hit.target) entry.target = hit.target;
+    if (hit.scope) entry.scope = hit.scope;
+    return entry;
+  });
+}
+
+/**
+ * Character spans of every fired rule, for highlighting: [{ start, end, ruleId, dimension, reason }]
+ * sorted by position. offset is added to each span (for hits scored on part of a text).
+ */
+function getRuleSpans(hits, offset = 0) {
+  return hits
+    // Softening rules (negative weight, e.g. friendly emoji) are not escalation to point at
+    .filter(hit => hit.weight >= 0)
+    .flatMap(hit => (hit.spans || []).map(span => ({
+      start: span.start + offset,
+      end: span.end + offset,
+      ruleId: hit.id,
+      dimension: hit.dimension,
+      reason: hit.reasons[0] || null
+    })))
+    .filter(span => span.end > span.start)
+    .sort((a, b) => a.start - b.start || b.end - a.end);
+}
+
+// ===== SCRIPT SEGMENTATION =====
+
+// Letters that decide a segment's language; anything else (spaces, digits, punctuation, emoji)
+// stays with the segment before it
+const SCRIPT_LANGUAGES = [
+  { language: 'he', pattern: /[\u0590-\u05FF]/ },
+  { language: 'ar', pattern: /[\u0600-\u06FF\u0750-\u077F]/ },
+  { language: 'en', pattern: /[A-Za-z]/ }
+];
+
+function getScriptLanguage(char) {
+  const script = SCRIPT_LANGUAGES.find(entry => entry.pattern.test(char));
+  return script ? script.language : null;
+}
+
+/**
+ * Split text into runs of one script: [{ language, text, start, end }].
+ * Segments cover the whole text (end is exclusive); single-script text gives one segment,
+ * text with no Hebrew/Arabic/Latin letters gives none.
+ */
+function segmentByScript(text) {
+  const segments = [];
+  for (let i = 0; i < text.length; i++) {
+    const language = getScriptLanguage(text[i]);
+    if (!language) continue;
+    const current = segments[segments.length - 1];
+    if (current && current.language === language) continue;
+    if (current) current.end = i;
+    segments.push({ language, start: segments.length === 0 ? 0 : i, end: text.length });
+  }
+  segments.forEach(segment => {
+    segment.text = text.slice(segment.start, segment.end);
+  });
+  return segments;
+}
@@ -0,0 +1,191 @@
+/**
+ * Sarcasm and rhetorical-question rules for the ECPM detector (English + Hebrew)
+ *
+ * Same declarative format as escalation-rules.js; the rules are appended to ESCALATION_RULES so
+ * rule-engine.js scores, logs and highlights them like any other rule. Sarcasm counts when it is
+ * aimed at a person or group (see the proxy prompt), so every pattern here needs a reader-directed
+ * or ironic anchor rather than firing on praise or questions in general.
+ *
+ * Families:
+ *   rhetorical_question  Questions aimed at the reader that are really put-downs (emotional)
+ *   rhetorical_absolute  Questions that presuppose the only acceptable answer (cognitive)
+ *   mock_praise          Praise that is obviously meant as its opposite (emotional)
+ *   ironic_praise        Praise that is usually, but not always, ironic (emotional, needs another cue)
+ *   ironic_marker        "/s", "yeah, sure", scare quotes (eye-roll emoji: emoji-rules.js) (emotional, low weight)
+ */
+
+// Vocatives that turn praise into mockery ("nice job, genius")
+const EN_MOCK_VOCATIVES = '(?:genius|einstein|sherlock|captain obvious|smart guy|smarty pants|mastermind|rocket scientist)';
+const EN_PRAISE_WORDS = '(?:brilliant|genius|great|smart|clever|bright|intelligent|amazing|fantastic|wonderful)';
+const EN_IDEA_NOUNS = '(?:idea|plan|move|take|logic|argument|point|thinking|reasoning|strategy|analysis|insight)';
+
+const HE_MOCK_VOCATIVES = '(?:גאון|גאונה|גאונים|אינשטיין|שרלוק|פרופסור|חכם\\s+גדול|חכמה\\s+גדולה)';
+const HE_IDEA_NOUNS = '(?:רעיון|תוכנית|מהלך|טיעון|היגיון|ניתוח|תובנה)';
+const HE_PRAISE_WORDS = '(?:גאוני|גאונית|מבריק|מבריקה|חכם|חכמה|מדהים|מדהימה|מעולה)';
+
+const SARCASM_RULES = [
+  // ===== ENGLISH — RHETORICAL QUESTIONS =====
+  {
+    // Demeaning questions aimed at the reader ("Do you seriously have nothing better to do?")
+    id: 'en.sarcasm.rhetorical_question',
+    language: 'en',
+    dimension: 'emotional',
+    weight: 2,
+    reason: 'Rhetorical question aimed at the reader',
+    tags: ['attack'],
+    match: 'any',
+    patterns: [
+      /\b(?:do|did|can|could)\s+you\s+(?:even|actually|ever)\s+(?:read|think|listen|understand|hear|bother|try)\b/i,
+      /\bdid\s+you\s+(?:even\s+)?(?:bother|stop)\s+to\s+(?:think|read|check|look)\b/i,
+      /\bdo\s+you\s+(?:seriously\s+|really\s+|honestly\s+)?have\s+nothing\s+better\s+to\s+do\b/i,
+      /\bwhat(?:'s|\s+is)\s+wrong\s+with\s+(?:you|people like you)\b/i,
+      /\bwho\s+(?:hurt|raised)\s+you\b/i,
+      /\bhow\s+(?:dumb|stupid|blind|naive|ignorant|clueless|dense|gullible)\s+(?:can|could|are)\s+you\b/i,
+      /\bwhat\s+(?:planet|world|universe)\s+(?:are|do)\s+you\s+(?:on|from|live|living)\b/i,
+      /\bhave\s+you\s+(?:ever\s+)?heard\s+of\s+(?:google|a book|books|logic|facts|reading)\b/i,
+      /\bare\s+you\s+(?:blind|deaf|insane|high|drunk|out of your mind|this dense|this dumb)\b[^.!?]*\?/i
+    ]
+  },
+  {
+    // "Who in their right mind..." presupposes that no reasonable person disagrees
+    id: 'en.sarcasm.rhetorical_absolute',
+    language: 'en',
+    dimension: 'cognitive',
+    weight: 2,
+    reason: 'Rhetorical question presupposing the only acceptable answer',
+    tags: ['categorical'],
+    match: 'any',
+    patterns: [
+      /\bwho\s+in\s+(?:their|his|her|your)\s+right\s+mind\b/i,
+      /\b(?:does|do|would|could|can)\s+(?:anyone|anybody)\s+(?:really|seriously|honestly|actually|still)\s+(?:believe|think|buy|trust)\b/i,
+      /\bhow\s+can\s+(?:anyone|anybody|people)\s+(?:possibly\s+|seriously\s+|still\s+)?(?:believe|think|support|defend|vote for|trust)\b/i,
+      /\bisn't\s+it\s+(?:obvious|clear)\s+(?:to\s+(?:everyone|anyone)\s+)?that\b/i,
+      /\bhow\s+is\s+this\s+(?:even\s+)?(?:a\s+question|up\s+for\s+debate)\b/i,
+      /\bwhat\s+(?:else\s+)?did\s+you\s+(?:expect|think\s+would\s+happen)\b/i
+    ]
+  },
+
+  // ===== ENGLISH — MOCK PRAISE AND IRONY =====
+  {
+    // "Nice job, genius", "you're such an expert", "great idea... NOT", "said no one ever" — unambiguous on their own
+    id: 'en.sarcasm.mock_praise',
+    language: 'en',
+    dimension: 'emotional',
+    weight: 2,
+    reason: 'Mock praise (sarcasm)',
+    tags: ['attack'],
+    match: 'any',
+    patterns: [
+      new RegExp('\\b(?:nice|great|good|well done|way to go|bravo|congrats),?\\s+(?:job|going|one|work|move)?,?\\s*' + EN_MOCK_VOCATIVES + '\\b', 'i'),
+      new RegExp('\\b(?:okay|ok|sure|thanks?|real|regular|some)\\s*,?\\s+' + EN_MOCK_VOCATIVES + '\\b', 'i'),
+      new RegExp('\\b' + EN_PRAISE_WORDS + '\\s+' + EN_IDEA_NOUNS + '\\b[^.!?]{0,30}?\\.{2,}\\s*not\\b', 'i'),
+      /\b(?:you're|you\s+are)\s+(?:such\s+an?|a\s+real|quite\s+the)\s+(?:expert|authority|genius|scholar|saint)\b/i,
+      /\bsaid\s+no\s+one\s+ever\b/i
+    ]
+  },
+  {
+    // "Wow, what a brilliant idea", "oh great, another..." can be sincere (or aimed at a policy),
+    // so they need another cue before the draft is flagged
+    id: 'en.sarcasm.ironic_praise',
+    language: 'en',
+    dimension: 'emotional',
+    weight: 1.5,
+    reason: 'Ironic praise',
+    match: 'any',
+    patterns: [
+      new RegExp('\\b(?:wow|oh|yeah|well),?\\s+(?:what\\s+an?\\s+|such\\s+an?\\s+|real(?:ly)?\\s+|very\\s+)?' + EN_PRAISE_WORDS + '\\s+' + EN_IDEA_NOUNS + '\\b', 'i'),
+      /\boh\s+(?:great|wonderful|perfect|fantastic|joy|goody),?\s+(?:another|more|just what)\b/i
+    ]
+  },
+  {
+    // Explicit irony markers; weak alone, they tip an already borderline draft
+    id: 'en.sarcasm.ironic_marker',
+    language: 'en',
+    dimension: 'emotional',
+    weight: 1,
+    reason: 'Ironic marker',
+    match: 'any',
+    // Scare quotes are the signal, not someone else's words
+    ignoreScope: true,
+    patterns: [
+      /(?:^|\s)\/s\s*$/i,
+      /\byeah,?\s+sure\b/i,
+      /\bsure,?\s+jan\b/i,
+      /\bri+ght\.{2,}/i,
+      /["\u201C](?:experts?|journalists?|news|facts|science|leaders?|democracy|genius|researchers?)["\u201D]/i
+    ]
+  },
+
+  // ===== HEBREW — RHETORICAL QUESTIONS =====
+  {
+    // "אתה נורמלי?", "קראת בכלל?", "מה הבעיה שלך?", "אין לך מה לעשות?"
+    id: 'he.sarcasm.rhetorical_question',
+    language: 'he',
+    dimension: 'emotional',
+    weight: 2,
+    reason: 'Hebrew rhetorical question aimed at the reader',
+    tags: ['attack'],
+    match: 'any',
+    patterns: [
+      /(?:^|\s)(?:אתה|את|אתם|אתן)\s+(?:נורמלי|נורמלית|נורמליים|שפוי|שפויה|שפויים|בסדר\s+בראש|מטורף|מטורפת|עיוור|עיוורת)\s*\?/,
+      /(?:^|\s)(?:קראת|קראתם|חשבת|חשבתם|הבנת|הבנתם|הקשבת|הקשבתם)\s+בכלל/,
+      /(?:^|\s)מה\s+(?:לא\s+בסדר|הבעיה)\s+(?:איתך|אתך|איתכם|אתכם|שלך|שלכם)/,
+      /(?:^|\s)(?:אין\s+לך|אין\s+לכם)\s+(?:מה\s+לעשות|משהו\s+יותר\s+טוב\s+לעשות|חיים)/,
+      /(?:^|\s)(?:על\s+איזה\s+כוכב|באיזה\s+עולם|באיזה\s+סרט)\s+(?:אתה|את|אתם)\s+(?:חי|חיה|חיים)/,
+      /(?:^|\s)מי\s+(?:גידל|חינך)\s+(?:אותך|אתכם)/,
+      /(?:^|\s)(?:השתגעת|השתגעתם|נפלת\s+על\s+הראש|נפלתם\s+על\s+הראש)/
+    ]
+  },
+  {
+    // "מי בדעתו הצלולה...", "איך אפשר עדיין להאמין..." — the question leaves no room to disagree
+    id: 'he.sarcasm.rhetorical_absolute',
+    language: 'he',
+    dimension: 'cognitive',
+    weight: 2,
+    reason: 'Hebrew rhetorical question presupposing the only acceptable answer',
+    tags: ['categorical'],
+    match: 'any',
+    patterns: [
+      /(?:^|\s)מי\s+(?:בדעתו|בדעתה)\s+הצלולה/,
+      /(?:^|\s)איך\s+(?:בכלל\s+)?(?:אפשר|מישהו|אנשים)\s+(?:עדיין\s+)?(?:להאמין|לתמוך|להצביע|מאמין|מאמינים|תומך|תומכים|מצביע|מצביעים)/,
+      /(?:^|\s)(?:מישהו|מישהי)\s+(?:באמת|ברצינות|עוד)\s+(?:מאמין|מאמינה|חושב|חושבת|קונה)/,
+      /(?:^|\s)מה\s+(?:ציפית|ציפיתם|ציפית\s+שיקרה)/
+    ]
+  },
+
+  // ===== HEBREW — MOCK PRAISE AND IRONY =====
+  {
+    // "כל הכבוד, גאון", "וואו, איזה רעיון גאוני", "גאון הדור"
+    id: 'he.sarcasm.mock_praise',
+    language: 'he',
+    dimension: 'emotional',
+    weight: 2,
+    reason: 'Hebrew mock praise (sarcasm)',
+    tags: ['attack'],
+    match: 'any',
+    patterns: [
+      new RegExp('(?:^|\\s)(?:כל\\s+הכבוד|יופי|בראבו|מזל\\s+טוב|תודה),?\\s+' + HE_MOCK_VOCATIVES + '(?=$|[\\s,.!?])'),
+      new RegExp('(?:^|\\s)(?:וואו|ואו|אוי|נו|יאללה),?\\s+(?:איזה|איזו|ממש|מה\\s+זה)\\s+' + HE_IDEA_NOUNS + '\\s+' + HE_PRAISE_WORDS),
+      /(?:^|\s)(?:גאון|גאונת|גאוני)\s+הדור/,
+      /(?:^|\s)אמר\s+אף\s+אחד\s+(?:מעולם|אף\s+פעם)/
+    ]
+  },
+  {
+    // "בטח, בטח", "כן, בטח", "נו באמת", eye-roll emoji, scare-quoted "מומחים"
+    id: 'he.sarcasm.ironic_marker',
+    language: 'he',
+    dimension: 'emotional',
+    weight: 1,
+    reason: 'Hebrew ironic marker',
+    match: 'any',
+    // Scare quotes are the signal, not someone else's words
+    ignoreScope: true,
+    patterns: [
+      /(?:^|\s)(?:בטח,?\s+בטח|כן,?\s+בטח|נו\s+באמת|כן\s+כן\s+ברור)(?=$|[\s,.!?])/,
+      /(?:^|\s)\/s\s*$/i,
+      /["\u201C\u05F4](?:מומחים|מומחה|עיתונאי|עיתונאים|מנהיג|מנהיגים|דמוקרטיה|צדק|חדשות|גאון)["\u201D\u05F4]/
+    ]
+  }
+];
+
+ESCALATION_RULES.push(...SARCASM_RULES);
@@ -0,0 +1,155 @@
+/**
+ * Scope analysis: negation, quotation and reported speech
+ *
+ * "I'm not saying you're wrong" and "he called me an 'idiot'" contain escalatory phrases the
+ * writer is not aiming at anyone. Before a rule's matches are scored they are checked against
+ * the scopes of the draft (English and Hebrew):
+ *
+ *   quotation        inside "…", '…', “…”, ‘…’, «…», „…“ — someone else's words (suppressed)
+ *   reported_speech  from "he called me", "she said that", "קרא לי", "אמרו ש" to the end of
+ *                    the clause (suppressed)
+ *   negation         the few words after not / n't / never / לא / אינך, or the rest of the clause
+ *                    after "I'm not saying", "לא אמרתי" (discounted)
+ *
+ * A hit is scoped only when every one of its matches is. Scoped hits keep SCOPE_WEIGHTS of their
+ * weight, no longer count as an ECPM dimension or combo label, are not highlighted and say why in
+ * their reasons. Tone rules (no dimension), count/ratio rules and rules with ignoreScope
+ * (scare quotes are the signal there) are never scoped.
+ */
+
+const SCOPE_WEIGHTS = { negation: 0.25, reported_speech: 0, quotation: 0 };
+
+const SCOPE_REASONS = {
+  negation: 'negated (discounted)',
+  reported_speech: 'reported speech (suppressed)',
+  quotation: 'inside a quotation (suppressed)'
+};
+
+// When a match sits in several scopes the mildest treatment wins
+const SCOPE_PRIORITY = ['negation', 'reported_speech', 'quotation'];
+
+// Words after a plain negator that are still "negated" ("not a complete idiot")
+const NEGATION_WINDOW = 3;
+
+// Paired quotes. A straight/single quote only opens after a non-letter and only closes before one,
+// so apostrophes ("you're") and Hebrew abbreviations (צה"ל) are not quotes.
+const QUOTED_SPANS = [
+  /(?<![\p{L}\p{N}])(["'])(?:(?!\1)[^\n]|\1(?=[\p{L}\p{N}]))+?\1(?![\p{L}\p{N}])/gu,
+  /\u201C[^\u201D\n]+\u201D/g,
+  /\u2018(?:[^\u2019\n]|\u2019(?=\p{L}))+\u2019(?!\p{L})/gu,
+  /\u00AB[^\u00BB\n]+\u00BB/g,
+  /\u201E[^\u201C\u201D\n]+[\u201C\u201D]/g
+];
+
+const SCOPE_CUES = {
+  en: {
+    // "not stupid", "isn't wrong", "never right" — but "not only/just" intensifies, "don't be" commands
+    // and "can't believe how..." is incredulity
+    negation: [/(?:\bnot|\bcannot|n['\u2019]t|\bnever|\bhardly)\b(?!\s+(?:only|just|be|being|believe|stand)\b)/gi],
+    // "I'm not saying", "I don't think", "I never said" negate the whole clause
+    metaNegation: [/(?:\bnot|n['\u2019]t|\bnever)\s+(?:saying|say|said|think|thinking|mean|meant|calling|call|called|claiming|suggesting|implying)\b/gi],
+    reportedSpeech: [
+      // "he called me an idiot", "they keep calling us traitors" (not "I called him...")
+      /(?<!\b(?:I|we)\s+)\b(?:called|calls|calling)\s+(?:me|us|him|her|them|my\s+\w+)\b/gi,
+      // "I was called a moron"
+      /\b(?:was|were|got|been|being)\s+called\b/gi,
+      // "she said (that) I'm...", "he told me", "they accused me of" — "whoever said this is..." is not a report
+      /(?<!\b(?:I|we)\s+)\b(?:said|says|claimed|claims|wrote|tweeted|posted)(?=\s*[:"'\u201C\u2018]|\s+(?:that|I|I'm|you|you're|he|he's|she|she's|we|they|it|it's|my|your)\b)/gi,
+      /(?<!\b(?:I|we)\s+)\b(?:told|accused)\s+(?:me|us|him|her|them)(?:\s+of)?\b/gi
+    ]
+  },
+  he: {
+    // "אתה לא מטומטם", "אינך טועה" — but "לא רק"/"לא סתם" intensifies
+    negation: [/(?:^|[\s,.!?])ו?(?:לא|אינך|אינו|אינה|אינם|אינני|אינכם)(?=\s)(?!\s+(?:רק|סתם)(?=$|[\s,.!?]))/g],
+    metaNegation: [/(?:^|[\s,.!?])ו?(?:לא|אף\s+פעם\s+לא|מעולם\s+לא)\s+(?:אמרתי|אמרנו|אומר|אומרת|טוען|טוענת|חושב|חושבת|התכוונתי|טענתי|קראתי)(?=$|[\s,.!?])/g],
+    reportedSpeech: [
+      // "הוא קרא לי מטומטם", "כינו אותנו בוגדים"
+      /(?:^|[\s,.!?])ו?(?:קרא|קראה|קראו|כינה|כינתה|כינו)\s+(?:לי|לנו|לו|לה|להם|אותי|אותנו|אותו|אותה|אותם)(?=$|[\s,.!?])/g,
+      // "אמרה שאני...", "כתבו לי "..."" (past tense only: "אני אומר ש" is the writer speaking)
+      /(?:^|[\s,.!?])ו?(?:אמר|אמרה|אמרו|כתב|כתבה|כתבו|טען|טענה|טענו|צייץ|צייצה|צייצו)(?:\s+(?:לי|לנו|לו|לה|להם))?(?=$|[\s,.!?:"\u201C\u05F4]|\s+ש)/g
+    ]
+  }
+};
+
+let cachedScopes = { text: null, language: null, scopes: [] };
+
+// End of the clause that starts at position, skipping a ':' or ',' right after a speech cue ("he said: ...")
+function getScopeClauseEnd(text, position) {
+  let from = position;
+  while (from < text.length && /[\s:,]/.test(text[from])) from++;
+  return from >= text.length ? text.length : getClauseBounds(text, from).end;
+}
+
+// End of the NEGATION_WINDOW words after position, within its clause
+function getNegationWindowEnd(text, position) {
+  const clauseEnd = getScopeClauseEnd(text, position);
+  const words = [...text.slice(position, clauseEnd).matchAll(/\S+/g)].slice(0, NEGATION_WINDOW);
+  if (words.length === 0) return position;
+  const last = words[words.length - 1];
+  return position + last.index + last[0].length;
+}
+
+/**
+ * Scopes of a draft: [{ kind, start, end }] ranges (end exclusive) whose matches are discounted
+ */
+function getTextScopes(text, language) {
+  const cues = SCOPE_CUES[language];
+  if (!cues) return [];
+  if (cachedScopes.text === text && cachedScopes.language === language) return cachedScopes.scopes;
+
+  const scopes = [];
+  QUOTED_SPANS.forEach(pattern => {
+    for (const found of text.matchAll(pattern)) {
+      scopes.push({ kind: 'quotation', start: found.index + 1, end: found.index + found[0].length - 1 });
+    }
+  });
+  cues.reportedSpeech.forEach(pattern => {
+    for (const found of text.matchAll(pattern)) {
+      const start = found.index + found[0].length;
+      scopes.push({ kind: 'reported_speech', start, end: getScopeClauseEnd(text, start) });
+    }
+  });
+  cues.metaNegation.forEach(pattern => {
+    for (const found of text.matchAll(pattern)) {
+      const start = found.index + found[0].length;
+      scopes.push({ kind: 'negation', start, end: getScopeClauseEnd(text, start) });
+    }
+  });
+  cues.negation.forEach(pattern => {
+    for (const found of text.matchAll(pattern)) {
+      const start = found.index + found[0].length;
+      scopes.push({ kind: 'negation', start, end: getNegationWindowEnd(text, start) });
+    }
+  });
+
+  cachedScopes = { text, language, scopes };
+  return scopes;
+}
+
+// Mildest scope a span starts in, or null
+function findSpanScope(scopes, span) {
+  const kinds = scopes.filter(scope => span.start >= scope.start && span.start < scope.end).map(scope => scope.kind);
+  return SCOPE_PRIORITY.find(kind => kinds.includes(kind)) || null;
+}
+
+/**
+ * Drop a hit's matches that sit inside a negation, quotation or reported speech; when all of
+ * them do, discount the hit and note the scope in its reasons.
+ */
+function applyMatchScope(rule, hit, text) {
+  if (!hit || rule.ignoreScope || hit.spans.length === 0) return hit;
+  if (!hit.dimension && !hit.tags.includes('judgement')) return hit;
+  const scopes = getTextScopes(text, hit.language);
+  if (scopes.length === 0) return hit;
+
+  const spanScopes = hit.spans.map(span => findSpanScope(scopes, span));
+  if (spanScopes.every(kind => kind === null)) return hit;
+  hit.spans = hit.spans.filter((span, index) => spanScopes[index] === null);
+  // One unscoped match is enough for the rule to count in full
+  if (hit.spans.length > 0) return hit;
+
+  hit.scope = SCOPE_PRIORITY.find(kind => spanScopes.includes(kind));
+  hit.weight *= SCOPE_WEIGHTS[hit.scope];
+  hit.reasons = hit.reasons.map(reason => `${reason} — ${SCOPE_REASONS[hit.scope]}`);
+  return hit;
+}
@@ -0,0 +1,185 @@
+/**
+ * Selector packs: the DOM selectors the X, Facebook, Instagram, Threads, LinkedIn and
+ * YouTube adapters depend on
+ *
+ * These sites rename data-testid attributes and class names and restructure their composers
+ * often. Instead of shipping a release for each change, the background worker fetches a versioned
+ * pack from SELECTOR_PACK_URL (config.js), checks it with validateSelectorPack() and caches it in
+ * chrome.storage.local under 'selectorPack'. The content script reads selectors through
+ * getSelector(); keys a pack leaves out, or whose selector does not parse, keep the bundled value.
+ * The active pack's version is logged with every interaction (selector_pack_version).
+ *
+ * Pack format (every platform and key is optional):
+ *   { "version": "2026.10.18", "platforms": { "twitter": { "postButton": "..." }, "facebook": { ... } } }
+ *
+ * The background worker imports this file for the defaults and the schema only.
+ */
+
+const DEFAULT_SELECTOR_PACK = {
+  version: 'bundled-1.4',
+  platforms: {
+    twitter: {
+      composer: '[data-testid="tweetTextarea_0"]',
+      // Tried when the main composer is gone (X DOM changes)
+      composerFallback: '[data-testid*="tweetTextarea"], div[contenteditable="true"][role="textbox"], div[contenteditable="true"][data-lexical-editor], [role="textbox"][contenteditable="true"]',
+      postButton: '[data-testid="tweetButton"], [data-testid="tweetButtonInline"], button[type="button"][data-testid*="tweet"], div[role="button"][data-testid*="tweet"], div[data-testid="tweetButton"]',
+      tweet: 'article[data-testid="tweet"]',
+      tweetText: '[data-testid="tweetText"]',
+      userName: '[data-testid="User-Name"]',
+      toolBar: '[data-testid="toolBar"]'
+    },
+    facebook: {
+      // Lexical roots and the labelled "What's on your mind?" box the generic scan can miss
+      composer: 'div[data-lexical-editor="true"], div[data-testid*="post"], div[aria-label*="post"], div[aria-label*="Post"], div[aria-label*="What\'s on your mind"]',
+      postContainer: '[aria-posinset], [role="dialog"]',
+      postMessage: '[data-ad-preview="message"], [data-ad-comet-preview="message"]',
+      postLink: 'a[href*="/posts/"], a[href*="/permalink/"], a[href*="story_fbid="], a[href*="/videos/"], a[href*="fbid="]',
+      commentLink: 'a[href*="comment_id="]',
+      commentBox: '[contenteditable="true"][role="textbox"]'
+    },
+    instagram: {
+      // The comment box under a post, reel or post dialog (a reply reuses it, prefilled with "@user ")
+      commentBox: 'form textarea',
+      post: 'article, [role="dialog"]',
+      caption: 'h1',
+      postAuthor: 'header a[href^="/"]',
+      postLink: 'a[href*="/p/"], a[href*="/reel/"]',
+      comment: 'ul li',
+      commentLink: 'a[href*="/c/"]'
+    },
+    threads: {
+      composer: '[contenteditable="true"][role="textbox"]',
+      post: 'div[data-pressable-container="true"]',
+      postLink: 'a[href*="/post/"]',
+      postAuthor: 'a[href^="/@"]'
+    },
+    linkedin: {
+      // Quill editors: the share box's post editor and every comment/reply box
+      composer: '.ql-editor[contenteditable="true"]',
+      commentForm: 'form.comments-comment-box__form, .comments-comment-box',
+      commentSubmit: 'button.comments-comment-box__submit-button, button.comments-comment-box__submit-button--cr',
+      postSubmit: 'button.share-actions__primary-action',
+      post: '.feed-shared-update-v2, [data-urn^="urn:li:activity:"]',
+      // Original post previewed under the editor of "Repost with your thoughts"
+      sharedPost: '.update-components-mini-update-v2, .feed-shared-update-v2',
+      postText: '.update-components-text, .feed-shared-inline-show-more-text',
+      actorName: '.update-components-actor__title, .update-components-actor__name',
+      actorLink: 'a.update-components-actor__meta-link, a.update-components-actor__image',
+      comment: 'article.comments-comment-entity, article.comments-comment-item',
+      commentAuthor: '.comments-comment-meta__description-title, .comments-post-meta__name-text',
+      commentText: '.comments-comment-item__main-content, .update-components-text',
+      mention: '.ql-mention, [data-entity-hovercard-id]'
+    },
+    youtube: {
+      // The box under the video and the reply boxes that open inside comments
+      composer: '#contenteditable-root[contenteditable="true"]',
+      commentBox: 'ytd-commentbox',
+      submitButton: '#submit-button',
+      comment: 'ytd-comment-view-model, ytd-comment-renderer',
+      commentAuthor: '#author-text',
+      commentText: '#content-text',
+      commentLink: '#published-time-text a',
+      videoTitle: 'ytd-watch-metadata h1, ytd-reel-video-renderer[is-active] h2',
+      channelLink: 'ytd-watch-metadata ytd-channel-name a, ytd-reel-video-renderer[is-active] ytd-channel-name a'
+    }
+  }
+};
+
+const SELECTOR_PACK_VERSION_PATTERN = /^[\w.-]{1,64}$/;
+const MAX_SELECTOR_LENGTH = 2000;
+
+let activeSelectorPack = DEFAULT_SELECTOR_PACK;
+
+/**
+ * Problems that make a fetched pack unusable ([] when it is valid). Platforms and keys this
+ * version does not know are ignored, so a pack can carry selectors for newer releases.
+ */
+function validateSelectorPack(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return ['pack is not a JSON object'];
+  const problems = [];
+  if (typeof raw.version !== 'string' || !SELECTOR_PACK_VERSION_PATTERN.test(raw.version)) {
+    problems.push('version must be 1-64 letters, digits, ".", "_" or "-"');
+  }
+  if (!raw.platforms || typeof raw.platforms !== 'object' || Array.isArray(raw.platforms)) {
+    return [...problems, 'platforms must be an object'];
+  }
+  Object.keys(DEFAULT_SELECTOR_PACK.platforms).forEach(platform => {
+    const selectors = raw.platforms[platform];
+    if (selectors === undefined) return;
+    if (!selectors || typeof selectors !== 'object' || Array.isArray(selectors)) {
+      problems.push(`platforms.${platform} must be an object`);
+      return;
+    }
+    Object.keys(DEFAULT_SELECTOR_PACK.platforms[platform]).forEach(key => {
+      const selector = selectors[key];
+      if (selector === undefined) return;
+      if (typeof selector !== 'string' || !selector.trim() || selector.length > MAX_SELECTOR_LENGTH) {
+        problems.push(`platforms.${platform}.${key} must be a non-empty selector string`);
+      }
+    });
+  });
+  return problems;
+}
+
+// Whether the browser can parse a selector (checked in the content script, where there is a DOM)
+function isUsableSelector(selector) {
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// A valid pack laid over the bundled selectors
+function normalizeSelectorPack(raw) {
+  if (validateSelectorPack(raw).length > 0) return DEFAULT_SELECTOR_PACK;
+  const platforms = {};
+  Object.keys(DEFAULT_SELECTOR_PACK.platforms).forEach(platform => {
+    platforms[platform] = { ...DEFAULT_SELECTOR_PACK.platforms[platform] };
+    Object.entries(raw.platforms[platform] || {}).forEach(([key, selector]) => {
+      if (!(key in platforms[platform])) return;
+      if (isUsableSelector(selector)) platforms[platform][key] = selector;
+      else console.warn(`⚠️ Selector pack ${raw.version}: ${platform}.${key} does not parse, keeping the bundled selector`);
+    });
+  });
+  return { version: raw.version, platforms };
+}
+
+function getSelector(platform, key) {
+  return activeSelectorPack.platforms[platform][key];
+}
+
+function getSelectorPackVersion() {
+  return activeSelectorPack.version;
+}
+
+async function loadSelectorPack() {
+  try {
+    if (typeof chrome === 'undefined' || !chrome?.storage?.local) return activeSelectorPack;
+    const { selectorPack } = await chrome.storage.local.get('selectorPack');
+    activeSelectorPack = selectorPack ? normalizeSelectorPack(selectorPack) : DEFAULT_SELECTOR_PACK;
+    console.log('🧩 Selector pack:', activeSelectorPack.version);
+  } catch (error) {
+    // Extension context invalidated etc. — keep the last known (or bundled) selectors
+    console.warn('⚠️ Could not load selector pack, using bundled selectors:', error?.message || error);
+  }
+  return activeSelectorPack;
+}
+
+if (typeof document !== 'undefined' && typeof chrome !== 'undefined' && chrome?.storage?.onChanged) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.selectorPack) {
+      activeSelectorPack = changes.selectorPack.newValue ? normalizeSelectorPack(changes.selectorPack.newValue) : DEFAULT_SELECTOR_PACK;
+      console.log('🧩 Selector pack updated:', activeSelectorPack.version);
+    }
+  });
+
+  loadSelectorPack();
+  // The background worker refetches the pack when its cached copy is stale
+  try {
+    chrome.runtime?.sendMessage?.({ type: 'REFRESH_SELECTOR_PACK' }, () => void chrome.runtime.lastError);
+  } catch (error) {
+    // Extension context invalidated — the cached pack still applies
+  }
+}
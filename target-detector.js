@@ -0,0 +1,147 @@
+/**
+ * Target detection for insults and judgements
+ *
+ * The proxy prompt treats the target as the deciding factor: attacking a person or group is
+ * escalatory, criticising a policy or institution is not. Rules tagged 'judgement' (insults,
+ * "you are X", "X is a disgrace") get the grammatical target of their match from the clause
+ * it sits in:
+ *
+ *   second_person  you / your / אתה / שלך / انت — always wins, the reader is being addressed
+ *   person         he / she / a name / @handle
+ *   group          group labels (liberals, שמאלנים, صهاينة) and they / them
+ *   policy         policy and institution nouns (law, reform, government, החוק, الحكومة)
+ *   unknown        no cue in the clause ("What a stupid take")
+ *
+ * Otherwise the nearest cue in the clause decides. Judgements aimed at a policy keep
+ * POLICY_TARGET_WEIGHT of their weight and lose their 'attack' tag (combination bonus).
+ */
+
+const POLICY_TARGET_WEIGHT = 0.5;
+
+// Most specific first; a judgement only counts as policy criticism when every match is aimed at one
+const TARGET_PRIORITY = ['second_person', 'person', 'group', 'unknown', 'policy'];
+
+// Sentence and clause breaks ("you're right, but this law is stupid" has two clauses)
+const CLAUSE_BREAK = /[.!?;:\n,،؛؟]|\s(?:but|and|because|while|although|אבל|כי|אך|لكن|بس)(?=\s)/gi;
+
+const TARGET_LEXICONS = {
+  en: {
+    second_person: ['you', 'your', 'yours', "you're", 'youre', 'yourself', 'yourselves', 'u', 'ur', 'ya'],
+    person: ['he', 'she', 'him', 'her', 'his', 'hers', "he's", "she's", 'himself', 'herself'],
+    group: ['they', 'them', 'their', "they're", 'those people', 'these people'],
+    policy: [
+      'policy', 'policies', 'law', 'laws', 'bill', 'bills', 'legislation', 'reform', 'reforms',
+      'regulation', 'regulations', 'budget', 'tax', 'taxes', 'tariff', 'tariffs', 'program', 'programme',
+      'proposal', 'decision', 'ruling', 'verdict', 'mandate', 'ban', 'government', 'administration',
+      'ministry', 'parliament', 'congress', 'senate', 'knesset', 'court', 'council', 'municipality',
+      'agency', 'committee', 'system', 'bureaucracy', 'institution', 'company', 'corporation'
+    ]
+  },
+  he: {
+    second_person: [
+      'אתה', 'אתם', 'אתן', 'שלך', 'שלכם', 'שלכן', 'לך', 'לכם', 'אותך', 'אתכם', 'ממך', 'מכם',
+      'עליך', 'עליכם', 'בגללך', 'בגללכם', 'איתך', 'איתכם', 'בך', 'בכם'
+    ],
+    person: ['שלו', 'שלה', 'אותו', 'אותה', 'ממנו', 'ממנה', 'עליו', 'עליה', 'בגללו', 'בגללה', 'ביבי', 'נתניהו', 'גנץ', 'לפיד', 'בנט', 'ליברמן', 'בן גביר', "סמוטריץ'"],
+    group: ['הם', 'הן', 'אותם', 'שלהם', 'בגללם', 'האנשים האלה', ...HE_GROUP_LABELS],
+    policy: [
+      'מדיניות', 'חוק', 'חוקים', 'הצעת חוק', 'רפורמה', 'רפורמות', 'תקנה', 'תקנות', 'תקציב', 'מס', 'מיסים',
+      'תוכנית', 'החלטה', 'החלטות', 'פסיקה', 'גזירה', 'גזירות', 'ממשלה', 'כנסת', 'בג"ץ', 'בית המשפט',
+      'משרד', 'עירייה', 'מועצה', 'ועדה', 'מערכת', 'רשות'
+    ]
+  },
+  ar: {
+    second_person: ['انت', 'أنت', 'إنت', 'انتي', 'انتو', 'انتم', 'أنتم', 'عليك', 'عليكم', 'منك', 'منكم', 'بسببك', 'بسببكم'],
+    person: ['هو', 'هي', 'عليه', 'عليها', 'منه', 'منها'],
+    group: ['هم', 'هدول', 'هؤلاء', ...AR_GROUP_LABELS],
+    policy: ['سياسة', 'قانون', 'قوانين', 'حكومة', 'قرار', 'قرارات', 'ميزانية', 'ضريبة', 'ضرائب', 'برلمان', 'كنيست', 'محكمة', 'وزارة', 'بلدية', 'خطة', 'إصلاح', 'اصلاح', 'نظام', 'شركة']
+  }
+};
+
+// The 'את' object marker before a definite noun ("את החוק") is not "you"
+const HE_OBJECT_MARKER_YOU = /(?:^|[\s,.!?])את(?!\s+ה)(?=$|[\s,.!?])/g;
+// "@handle" or a capitalised name doing something ("Smith is", "Bibi's")
+const EN_NAMED_PERSON = /@\w+|\b(?!(?:This|That|These|Those|The|It|Its|What|Which|There|Here|Such|Our|My|An?|I|We|They|You|He|She)\b)[A-Z][a-z]+(?:\s+[A-Z][a-z]+)?(?='s\b|\s+(?:is|was|has|does|did|says|said|just|keeps)\b)/g;
+
+const compiledTargetPatterns = {};
+
+// One global pattern per language and category, with the same boundaries as rule lexicons
+function getTargetPatterns(language) {
+  if (compiledTargetPatterns[language]) return compiledTargetPatterns[language];
+  const lexicons = TARGET_LEXICONS[language] || TARGET_LEXICONS.en;
+  const patterns = {};
+  Object.keys(lexicons).forEach(category => {
+    const boundary = language === 'he' ? 'hebrew' : language === 'ar' ? 'arabic' : 'word';
+    patterns[category] = [toGlobal(compileLexicon({ lexicon: lexicons[category], boundary }))];
+  });
+  if (language === 'en') {
+    patterns.person.push(EN_NAMED_PERSON);
+    patterns.group.push(new RegExp(`\\b${EN_GROUP_NAMES}\\b`, 'gi'));
+  }
+  if (language === 'he') patterns.second_person.push(HE_OBJECT_MARKER_YOU);
+  compiledTargetPatterns[language] = patterns;
+  return patterns;
+}
+
+// [start, end) of the clause around a character position
+function getClauseBounds(text, position) {
+  let start = 0;
+  let end = text.length;
+  for (const found of text.matchAll(CLAUSE_BREAK)) {
+    if (found.index < position) start = found.index + found[0].length;
+    else { end = found.index; break; }
+  }
+  return { start, end };
+}
+
+/**
+ * Target category of a judgement matched at span ({ start, end }) in text
+ */
+function detectJudgementTarget(text, span, language) {
+  const clause = getClauseBounds(text, span.start);
+  const clauseText = text.slice(clause.start, clause.end);
+  const patterns = getTargetPatterns(language);
+
+  let nearest = null;
+  for (const category of Object.keys(patterns)) {
+    for (const pattern of patterns[category]) {
+      for (const found of clauseText.matchAll(pattern)) {
+        const cue = toMatchSpan(clauseText, found.index, found[0].length);
+        const cueStart = clause.start + cue.start;
+        const cueEnd = clause.start + cue.end;
+        if (category === 'second_person') return 'second_person';
+        const distance = cueEnd <= span.start ? span.start - cueEnd : Math.max(0, cueStart - span.end);
+        if (!nearest || distance < nearest.distance) nearest = { category, distance };
+      }
+    }
+  }
+  return nearest ? nearest.category : 'unknown';
+}
+
+// Most specific of several targets
+function pickJudgementTarget(targets) {
+  return TARGET_PRIORITY.find(target => targets.includes(target)) || null;
+}
+
+/**
+ * Attach the target to a fired 'judgement' hit and down-weight it when it is aimed at a policy
+ * or institution ("The government is stupid, and you are a moron" stays a personal attack).
+ */
+function applyJudgementTarget(hit, text) {
+  if (!hit || !hit.tags.includes('judgement') || hit.spans.length === 0) return hit;
+  hit.target = pickJudgementTarget(hit.spans.map(span => detectJudgementTarget(text, span, hit.language)));
+  if (hit.target === 'policy') {
+    hit.weight *= POLICY_TARGET_WEIGHT;
+    hit.tags = hit.tags.filter(tag => tag !== 'attack');
+    hit.reasons.push('Aimed at a policy/institution (down-weighted)');
+  }
+  return hit;
+}
+
+/**
+ * Target of a whole draft from its rule hits: the most specific judgement target,
+ * or 'none' when no insult/judgement fired
+ */
+function summarizeJudgementTargets(hits) {
+  return pickJudgementTarget(hits.map(hit => hit.target).filter(Boolean)) || 'none';
+}
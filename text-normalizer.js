@@ -0,0 +1,348 @@
+/**
+ * Normalisation pass that undoes common profanity obfuscation before the escalation patterns run
+ *
+ *   zero-width / bidi control characters, soft hyphens     removed (except emoji ZWJ sequences)
+ *   Hebrew niqqud, Arabic harakat and tatweel               removed
+ *   fullwidth and styled letters (NFKC)                     "ｆｕｃｋ" → "fuck"
+ *   leetspeak and Cyrillic/Greek look-alikes                "sh1t", "a$$hole", "ст*pid"
+ *   masking characters                                      "f*ck", "f**k", "sh#t"
+ *   stretched letters                                       "stuuupid", "מטומטםםם"
+ *   spaced-out letters                                      "f.u.c.k", "f u c k"
+ *   Hebrew final letters in the wrong position              "מטומטמ" → "מטומטם"
+ *
+ * Masks, look-alikes and leetspeak at the edge of a word are only resolved when the result is a
+ * known curse/insult word (ESCALATION_LEXICONS), so "$5", "100%" or "a*b" are left alone.
+ * Every normalised character remembers the span of original text it came from, so a match can be
+ * mapped back onto the user's own text with toOriginalSpan().
+ */
+
+// Invisible characters used to split words (a zero-width space inside "fuck")
+const IGNORED_CHARS = /[\u00AD\u180E\u200B-\u200F\u202A-\u202E\u2060-\u2064\uFEFF]/;
+// Hebrew niqqud/cantillation, Arabic harakat and tatweel (maqaf and sof pasuq are kept)
+const STRIPPED_MARKS = /[\u0591-\u05BD\u05BF\u05C1\u05C2\u05C4\u05C5\u05C7\u0610-\u061A\u0640\u064B-\u065F\u0670]/;
+
+// Latin letters a character can stand for; the first one is used when no lexicon word matches
+const LEET_CHARS = { '0': 'o', '1': 'il', '3': 'e', '4': 'a', '5': 's', '7': 't', '@': 'a', '$': 's', '!': 'i', '|': 'il' };
+const LOOKALIKE_CHARS = {
+  // Cyrillic: visual look-alike first, transliteration second ("с" looks like c, reads as s)
+  'а': 'a', 'в': 'bv', 'е': 'e', 'ё': 'e', 'і': 'i', 'ј': 'j', 'к': 'k', 'м': 'm', 'н': 'hn',
+  'о': 'o', 'р': 'pr', 'с': 'cs', 'т': 't', 'у': 'yu', 'х': 'xh', 'ѕ': 's', 'ԁ': 'd',
+  // Greek
+  'α': 'a', 'β': 'b', 'ε': 'e', 'ι': 'i', 'κ': 'k', 'ν': 'vn', 'ο': 'o', 'ρ': 'p', 'τ': 't', 'υ': 'uy', 'χ': 'x'
+};
+// Hebrew/Arabic use '-' and '.' after prefixes and in abbreviations ("ב-10"), so only symbols mask there
+const MASK_CHARS = { en: '*#_-.•', he: '*#•', ar: '*#•' };
+const SPACED_LETTER_SEPARATORS = ' .-_*';
+
+const HEBREW_MEDIAL_FORMS = { 'ך': 'כ', 'ם': 'מ', 'ן': 'נ', 'ף': 'פ', 'ץ': 'צ' };
+const HEBREW_FINAL_FORMS = { 'כ': 'ך', 'מ': 'ם', 'נ': 'ן', 'פ': 'ף', 'צ': 'ץ' };
+
+// Letter range, allowed prefixes and default length of a stretched run, per script
+const OBFUSCATION_SCRIPTS = {
+  en: { letters: 'a-z', prefixChars: '', maxPrefix: 0, runLength: () => 2 },
+  he: { letters: '\\u05D0-\\u05EA', prefixChars: 'ובלכמשה', maxPrefix: 2, runLength: char => ('וי'.includes(char) ? 2 : 1) },
+  ar: { letters: '\\u0621-\\u064A', prefixChars: 'وفبلكا', maxPrefix: 4, runLength: () => 1 }
+};
+
+// Punctuation that ends a sentence rather than hiding a letter ("stupid!", "(idiot)")
+const LEADING_PUNCTUATION = /^["'“‘(\[{«]+/;
+const TRAILING_PUNCTUATION = /[.,!?;:"'”’)\]}»…؟،]+$/;
+
+let obfuscationLexicons = null;
+
+function toMedialForms(word) {
+  return word.replace(/[ךםןףץ]/g, letter => HEBREW_MEDIAL_FORMS[letter]);
+}
+
+// Known words a masked/stretched token may resolve to, keyed for comparison (Hebrew: medial forms)
+function getObfuscationLexicons() {
+  if (obfuscationLexicons) return obfuscationLexicons;
+  const entries = (words, toKey = word => word) => [...new Set(words)]
+    .filter(word => /^\S+$/.test(word))
+    .map(word => ({ word, key: toKey(word) }));
+  obfuscationLexicons = {
+    en: entries([
+      ...ESCALATION_LEXICONS.curseWords,
+      ...ESCALATION_LEXICONS.insultWords.flatMap(word => [word, `${word}s`])
+    ].filter(word => /^[a-z]+$/.test(word))),
+    he: entries([...ESCALATION_LEXICONS.hebrewInsultWords, ...ESCALATION_LEXICONS.yaInsultWords], toMedialForms),
+    ar: entries(ESCALATION_LEXICONS.arabicInsultWords)
+  };
+  return obfuscationLexicons;
+}
+
+function getLetterScript(char) {
+  if (/[a-z]/.test(char)) return 'en';
+  if (/[\u05D0-\u05EA]/.test(char)) return 'he';
+  if (/[\u0621-\u064A]/.test(char)) return 'ar';
+  return null;
+}
+
+function escapeForPattern(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// ===== CHARACTER PASS =====
+
+// A zero-width joiner between two emoji builds one emoji (face palm + male sign) and is kept
+function isEmojiJoiner(text, position) {
+  const before = text.slice(0, position).replace(/[\u{1F3FB}-\u{1F3FF}\uFE0F]+$/u, '');
+  return /\p{Extended_Pictographic}$/u.test(before) && /^\p{Extended_Pictographic}/u.test(text.slice(position + 1));
+}
+
+// One unit per UTF-16 code unit of the normalised text, with the original span it came from
+function toUnits(text) {
+  const units = [];
+  let index = 0;
+  for (const char of text) {
+    const start = index;
+    index += char.length;
+    if (char === '\u200D' && isEmojiJoiner(text, start)) {
+      units.push({ char, start, end: index });
+      continue;
+    }
+    if (IGNORED_CHARS.test(char) || STRIPPED_MARKS.test(char)) continue;
+    const compatible = char.normalize('NFKC');
+    // Compatibility forms can carry marks of their own (Hebrew presentation forms with dagesh)
+    const cleaned = compatible === char ? char : [...compatible]
+      .filter(part => !IGNORED_CHARS.test(part) && !STRIPPED_MARKS.test(part) && !/\p{M}/u.test(part))
+      .join('');
+    for (let i = 0; i < cleaned.length; i++) {
+      units.push({ char: cleaned[i], start, end: index });
+    }
+  }
+  return units;
+}
+
+function unitsToText(units) {
+  return units.map(unit => unit.char).join('');
+}
+
+// ===== SPACED-OUT LETTERS =====
+
+// "f.u.c.k" / "f u c k" → "fuck", only when the joined letters are a known word
+function joinSpacedLetters(units) {
+  const text = unitsToText(units);
+  const lexicon = getObfuscationLexicons().en;
+  const remove = new Set();
+  const pattern = /(?<![A-Za-z])[A-Za-z](?:[ .\-_*][A-Za-z]){2,}(?![A-Za-z])/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const separators = new Set(match[0].split('').filter((_, i) => i % 2 === 1));
+    if (separators.size !== 1 || !SPACED_LETTER_SEPARATORS.includes([...separators][0])) continue;
+    const joined = match[0].split('').filter((_, i) => i % 2 === 0).join('').toLowerCase();
+    if (!lexicon.some(entry => entry.key === joined)) continue;
+    for (let i = 1; i < match[0].length; i += 2) remove.add(match.index + i);
+  }
+  return remove.size === 0 ? units : units.filter((_, i) => !remove.has(i));
+}
+
+// ===== WORD PASS =====
+
+function describeUnit(unit) {
+  const lower = unit.char.toLowerCase();
+  const script = getLetterScript(lower);
+  if (script) return { kind: 'letter', script, value: script === 'he' ? toMedialForms(lower) : lower };
+  if (LOOKALIKE_CHARS[lower]) return { kind: 'lookalike', options: LOOKALIKE_CHARS[lower], value: unit.char };
+  if (LEET_CHARS[lower]) return { kind: 'leet', options: LEET_CHARS[lower], value: unit.char };
+  if (MASK_CHARS.en.includes(unit.char)) return { kind: 'mask', value: unit.char };
+  return { kind: 'other', value: unit.char };
+}
+
+// Groups consecutive identical letters and masks: [{ kind, value, options, indexes: [...] }]
+function groupRuns(parts) {
+  const runs = [];
+  parts.forEach((part, i) => {
+    const last = runs[runs.length - 1];
+    const sameLetter = last && part.kind === 'letter' && last.kind === 'letter' && last.value === part.value;
+    const sameMask = last && part.kind === 'mask' && last.kind === 'mask';
+    if (sameLetter || sameMask) {
+      last.indexes.push(i);
+    } else {
+      runs.push({ ...part, indexes: [i] });
+    }
+  });
+  return runs;
+}
+
+function getTokenScript(parts) {
+  const letter = parts.find(part => part.kind === 'letter');
+  if (letter) return letter.script;
+  return parts.some(part => part.kind === 'lookalike') ? 'en' : null;
+}
+
+function isSuspiciousToken(parts, runs, script) {
+  if (runs.some(run => run.kind === 'letter' && run.indexes.length >= 3)) return true;
+  if (parts.some(part => part.kind === 'mask')) return true;
+  return script === 'en' && parts.some(part => part.kind === 'lookalike' || part.kind === 'leet');
+}
+
+// Pattern for the token body (after any prefix letters), tested against lexicon keys
+function buildTokenPattern(runs, script) {
+  const { letters } = OBFUSCATION_SCRIPTS[script];
+  const body = runs.map(run => {
+    const count = run.indexes.length;
+    if (run.kind === 'letter') {
+      const value = escapeForPattern(run.value);
+      return count >= 3 ? `${value}{1,2}` : value.repeat(count);
+    }
+    if (run.kind === 'mask') return `[${letters}]{1,${count + 1}}`;
+    if (script === 'en' && (run.kind === 'lookalike' || run.kind === 'leet')) return `[${run.options}]`;
+    return escapeForPattern(run.value || '');
+  }).join('');
+  return new RegExp(`^${body}$`);
+}
+
+// Lexicon word the token hides, with the number of leading prefix units kept as typed
+function resolveAgainstLexicon(parts, script) {
+  const config = OBFUSCATION_SCRIPTS[script];
+  const lexicon = getObfuscationLexicons()[script];
+  for (let prefixLength = 0; prefixLength <= config.maxPrefix; prefixLength++) {
+    if (prefixLength > 0) {
+      const prefixPart = parts[prefixLength - 1];
+      if (!prefixPart || prefixPart.kind !== 'letter' || !config.prefixChars.includes(prefixPart.value)) break;
+    }
+    const rest = parts.slice(prefixLength);
+    if (!rest.some(part => part.kind === 'letter' || part.kind === 'lookalike')) break;
+    const pattern = buildTokenPattern(groupRuns(rest), script);
+    const entry = lexicon.find(candidate => pattern.test(candidate.key));
+    if (entry) return { word: entry.word, prefixLength };
+  }
+  return null;
+}
+
+// Replace units[from..] with the letters of word, spreading the original spans across them
+function spliceWord(units, from, word, uppercase) {
+  const source = units.slice(from);
+  const letters = uppercase ? word.toUpperCase() : word;
+  const replaced = letters.split('').map((char, i) => {
+    const origin = source[Math.min(source.length - 1, Math.floor(i * source.length / letters.length))];
+    return { char, start: origin.start, end: origin.end };
+  });
+  return units.slice(0, from).concat(replaced);
+}
+
+// Leet and look-alike characters count as letters only inside a word ("sh1t" but not "100" or "$5")
+function isInsideWord(parts, index) {
+  const isWordPart = part => part && part.kind !== 'other';
+  const hasLetterTowards = step => {
+    for (let i = index + step; isWordPart(parts[i]); i += step) {
+      if (parts[i].kind === 'letter' || parts[i].kind === 'lookalike') return true;
+    }
+    return false;
+  };
+  return hasLetterTowards(-1) && hasLetterTowards(1);
+}
+
+// No lexicon word matched: apply the safe, generic fixes only
+function normalizeUnresolvedToken(units, parts, runs, script) {
+  const config = OBFUSCATION_SCRIPTS[script];
+  const drop = new Set();
+  runs.forEach(run => {
+    if (run.kind !== 'letter' || run.indexes.length < 3) return;
+    run.indexes.slice(config.runLength(run.value)).forEach(i => drop.add(i));
+  });
+  return units
+    .map((unit, i) => {
+      const part = parts[i];
+      if (script !== 'en') return unit;
+      if (part.kind === 'lookalike') return { ...unit, char: part.options[0] };
+      if (part.kind === 'leet' && isInsideWord(parts, i)) return { ...unit, char: part.options[0] };
+      return unit;
+    })
+    .filter((_, i) => !drop.has(i));
+}
+
+// Final letters mid-word become medial, medial כ/מ/נ/פ/צ at the end of a word become final
+function fixHebrewFinalLetters(units) {
+  return units.map((unit, i) => {
+    const next = units[i + 1] ? units[i + 1].char : '';
+    const nextIsLetter = /[\u05D0-\u05EA]/.test(next);
+    if (HEBREW_MEDIAL_FORMS[unit.char] && nextIsLetter) {
+      return { ...unit, char: HEBREW_MEDIAL_FORMS[unit.char] };
+    }
+    // Geresh/gershayim mark a foreign sound or an acronym ("צ'יפס", "מנכ"ל") — leave those letters
+    if (HEBREW_FINAL_FORMS[unit.char] && !nextIsLetter && !/['"׳״]/.test(next) && i > 0) {
+      return { ...unit, char: HEBREW_FINAL_FORMS[unit.char] };
+    }
+    return unit;
+  });
+}
+
+function normalizeToken(units) {
+  const core = unitsToText(units);
+  // Mentions, hashtags and links are names, not words
+  if (/^(?:[@#]\w|https?:|www\.)/i.test(core)) return units;
+
+  const leading = (core.match(LEADING_PUNCTUATION) || [''])[0].length;
+  const trailing = (core.slice(leading).match(TRAILING_PUNCTUATION) || [''])[0].length;
+  const body = units.slice(leading, units.length - trailing);
+  if (body.length === 0) return units;
+
+  const parts = body.map(describeUnit);
+  const script = getTokenScript(parts);
+  if (!script) return units;
+  parts.forEach(part => {
+    if (part.kind === 'mask' && !MASK_CHARS[script].includes(part.value)) part.kind = 'other';
+  });
+  const runs = groupRuns(parts);
+
+  let normalized = body;
+  if (isSuspiciousToken(parts, runs, script)) {
+    const resolved = resolveAgainstLexicon(parts, script);
+    if (resolved) {
+      const letters = body.filter(unit => /[A-Za-z]/.test(unit.char));
+      const uppercase = script === 'en' && letters.length >= 2 && letters.every(unit => unit.char === unit.char.toUpperCase());
+      normalized = spliceWord(body, resolved.prefixLength, resolved.word, uppercase);
+    } else {
+      normalized = normalizeUnresolvedToken(body, parts, runs, script);
+    }
+  }
+  if (script === 'he') normalized = fixHebrewFinalLetters(normalized);
+  return units.slice(0, leading).concat(normalized, units.slice(units.length - trailing));
+}
+
+// ===== PUBLIC =====
+
+/**
+ * Normalise text for detection.
+ * Returns { text, sourceStart, sourceEnd }: normalised character i came from
+ * original[sourceStart[i] .. sourceEnd[i]).
+ */
+function normalizeForDetection(text) {
+  const source = typeof text === 'string' ? text : '';
+  const units = joinSpacedLetters(toUnits(source));
+
+  const normalizedUnits = [];
+  let token = [];
+  const flush = () => {
+    if (token.length > 0) normalizedUnits.push(...normalizeToken(token));
+    token = [];
+  };
+  units.forEach(unit => {
+    if (/\s/.test(unit.char)) {
+      flush();
+      normalizedUnits.push(unit);
+    } else {
+      token.push(unit);
+    }
+  });
+  flush();
+
+  return {
+    text: unitsToText(normalizedUnits),
+    sourceStart: normalizedUnits.map(unit => unit.start),
+    sourceEnd: normalizedUnits.map(unit => unit.end)
+  };
+}
+
+/**
+ * Map a [start, end) span of normalised text back to the original text
+ */
+function toOriginalSpan(normalization, start, end) {
+  const { sourceStart, sourceEnd } = normalization;
+  if (sourceStart.length === 0) return { start: 0, end: 0 };
+  const first = Math.min(Math.max(start, 0), sourceStart.length - 1);
+  const last = Math.min(Math.max(end - 1, first), sourceEnd.length - 1);
+  return { start: sourceStart[first], end: sourceEnd[last] };
+}
@@ -0,0 +1,278 @@
+/**
+ * Offline trainer for the local escalation classifier (ml-classifier.js)
+ *
+ * Reads one or more CSV exports of the study Google Sheet (File → Download → CSV) and writes
+ * escalation-model.js: a naive Bayes model over character n-grams, pruned to the most
+ * informative features so it can ship with the extension.
+ *
+ * Labels, per sheet row. Only human or outcome labels count: escalation_type is the rule
+ * detector's own verdict, and a "second opinion" trained on it would just copy the rules.
+ *   - a 'label' column (hand annotation), when present, wins (1/0, yes/no, true/false, escalatory/none)
+ *   - otherwise user_original_text is escalatory when the user accepted an AngelBot rephrase
+ *     (did_user_accept = yes); other rows leave it unlabelled
+ *   - rephrase_suggestion is labelled by the bot that wrote it: AngelBot suggestions are
+ *     de-escalated (0), DevilBot suggestions are escalated (1)
+ *
+ * Usage:
+ *   node tools/train-escalation-model.js --input sheet.csv [--input more.csv]
+ *     [--holdout 0.2] [--max-features 6000] [--min-count 2] [--out escalation-model.js]
+ *
+ * test/escalation-corpus.json is what test/run-escalation-corpus.js scores, so it is never
+ * trained on: a model fitted to it would make those numbers meaningless.
+ *
+ * Texts go through normalizeForDetection() and extractCharNgrams() loaded from the extension's
+ * own scripts, so training and the content script see identical features.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const NGRAM_RANGE = [2, 4];
+const ECPM_TYPES = ['cognitive', 'emotional', 'both', 'other'];
+
+// ===== ARGUMENTS =====
+
+function parseArgs(argv) {
+  const options = { inputs: [], holdout: 0, maxFeatures: 6000, minCount: 2, out: path.join(ROOT, 'escalation-model.js') };
+  for (let i = 0; i < argv.length; i++) {
+    const value = argv[i + 1];
+    switch (argv[i]) {
+      case '--input': options.inputs.push(path.resolve(value)); i++; break;
+      case '--holdout': options.holdout = Number(value); i++; break;
+      case '--max-features': options.maxFeatures = Number(value); i++; break;
+      case '--min-count': options.minCount = Number(value); i++; break;
+      case '--out': options.out = path.resolve(value); i++; break;
+      default: throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+  if (options.inputs.length === 0) {
+    throw new Error('Nothing to train on: pass --input <sheet.csv>');
+  }
+  return options;
+}
+
+// ===== EXTENSION SCRIPTS =====
+
+// normalizeForDetection() and extractCharNgrams() exactly as the content script runs them
+function loadFeatureScripts() {
+  const sandbox = { console: { log: () => {}, warn: () => {}, error: () => {} } };
+  vm.createContext(sandbox);
+  ['escalation-rules.js', 'text-normalizer.js', 'ml-classifier.js'].forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), sandbox, { filename: file });
+  });
+  return sandbox;
+}
+
+// ===== DATA =====
+
+// RFC 4180: quoted fields may contain commas, newlines and doubled quotes
+function parseCsv(source) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') { field += '"'; i++; }
+      else if (char === '"') quoted = false;
+      else field += char;
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field); field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) { row.push(field); rows.push(row); }
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+function parseLabel(value) {
+  const label = String(value || '').trim().toLowerCase();
+  if (['1', 'yes', 'true', 'escalatory', ...ECPM_TYPES].includes(label)) return 1;
+  if (['0', 'no', 'false', 'none', 'not escalatory'].includes(label)) return 0;
+  return null;
+}
+
+// Header names as in GOOGLE_SHEETS_SETUP.md ("User's Original Content") or snake_case ("user_original_text")
+function findColumn(headers, names) {
+  const keys = headers.map(header => header.trim().toLowerCase().replace(/['\u2019]/g, '').replace(/[\s/]+/g, '_'));
+  return names.map(name => keys.indexOf(name)).find(index => index !== -1) ?? -1;
+}
+
+function examplesFromSheet(file) {
+  const [headers, ...rows] = parseCsv(fs.readFileSync(file, 'utf8'));
+  const columns = {
+    label: findColumn(headers, ['label']),
+    original: findColumn(headers, ['user_original_text', 'users_original_content']),
+    suggestion: findColumn(headers, ['rephrase_suggestion']),
+    accepted: findColumn(headers, ['did_user_accept']),
+    bot: findColumn(headers, ['angelbot_devilbot', 'angel_devil_bot'])
+  };
+  if (columns.original === -1) throw new Error(`${file}: no user_original_text column`);
+
+  const examples = [];
+  rows.forEach(cells => {
+    const original = (cells[columns.original] || '').trim();
+    const label = columns.label !== -1 ? parseLabel(cells[columns.label]) : null;
+    if (label !== null) {
+      if (original) examples.push({ text: original, label });
+      return;
+    }
+    const suggestion = columns.suggestion !== -1 ? (cells[columns.suggestion] || '').trim() : '';
+    const bot = columns.bot !== -1 ? (cells[columns.bot] || '').trim() : '';
+    const accepted = columns.accepted !== -1 ? (cells[columns.accepted] || '').trim().toLowerCase() : '';
+    // Taking the calmer version is the user agreeing the draft was escalatory; a rejection says nothing either way
+    if (original && bot === 'AngelBot' && accepted === 'yes') examples.push({ text: original, label: 1 });
+
+    if (suggestion && bot === 'AngelBot') examples.push({ text: suggestion, label: 0 });
+    if (suggestion && bot === 'DevilBot') examples.push({ text: suggestion, label: 1 });
+  });
+  return examples;
+}
+
+// Deterministic split so a retrain on the same export evaluates on the same rows
+function isHoldout(text, fraction) {
+  if (!fraction) return false;
+  const bucket = parseInt(crypto.createHash('sha1').update(text).digest('hex').slice(0, 8), 16) / 0xffffffff;
+  return bucket < fraction;
+}
+
+// ===== TRAINING =====
+
+/**
+ * Binarised multinomial naive Bayes with Laplace smoothing. The model is stored as a linear
+ * score: bias (log prior ratio) plus one log-likelihood ratio per n-gram present in the draft.
+ */
+function trainNaiveBayes(features, labels, { maxFeatures, minCount }) {
+  const counts = [new Map(), new Map()];
+  const totals = [0, 0];
+  const docs = [0, 0];
+  features.forEach((grams, index) => {
+    const label = labels[index];
+    docs[label]++;
+    grams.forEach(gram => {
+      counts[label].set(gram, (counts[label].get(gram) || 0) + 1);
+      totals[label]++;
+    });
+  });
+  if (docs[0] === 0 || docs[1] === 0) throw new Error('Training data needs both escalatory and non-escalatory examples');
+
+  const vocabulary = new Set([...counts[0].keys(), ...counts[1].keys()]);
+  const weights = [];
+  vocabulary.forEach(gram => {
+    const positive = counts[1].get(gram) || 0;
+    const negative = counts[0].get(gram) || 0;
+    if (positive + negative < minCount) return;
+    const weight = Math.log((positive + 1) / (totals[1] + vocabulary.size)) -
+      Math.log((negative + 1) / (totals[0] + vocabulary.size));
+    weights.push([gram, weight]);
+  });
+
+  // Keep the most informative n-grams in either direction
+  weights.sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]) || (a[0] < b[0] ? -1 : 1));
+  const kept = weights.slice(0, maxFeatures).sort((a, b) => (a[0] < b[0] ? -1 : 1));
+  return {
+    bias: Math.log(docs[1] / docs[0]),
+    weights: Object.fromEntries(kept.map(([gram, weight]) => [gram, Number(weight.toFixed(4))])),
+    examples: { escalatory: docs[1], notEscalatory: docs[0] }
+  };
+}
+
+function evaluate(scripts, model, examples) {
+  [0.5, 0.8].forEach(threshold => {
+    let tp = 0, fp = 0, fn = 0, tn = 0;
+    examples.forEach(({ normalized, label }) => {
+      const predicted = scripts.classifyEscalation(normalized, model) >= threshold ? 1 : 0;
+      if (predicted && label) tp++;
+      else if (predicted) fp++;
+      else if (label) fn++;
+      else tn++;
+    });
+    const precision = tp + fp ? (tp / (tp + fp)).toFixed(3) : 'n/a';
+    const recall = tp + fn ? (tp / (tp + fn)).toFixed(3) : 'n/a';
+    console.log(`  threshold ${threshold}: precision ${precision}  recall ${recall}  (TP ${tp} FP ${fp} TN ${tn} FN ${fn})`);
+  });
+}
+
+// ===== OUTPUT =====
+
+function writeModel(file, model, sources) {
+  const header = [
+    '/**',
+    ' * Bundled model for the local escalation classifier (ml-classifier.js)',
+    ' *',
+    ' * GENERATED by tools/train-escalation-model.js — do not edit by hand; retrain instead.',
+    ` * Sources: ${sources.join(', ')}`,
+    ' */',
+    ''
+  ].join('\n');
+  fs.writeFileSync(file, `${header}\nconst ESCALATION_MODEL = ${JSON.stringify(model, null, 2)};\n`);
+}
+
+// ===== MAIN =====
+
+function run() {
+  const options = parseArgs(process.argv.slice(2));
+  const scripts = loadFeatureScripts();
+
+  const raw = options.inputs.flatMap(examplesFromSheet);
+  // Same draft logged twice (pending row + retries) counts once
+  const seen = new Set();
+  const examples = raw
+    .map(example => ({ ...example, normalized: scripts.normalizeForDetection(example.text).text.trim() }))
+    .filter(example => {
+      const key = `${example.label}|${example.normalized}`;
+      if (!example.normalized || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+  const train = examples.filter(example => !isHoldout(example.normalized, options.holdout));
+  const holdout = examples.filter(example => isHoldout(example.normalized, options.holdout));
+  console.log(`📚 ${examples.length} examples (${train.length} train, ${holdout.length} held out)`);
+
+  const trained = trainNaiveBayes(
+    train.map(example => scripts.extractCharNgrams(example.normalized, NGRAM_RANGE)),
+    train.map(example => example.label),
+    options
+  );
+  const digest = crypto.createHash('sha1').update(JSON.stringify(trained.weights)).digest('hex').slice(0, 8);
+  const model = {
+    version: `nb-${new Date().toISOString().slice(0, 10)}-${digest}`,
+    type: 'naive-bayes-char-ngrams',
+    ngramRange: NGRAM_RANGE,
+    bias: Number(trained.bias.toFixed(4)),
+    examples: trained.examples,
+    weights: trained.weights
+  };
+
+  console.log(`🧮 ${Object.keys(model.weights).length} n-gram features, version ${model.version}`);
+  console.log('Training set:');
+  evaluate(scripts, model, train);
+  if (holdout.length > 0) {
+    console.log('Held-out set:');
+    evaluate(scripts, model, holdout);
+  }
+
+  const sources = options.inputs
+    // Sheet exports usually live outside the repo; only their file name is recorded
+    .map(file => (file.startsWith(ROOT + path.sep) ? path.relative(ROOT, file) : path.basename(file)));
+  writeModel(options.out, model, sources);
+  console.log(`✅ Wrote ${path.relative(process.cwd(), options.out)}`);
+}
+
+try {
+  run();
+} catch (error) {
+  console.error('❌ Training failed:', error.message);
+  process.exit(1);
+}